@@ -0,0 +1,46 @@
+// Shared-secret checks for the operator-only parts of the API
+// Optional environment variables:
+//   ADMIN_SECRET          - Unlocks detailed diagnostics when sent as X-Admin-Secret
+//   GITHUB_WEBHOOK_SECRET - Secret configured on the GitHub webhook
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+
+export const ADMIN_SECRET_HEADER = 'x-admin-secret';
+
+/**
+ * Compare two strings in constant time.  Both sides are hashed first so
+ * inputs of different lengths don't leak through an early return.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  const digest = (value) => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Whether a request carries the admin secret.  Always false when
+ * ADMIN_SECRET is unset, so diagnostics stay closed by default.
+ * @param {Object} req - Incoming request
+ * @returns {boolean}
+ */
+export function hasAdminSecret(req) {
+  const secret = process.env.ADMIN_SECRET;
+  const supplied = req.headers?.[ADMIN_SECRET_HEADER];
+  if (!secret || !supplied) return false;
+  return safeEqual(supplied, secret);
+}
+
+/**
+ * Verify a GitHub webhook's X-Hub-Signature-256 header
+ * @param {Buffer|string} payload - Raw request body, exactly as received
+ * @param {string|undefined} signature - Header value, `sha256=<hex>`
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(payload, signature, secret) {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+  const expected = `sha256=${createHmac('sha256', secret).update(payload).digest('hex')}`;
+  return safeEqual(signature, expected);
+}
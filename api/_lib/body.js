@@ -0,0 +1,63 @@
+// Request body parsing for handlers that accept JSON or form posts
+
+import { ApiError } from './errors.js';
+
+// Contact messages and similar payloads are small; anything bigger is abuse
+export const DEFAULT_BODY_LIMIT = 16 * 1024;
+
+/**
+ * Parse a raw body according to its content type
+ * @param {string} text - Raw body
+ * @param {string} [contentType] - Content-Type header
+ * @returns {Object}
+ */
+function parseBody(text, contentType = '') {
+  if (!text) return {};
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ApiError('INVALID_PARAMETER', 'Request body must be valid JSON', { parameter: 'body' });
+  }
+}
+
+/**
+ * Read and parse a JSON or urlencoded request body.  Vercel has already
+ * parsed it into `req.body`; plain Node servers (scripts/dev-server.js)
+ * leave the stream unread, so it is read here up to `limit` bytes.
+ * @param {Object} req - Incoming request
+ * @param {Object} options
+ * @param {number} [options.limit=16384] - Largest accepted body in bytes
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+export async function readBody(req, { limit = DEFAULT_BODY_LIMIT } = {}) {
+  const contentType = req.headers['content-type'] || '';
+
+  let parsed;
+  try {
+    parsed = req.body;
+  } catch (error) {
+    // Vercel's lazy getter throws on malformed JSON
+    throw new ApiError('INVALID_PARAMETER', 'Request body must be valid JSON', { parameter: 'body' });
+  }
+
+  if (parsed !== undefined) {
+    if (typeof parsed === 'string' || Buffer.isBuffer(parsed)) {
+      return parseBody(String(parsed), contentType);
+    }
+    return parsed || {};
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new ApiError('INVALID_PARAMETER', `Request body must not exceed ${limit} bytes`, { parameter: 'body' });
+    }
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return parseBody(Buffer.concat(chunks).toString('utf8'), contentType);
+}
@@ -0,0 +1,250 @@
+// Server-side response cache for the serverless handlers
+// Optional environment variables:
+//   STATS_CACHE      - 'memory' (default) or 'fs'
+//   STATS_CACHE_DIR  - Directory for the filesystem adapter (defaults to the OS temp dir)
+//   STATS_CACHE_TTL  - Entry lifetime in seconds (defaults to 300)
+//   KV_REST_API_URL, KV_REST_API_TOKEN - Redis REST endpoint (Vercel KV,
+//                      Upstash) for state every instance must share; see getStore()
+
+import { createHash } from 'node:crypto';
+import { access, constants, mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const DEFAULT_TTL = 300;
+
+/**
+ * In-memory adapter.  Survives for the lifetime of a warm function instance.
+ * @param {Object} options
+ * @param {number} [options.maxEntries=100] - Oldest entries are evicted past this size
+ * @returns {Object} Cache adapter
+ */
+export function createMemoryCache({ maxEntries = 100 } = {}) {
+  const entries = new Map();
+
+  const store = (key, value, ttl) => {
+    entries.delete(key);
+    entries.set(key, { value, expires: Date.now() + ttl * 1000 });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expires) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttl = DEFAULT_TTL) {
+      store(key, value, ttl);
+    },
+
+    // Read and write happen in one turn of the event loop, so concurrent
+    // increments can't interleave
+    async increment(key, ttl = DEFAULT_TTL) {
+      const entry = entries.get(key);
+      const value = (entry && Date.now() <= entry.expires ? entry.value : 0) + 1;
+      store(key, value, ttl);
+      return value;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async stats() {
+      return { adapter: 'memory', entries: entries.size, writable: true };
+    }
+  };
+}
+
+/**
+ * Filesystem adapter.  Stores one JSON file per key so entries are shared
+ * between invocations that see the same disk.
+ * @param {Object} options
+ * @param {string} [options.dir] - Directory to store entries in
+ * @returns {Object} Cache adapter
+ */
+export function createFileCache({ dir = join(tmpdir(), 'github-stats-cache') } = {}) {
+  const pathFor = (key) => join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'fs',
+
+    async get(key) {
+      try {
+        const entry = JSON.parse(await readFile(pathFor(key), 'utf8'));
+        if (Date.now() > entry.expires) {
+          await rm(pathFor(key), { force: true });
+          return null;
+        }
+        return entry.value;
+      } catch (error) {
+        // Missing or unreadable entries are treated as a miss
+        return null;
+      }
+    },
+
+    async set(key, value, ttl = DEFAULT_TTL) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(pathFor(key), JSON.stringify({ value, expires: Date.now() + ttl * 1000 }));
+    },
+
+    async delete(key) {
+      await rm(pathFor(key), { force: true });
+    },
+
+    async stats() {
+      try {
+        await mkdir(dir, { recursive: true });
+        await access(dir, constants.W_OK);
+        const files = await readdir(dir);
+        return { adapter: 'fs', dir, entries: files.length, writable: true };
+      } catch (error) {
+        return { adapter: 'fs', dir, writable: false, error: error.code || error.message };
+      }
+    }
+  };
+}
+
+/**
+ * Redis REST adapter (Vercel KV, Upstash).  Shared by every function
+ * instance, so state kept here survives cold starts and scale-out.
+ * @param {Object} options
+ * @param {string} options.url - REST endpoint
+ * @param {string} options.token - Bearer token
+ * @param {string} [options.prefix=''] - Prepended to every key
+ * @param {Function} [options.fetch] - fetch() implementation, defaults to the global one
+ * @returns {Object} Cache adapter
+ */
+export function createKVCache({ url, token, prefix = '', fetch: fetchImpl = globalThis.fetch }) {
+  const command = async (...args) => {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(2000)
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || payload.error) {
+      throw new Error(`KV ${args[0]} failed: ${payload.error || response.status}`);
+    }
+    return payload.result;
+  };
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const value = await command('GET', prefix + key);
+      return value === null || value === undefined ? null : JSON.parse(value);
+    },
+
+    async set(key, value, ttl = DEFAULT_TTL) {
+      await command('SET', prefix + key, JSON.stringify(value), 'EX', Math.max(1, Math.ceil(ttl)));
+    },
+
+    // INCR is atomic across every instance sharing the database
+    async increment(key, ttl = DEFAULT_TTL) {
+      const value = await command('INCR', prefix + key);
+      await command('EXPIRE', prefix + key, Math.max(1, Math.ceil(ttl)));
+      return value;
+    },
+
+    async delete(key) {
+      await command('DEL', prefix + key);
+    },
+
+    async stats() {
+      try {
+        await command('PING');
+        return { adapter: 'kv', writable: true };
+      } catch (error) {
+        return { adapter: 'kv', writable: false, error: error.message };
+      }
+    }
+  };
+}
+
+let sharedCache = null;
+const stores = new Map();
+
+/**
+ * Cache adapter selected by STATS_CACHE, created once per instance
+ * @returns {Object} Cache adapter
+ */
+export function getCache() {
+  if (!sharedCache) {
+    sharedCache = process.env.STATS_CACHE === 'fs'
+      ? createFileCache(process.env.STATS_CACHE_DIR ? { dir: process.env.STATS_CACHE_DIR } : undefined)
+      : createMemoryCache();
+  }
+  return sharedCache;
+}
+
+/**
+ * Dedicated store for state that must not be evicted by response caching,
+ * such as stats versions and rate limit counters.  Uses the Redis REST
+ * endpoint from KV_REST_API_URL and KV_REST_API_TOKEN when set, which is
+ * the only option shared by every instance on Vercel; otherwise a
+ * subdirectory of the fs adapter, or an unbounded memory map that lasts as
+ * long as the instance.
+ * @param {string} name - Store name, e.g. 'versions'
+ * @returns {Object} Cache adapter
+ */
+export function getStore(name) {
+  if (!stores.has(name)) {
+    const { KV_REST_API_URL: url, KV_REST_API_TOKEN: token } = process.env;
+    let store;
+    if (url && token) {
+      store = createKVCache({ url, token, prefix: `${name}:` });
+    } else if (process.env.STATS_CACHE === 'fs') {
+      store = createFileCache({ dir: join(process.env.STATS_CACHE_DIR || join(tmpdir(), 'github-stats-cache'), name) });
+    } else {
+      store = createMemoryCache({ maxEntries: Infinity });
+    }
+    stores.set(name, store);
+  }
+  return stores.get(name);
+}
+
+/**
+ * Entry lifetime in seconds from STATS_CACHE_TTL
+ * @returns {number}
+ */
+export function getCacheTTL() {
+  const ttl = parseInt(process.env.STATS_CACHE_TTL, 10);
+  return ttl > 0 ? ttl : DEFAULT_TTL;
+}
+
+/**
+ * Strong ETag for a response body
+ * @param {any} body - JSON-serializable response body
+ * @returns {string} Quoted ETag value
+ */
+export function computeETag(body) {
+  return `"${createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches the given ETag
+ * @param {string|undefined} header - Raw If-None-Match header
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+export function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
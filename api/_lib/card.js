@@ -0,0 +1,185 @@
+// SVG stats card rendering for /api/github-card
+
+export const THEMES = {
+  dark: {
+    background: '#0a0d0a',
+    border: '#1f2a22',
+    text: '#e5e5e5',
+    muted: '#a0a0a0',
+    accent: '#1fa96a',
+    levels: ['#161b22', '#0e4429', '#006d32', '#26a641', '#39d353']
+  },
+  light: {
+    background: '#ffffff',
+    border: '#d0d7de',
+    text: '#1f2328',
+    muted: '#656d76',
+    accent: '#16764C',
+    levels: ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39']
+  }
+};
+
+export const SIZES = { small: 0.8, medium: 1, large: 1.25 };
+export const SECTIONS = ['stats', 'heatmap', 'languages'];
+
+const WIDTH = 495;
+const PADDING = 25;
+const CELL = 6;
+const CELL_STEP = 8;
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {any} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Intensity level for a day, matching the site's heatmap buckets
+ * @param {number} count
+ * @returns {number} 0-4
+ */
+function level(count) {
+  if (count === 0) return 0;
+  if (count <= 2) return 1;
+  if (count <= 5) return 2;
+  if (count <= 10) return 3;
+  return 4;
+}
+
+function renderStats(contributions, y) {
+  const items = [
+    ['Commits', contributions.totalCommits],
+    ['Pull Requests', contributions.totalPRs],
+    ['Issues', contributions.totalIssues]
+  ];
+  const column = (WIDTH - PADDING * 2) / items.length;
+
+  const svg = items.map(([label, value], i) => `
+    <g transform="translate(${PADDING + column * i}, ${y})">
+      <text class="value" y="20">${escapeXml((value || 0).toLocaleString('en-US'))}</text>
+      <text class="label" y="38">${escapeXml(label)}</text>
+    </g>`).join('');
+
+  return { svg, height: 50 };
+}
+
+function renderHeatmap(calendar, theme, y) {
+  if (!calendar.length) {
+    return { svg: '', height: 0 };
+  }
+
+  // Columns are Sunday-first weeks, offset by the weekday of the first day
+  const offset = calendar[0].weekday;
+  const cells = calendar.map((day, i) => {
+    const week = Math.floor((i + offset) / 7);
+    return `<rect x="${week * CELL_STEP}" y="${day.weekday * CELL_STEP}" width="${CELL}" height="${CELL}" rx="1" fill="${theme.levels[level(day.count)]}"><title>${escapeXml(`${day.date}: ${day.count} contributions`)}</title></rect>`;
+  }).join('');
+
+  return {
+    svg: `<g transform="translate(${PADDING}, ${y})">${cells}</g>`,
+    height: CELL_STEP * 7 + 12
+  };
+}
+
+function renderLanguages(languages, y) {
+  if (!languages?.length) {
+    return { svg: '', height: 0 };
+  }
+
+  const barWidth = WIDTH - PADDING * 2;
+  let x = 0;
+  const segments = languages.map(lang => {
+    const width = (lang.percentage / 100) * barWidth;
+    const rect = `<rect x="${x.toFixed(2)}" y="0" width="${width.toFixed(2)}" height="8" fill="${escapeXml(lang.color)}" />`;
+    x += width;
+    return rect;
+  }).join('');
+
+  const column = barWidth / 2;
+  const legend = languages.map((lang, i) => `
+      <g transform="translate(${(i % 2) * column}, ${28 + Math.floor(i / 2) * 20})">
+        <circle cx="5" cy="-4" r="5" fill="${escapeXml(lang.color)}" />
+        <text class="label" x="16">${escapeXml(lang.name)} ${lang.percentage.toFixed(1)}%</text>
+      </g>`).join('');
+
+  return {
+    svg: `
+    <g transform="translate(${PADDING}, ${y})">
+      <clipPath id="bar"><rect width="${barWidth}" height="8" rx="4" /></clipPath>
+      <g clip-path="url(#bar)">${segments}</g>${legend}
+    </g>`,
+    height: 28 + Math.ceil(languages.length / 2) * 20
+  };
+}
+
+/**
+ * Render the stats card
+ * @param {Object} data
+ * @param {string} data.username - Account shown in the title
+ * @param {number|string} data.year - Year the contributions cover
+ * @param {Object} data.contributions - Normalized contributions
+ * @param {Array} [data.topLanguages] - Normalized topLanguages
+ * @param {Object} options
+ * @param {string} [options.theme='dark'] - Key of THEMES
+ * @param {string} [options.size='medium'] - Key of SIZES
+ * @param {string[]} [options.hide=[]] - Entries of SECTIONS to leave out
+ * @returns {string} SVG document
+ */
+export function renderCard({ username, year, contributions, topLanguages }, { theme = 'dark', size = 'medium', hide = [] } = {}) {
+  const colors = Object.hasOwn(THEMES, theme) ? THEMES[theme] : THEMES.dark;
+  const scale = Object.hasOwn(SIZES, size) ? SIZES[size] : SIZES.medium;
+
+  let y = 58;
+  const sections = [];
+  const add = (name, render) => {
+    if (hide.includes(name)) return;
+    const { svg, height } = render(y);
+    if (!height) return;
+    sections.push(svg);
+    y += height + 15;
+  };
+
+  add('stats', (top) => renderStats(contributions, top));
+  add('heatmap', (top) => renderHeatmap(contributions.calendar || [], colors, top));
+  add('languages', (top) => renderLanguages(topLanguages, top));
+
+  const height = y + 5;
+  const title = `${(contributions.totalContributions || 0).toLocaleString('en-US')} contributions in ${year}`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(WIDTH * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-labelledby="title">
+  <title id="title">${escapeXml(`${username}: ${title}`)}</title>
+  <style>
+    text { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; }
+    .title { font-size: 18px; font-weight: 600; fill: ${colors.accent}; }
+    .subtitle { font-size: 12px; fill: ${colors.muted}; }
+    .value { font-size: 20px; font-weight: 700; fill: ${colors.accent}; }
+    .label { font-size: 12px; fill: ${colors.text}; }
+  </style>
+  <rect x="0.5" y="0.5" width="${WIDTH - 1}" height="${height - 1}" rx="8" fill="${colors.background}" stroke="${colors.border}" />
+  <text class="title" x="${PADDING}" y="32">${escapeXml(title)}</text>
+  <text class="subtitle" x="${PADDING}" y="48">@${escapeXml(username)}</text>
+  ${sections.join('\n')}
+</svg>`;
+}
+
+/**
+ * Render a small card describing an error
+ * @param {string} message
+ * @param {string} [theme='dark']
+ * @returns {string} SVG document
+ */
+export function renderErrorCard(message, theme = 'dark') {
+  const colors = Object.hasOwn(THEMES, theme) ? THEMES[theme] : THEMES.dark;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="70" viewBox="0 0 ${WIDTH} 70" role="img" aria-label="${escapeXml(message)}">
+  <rect x="0.5" y="0.5" width="${WIDTH - 1}" height="69" rx="8" fill="${colors.background}" stroke="${colors.border}" />
+  <text x="${PADDING}" y="40" font-family="Helvetica, Arial, sans-serif" font-size="14" fill="${colors.muted}">${escapeXml(message)}</text>
+</svg>`;
+}
@@ -0,0 +1,95 @@
+// Contact form validation and message formatting for /api/contact
+
+import { ApiError } from './errors.js';
+
+// Hidden field real visitors never see; bots fill in every input
+export const HONEYPOT_FIELD = 'website';
+// People need a few seconds to type a message; scripts post instantly
+export const MIN_FILL_MS = 3000;
+
+export const LIMITS = {
+  name: 100,
+  email: 254,
+  message: 5000
+};
+export const MIN_MESSAGE_LENGTH = 10;
+
+// Same rule as the form in js/script.js
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Trimmed string value of a field
+ * @param {any} value
+ * @returns {string}
+ */
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a contact form submission
+ * @param {Object} body - Parsed request body
+ * @param {Object} options
+ * @param {number} [options.now=Date.now()] - Current time in epoch ms
+ * @returns {{name: string, email: string, message: string, spam: string|null}}
+ *   `spam` names the check that flagged the submission, or null
+ * @throws {ApiError} INVALID_PARAMETER for a body that isn't an object, or missing
+ *   or malformed fields
+ */
+export function validateContact(body, { now = Date.now() } = {}) {
+  const invalid = (parameter, detail) => new ApiError('INVALID_PARAMETER', detail, { parameter });
+
+  // A JSON body can be null, an array or a bare value
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid('body', 'Request body must be an object with name, email and message.');
+  }
+
+  const name = text(body.name);
+  const email = text(body.email);
+  const message = text(body.message);
+
+  if (!name) throw invalid('name', 'Please enter your name.');
+  if (name.length > LIMITS.name || /[\r\n]/.test(name)) {
+    throw invalid('name', `Please enter a name of at most ${LIMITS.name} characters on one line.`);
+  }
+  if (!email) throw invalid('email', 'Please enter your email address.');
+  if (email.length > LIMITS.email || !EMAIL_PATTERN.test(email) || /[\r\n<>]/.test(email)) {
+    throw invalid('email', 'Please enter a valid email address.');
+  }
+  if (!message) throw invalid('message', 'Please enter your message.');
+  if (message.length < MIN_MESSAGE_LENGTH) {
+    throw invalid('message', `Please enter a message with at least ${MIN_MESSAGE_LENGTH} characters.`);
+  }
+  if (message.length > LIMITS.message) {
+    throw invalid('message', `Please keep your message under ${LIMITS.message} characters.`);
+  }
+
+  // Spam checks come last and never produce an error: the sender is told
+  // the message went through so bots learn nothing
+  let spam = null;
+  const startedAt = Number(body.startedAt);
+  if (text(body[HONEYPOT_FIELD])) {
+    spam = 'honeypot';
+  } else if (!Number.isFinite(startedAt) || now - startedAt < MIN_FILL_MS) {
+    spam = 'fill-time';
+  }
+
+  return { name, email, message, spam };
+}
+
+/**
+ * Turn a validated submission into a mail for the site owner
+ * @param {{name: string, email: string, message: string}} contact
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.from - Sender address the transport may use
+ * @param {string} [options.requestId] - Included so a message can be traced to its logs
+ * @returns {Object} Mail for a transport's send()
+ */
+export function createContactMail({ name, email, message }, { to, from, requestId }) {
+  return {
+    from: { name: `${name} via portfolio`, address: from },
+    to,
+    replyTo: { name, address: email },
+    subject: `Portfolio Contact: Message from ${name}`,
+    text: `Name: ${name}\nEmail: ${email}\n\n${message}\n${requestId ? `\n-- \nRequest ${requestId}\n` : ''}`
+  };
+}
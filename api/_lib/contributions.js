@@ -0,0 +1,201 @@
+// Contribution queries and normalization for /api/github-stats
+
+import { RATE_LIMIT_FIELDS } from './github.js';
+import { computeInsights } from './insights.js';
+import { DEFAULT_TIME_ZONE, dateInZone, startOfDay, toZonedISOString } from './timezone.js';
+
+// Repositories reported per contribution type, ranked by contribution count
+export const MAX_REPOSITORIES = 25;
+
+const REPOSITORY_CONTRIBUTION_FIELDS = `
+  repository {
+    nameWithOwner
+    url
+    isPrivate
+  }
+  contributions {
+    totalCount
+  }
+`;
+
+const CONTRIBUTION_FIELDS = `
+  totalCommitContributions
+  totalPullRequestContributions
+  totalIssueContributions
+  totalPullRequestReviewContributions
+  totalRepositoriesWithContributedCommits
+  restrictedContributionsCount
+  commitContributionsByRepository(maxRepositories: ${MAX_REPOSITORIES}) {
+    ${REPOSITORY_CONTRIBUTION_FIELDS}
+  }
+  pullRequestContributionsByRepository(maxRepositories: ${MAX_REPOSITORIES}) {
+    ${REPOSITORY_CONTRIBUTION_FIELDS}
+  }
+  contributionCalendar {
+    totalContributions
+    weeks {
+      contributionDays {
+        contributionCount
+        date
+        weekday
+      }
+    }
+  }
+`;
+
+/**
+ * Date range covering a full calendar year in a time zone
+ * @param {number} year - Four-digit year
+ * @param {string} [timeZone='UTC'] - IANA zone the year is measured in
+ * @returns {{from: Date, to: Date, timeZone: string}}
+ */
+export function yearRange(year, timeZone = DEFAULT_TIME_ZONE) {
+  return {
+    from: startOfDay(`${year}-01-01`, timeZone),
+    // Last second of Dec 31, matching the original T23:59:59Z bound in UTC
+    to: new Date(startOfDay(`${year + 1}-01-01`, timeZone).getTime() - 1000),
+    timeZone
+  };
+}
+
+/**
+ * Build a contributions query for one or more date ranges.  Each range gets
+ * its own aliased `contributionsCollection` so all of them resolve in a
+ * single round trip.
+ * @param {Array<{alias: string, from: Date, to: Date, timeZone?: string}>} ranges
+ * @returns {{query: string, variables: Object}} Query text and range variables
+ */
+export function buildContributionsQuery(ranges) {
+  const params = ranges
+    .map(({ alias }) => `$${alias}From: DateTime!, $${alias}To: DateTime!`)
+    .join(', ');
+  const collections = ranges
+    .map(({ alias }) => `
+        ${alias}: contributionsCollection(from: $${alias}From, to: $${alias}To) {
+          ${CONTRIBUTION_FIELDS}
+        }`)
+    .join('');
+
+  const variables = {};
+  // GitHub buckets calendar days by the offset of the timestamps it is given
+  ranges.forEach(({ alias, from, to, timeZone }) => {
+    variables[`${alias}From`] = toZonedISOString(from, timeZone);
+    variables[`${alias}To`] = toZonedISOString(to, timeZone);
+  });
+
+  return {
+    query: `
+      query($username: String!, ${params}) {
+        ${RATE_LIMIT_FIELDS}
+        user(login: $username) {${collections}
+        }
+      }
+    `,
+    variables
+  };
+}
+
+/**
+ * Build a zero-filled calendar covering a date range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end (inclusive)
+ * @param {Map<string, number>|Object} counts - Contribution counts keyed by YYYY-MM-DD
+ * @param {string} [timeZone='UTC'] - Zone whose days the calendar lists
+ * @returns {Array<{date: string, count: number, weekday: number}>}
+ */
+export function fillCalendar(from, to, counts = {}, timeZone = DEFAULT_TIME_ZONE) {
+  const lookup = counts instanceof Map ? counts : new Map(Object.entries(counts));
+  const calendar = [];
+  const last = dateInZone(to, timeZone);
+  // Walk the zone's dates as plain days; UTC arithmetic has no DST gaps
+  const day = new Date(`${dateInZone(from, timeZone)}T00:00:00Z`);
+  for (let date = dateInZone(day); date <= last; day.setUTCDate(day.getUTCDate() + 1), date = dateInZone(day)) {
+    calendar.push({ date, count: lookup.get(date) || 0, weekday: day.getUTCDay() });
+  }
+  return calendar;
+}
+
+/**
+ * Normalize a `...ContributionsByRepository` list.  Private repositories
+ * keep their count but not their name, so the public site doesn't leak them.
+ * @param {Array} entries - GraphQL entries with `repository` and `contributions.totalCount`
+ * @returns {Array<{name: string, url: string|null, isPrivate: boolean, count: number}>} Sorted by count, descending
+ */
+export function normalizeRepositoryContributions(entries) {
+  return (entries || [])
+    .map(({ repository, contributions }) => ({
+      name: repository.isPrivate ? 'Private repository' : repository.nameWithOwner,
+      url: repository.isPrivate ? null : repository.url,
+      isPrivate: Boolean(repository.isPrivate),
+      count: contributions.totalCount
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Assemble the client contributions schema, deriving insights from the calendar
+ * @param {Object} fields - { totalCommits, totalPRs, totalIssues, calendar, totalContributions },
+ *   plus optional review, restricted and per-repository figures for providers that report them
+ * @returns {Object} { totalCommits, totalPRs, totalIssues, totalReviews, restrictedContributions,
+ *   totalRepositoriesWithCommits, calendar, totalContributions, commitContributionsByRepository,
+ *   pullRequestContributionsByRepository, insights }
+ */
+export function createContributions({
+  totalCommits,
+  totalPRs,
+  totalIssues,
+  totalReviews = 0,
+  restrictedContributions = 0,
+  totalRepositoriesWithCommits = 0,
+  calendar,
+  totalContributions,
+  commitContributionsByRepository = [],
+  pullRequestContributionsByRepository = [],
+  timeZone = DEFAULT_TIME_ZONE
+}) {
+  return {
+    totalCommits,
+    totalPRs,
+    totalIssues,
+    totalReviews,
+    // Contributions to private repositories the viewer can't see, counted in
+    // totalContributions but in none of the totals above
+    restrictedContributions,
+    totalRepositoriesWithCommits,
+    calendar,
+    totalContributions,
+    commitContributionsByRepository,
+    pullRequestContributionsByRepository,
+    // "Today" is the viewer's today, so streaks don't end early or late
+    insights: computeInsights(calendar, { timeZone })
+  };
+}
+
+/**
+ * Normalize a GraphQL contributionsCollection into the client schema
+ * @param {Object} collection - contributionsCollection result
+ * @param {Object} options
+ * @param {string} [options.timeZone='UTC'] - Zone the collection was requested in
+ * @returns {Object} Contributions in the shape produced by createContributions()
+ */
+export function normalizeContributions(collection, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return createContributions({
+    totalCommits: collection.totalCommitContributions,
+    totalPRs: collection.totalPullRequestContributions,
+    totalIssues: collection.totalIssueContributions,
+    totalReviews: collection.totalPullRequestReviewContributions,
+    restrictedContributions: collection.restrictedContributionsCount,
+    totalRepositoriesWithCommits: collection.totalRepositoriesWithContributedCommits,
+    calendar: collection.contributionCalendar.weeks.flatMap(week =>
+      week.contributionDays.map(day => ({
+        date: day.date,
+        count: day.contributionCount,
+        weekday: day.weekday
+      }))
+    ),
+    totalContributions: collection.contributionCalendar.totalContributions,
+    commitContributionsByRepository: normalizeRepositoryContributions(collection.commitContributionsByRepository),
+    pullRequestContributionsByRepository: normalizeRepositoryContributions(collection.pullRequestContributionsByRepository),
+    timeZone
+  });
+}
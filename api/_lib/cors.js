@@ -0,0 +1,112 @@
+// Cross-origin access for the handlers in api/
+// Optional environment variable:
+//   CORS_ALLOWED_ORIGINS - Comma-separated origins that may call the API from
+//                          a browser, e.g. "https://kevinngo.dev,https://*.vercel.app".
+//                          The site's own origin is always allowed; "*" allows any.
+
+import { ApiError, sendError } from './errors.js';
+import { createRequestLogger } from './logger.js';
+
+// Browsers may reuse a preflight answer for this many seconds
+const PREFLIGHT_MAX_AGE = 600;
+
+/**
+ * Origins from CORS_ALLOWED_ORIGINS
+ * @returns {string[]} Origins or patterns such as "https://*.vercel.app"
+ */
+export function getAllowedOrigins() {
+  return (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether an origin matches an allowlist entry.  A `*.` label matches any
+ * subdomain, never the bare domain.
+ * @param {string} origin - Lowercase Origin header
+ * @param {string} entry - Lowercase allowlist entry
+ * @returns {boolean}
+ */
+function matchesEntry(origin, entry) {
+  if (entry === '*' || entry === origin) return true;
+  const wildcard = entry.indexOf('://*.');
+  if (wildcard === -1) return false;
+  const scheme = entry.slice(0, wildcard + 3);
+  const suffix = entry.slice(wildcard + 4);
+  return origin.startsWith(scheme) && origin.endsWith(suffix) && origin.length > scheme.length + suffix.length;
+}
+
+/**
+ * Whether a browser on `origin` may call the API.  Same-origin requests
+ * (the site itself, including previews and the dev server) always may.
+ * @param {string} origin - Origin header
+ * @param {Object} req - Incoming request
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin, req) {
+  const normalized = origin.toLowerCase();
+  const host = req.headers?.['x-forwarded-host'] || req.headers?.host;
+  try {
+    if (host && new URL(normalized).host === host.toLowerCase()) return true;
+  } catch {
+    // "null" and other opaque origins only match an explicit entry
+  }
+  return getAllowedOrigins().some(entry => matchesEntry(normalized, entry));
+}
+
+/**
+ * CORS middleware shared by every handler.  Sets the headers for allowed
+ * origins, answers preflight requests with the route's own methods, and
+ * rejects browsers on other origins before any work (or GitHub quota) is
+ * spent.  Requests without an Origin header (servers, curl, webhooks,
+ * <img> embeds) pass through untouched.
+ *
+ *   if (applyCors(req, res, { methods: ['GET'], log })) return;
+ *
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Vercel response
+ * @param {Object} options
+ * @param {string[]} options.methods - Methods the route supports (OPTIONS is added)
+ * @param {string[]} [options.headers=['Content-Type']] - Request headers clients may send
+ * @param {string[]} [options.exposeHeaders=[]] - Response headers scripts may read
+ *   (X-Request-Id is always exposed)
+ * @param {Object} [options.log] - The handler's request logger
+ * @returns {boolean} True when the response has already been sent
+ */
+export function applyCors(req, res, { methods, headers = ['Content-Type'], exposeHeaders = [], log = createRequestLogger(req, res) }) {
+  // Responses differ by Origin, so caches must keep them apart
+  const vary = res.getHeader?.('Vary');
+  if (!vary) {
+    res.setHeader('Vary', 'Origin');
+  } else if (!/\borigin\b/i.test(vary)) {
+    res.setHeader('Vary', `${vary}, Origin`);
+  }
+
+  const origin = req.headers?.origin;
+  if (!origin) {
+    if (req.method === 'OPTIONS') {
+      res.status(204).end();
+      return true;
+    }
+    return false;
+  }
+
+  if (!isOriginAllowed(origin, req)) {
+    sendError(res, new ApiError('ORIGIN_NOT_ALLOWED', `Origin ${origin} is not allowed`), log);
+    return true;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Expose-Headers', [...exposeHeaders, 'X-Request-Id'].join(', '));
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', headers.join(', '));
+    res.setHeader('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE));
+    res.status(204).end();
+    return true;
+  }
+
+  return false;
+}
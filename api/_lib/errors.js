@@ -0,0 +1,86 @@
+// Structured API errors shared by every handler in api/
+// Error bodies have the shape { code, message, requestId, ...details }
+
+import { randomUUID } from 'node:crypto';
+
+export const ERROR_STATUS = {
+  INVALID_PARAMETER: 400,
+  INVALID_USERNAME: 400,
+  INVALID_YEAR: 400,
+  INVALID_RANGE: 400,
+  INVALID_PROVIDER: 400,
+  INVALID_TIMEZONE: 400,
+  UNAUTHORIZED: 401,
+  ORIGIN_NOT_ALLOWED: 403,
+  METHOD_NOT_ALLOWED: 405,
+  USER_NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  CONFIG_ERROR: 500,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_TIMEOUT: 504
+};
+
+/**
+ * Error with a machine-readable code and the HTTP status that goes with it
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_STATUS
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Extra fields merged into the response body
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * Request identifier: Vercel's own id when deployed, a UUID otherwise
+ * @param {Object} req - Incoming request
+ * @returns {string}
+ */
+export function getRequestId(req) {
+  return req.headers?.['x-vercel-id'] || randomUUID();
+}
+
+/**
+ * Coerce any thrown value into an ApiError
+ * @param {any} error
+ * @returns {ApiError}
+ */
+export function toApiError(error) {
+  if (error instanceof ApiError) return error;
+  return new ApiError('INTERNAL_ERROR', 'Unexpected server error');
+}
+
+/**
+ * Build the JSON error body
+ * @param {ApiError} error
+ * @param {string} requestId
+ * @returns {Object} { code, message, requestId, ...details }
+ */
+export function errorBody(error, requestId) {
+  return { code: error.code, message: error.message, requestId, ...error.details };
+}
+
+/**
+ * Send a structured JSON error response.  The code goes into the request's
+ * summary log line; server errors are also logged with their cause.
+ * @param {Object} res - Vercel response
+ * @param {any} error - Thrown value
+ * @param {Object} log - Request logger from createRequestLogger()
+ * @returns {Object} The response
+ */
+export function sendError(res, error, log) {
+  const apiError = toApiError(error);
+  log.set({ errorCode: apiError.code });
+  if (apiError.status >= 500) {
+    log.error(apiError.message, { errorCode: apiError.code, error });
+  }
+  return res.status(apiError.status).json(errorBody(apiError, log.requestId));
+}
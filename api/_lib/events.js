@@ -0,0 +1,180 @@
+// Recent public activity for /api/github-events: the user's own pushes,
+// pull requests, releases and new repositories from the REST events API,
+// plus stars received on their repositories from GraphQL
+
+import { RATE_LIMIT_FIELDS, githubGraphQL, githubREST } from './github.js';
+import { ApiError } from './errors.js';
+
+export const EVENT_TYPES = ['push', 'pull_request', 'release', 'repository', 'star'];
+
+// GitHub keeps at most 300 events per user, served 100 to a page
+const EVENTS_PER_PAGE = 100;
+const MAX_EVENT_PAGES = 3;
+// Stars are read from the most-starred repositories, newest first
+const STARRED_REPOSITORIES = 10;
+const STARS_PER_REPOSITORY = 10;
+
+const STARS_QUERY = `
+  query($username: String!, $repositories: Int!, $stars: Int!) {
+    ${RATE_LIMIT_FIELDS}
+    user(login: $username) {
+      repositories(first: $repositories, ownerAffiliations: OWNER, privacy: PUBLIC, orderBy: { field: STARGAZERS, direction: DESC }) {
+        nodes {
+          nameWithOwner
+          url
+          stargazers(last: $stars, orderBy: { field: STARRED_AT, direction: ASC }) {
+            edges {
+              starredAt
+              node {
+                login
+                url
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Map one REST event onto the timeline schema
+ * @param {Object} event - Event from /users/{username}/events/public
+ * @returns {Object|null} Normalized event, or null for events the timeline doesn't show
+ */
+export function normalizeEvent(event) {
+  const repo = { name: event.repo.name, url: `https://github.com/${event.repo.name}` };
+  const base = { id: String(event.id), createdAt: event.created_at, repo };
+  const payload = event.payload || {};
+
+  switch (event.type) {
+    case 'PushEvent':
+      return {
+        ...base,
+        type: 'push',
+        commits: payload.size ?? payload.commits?.length ?? 0,
+        branch: payload.ref ? payload.ref.replace(/^refs\/heads\//, '') : null,
+        url: payload.before && payload.head
+          ? `${repo.url}/compare/${payload.before.slice(0, 12)}...${payload.head.slice(0, 12)}`
+          : repo.url
+      };
+
+    case 'PullRequestEvent': {
+      const pr = payload.pull_request || {};
+      // Only openings and merges; closing without merging isn't news
+      const action = payload.action === 'opened'
+        ? 'opened'
+        : payload.action === 'closed' && pr.merged ? 'merged' : null;
+      if (!action) return null;
+      const number = payload.number ?? pr.number;
+      return {
+        ...base,
+        type: 'pull_request',
+        action,
+        number,
+        title: pr.title || null,
+        url: pr.html_url || `${repo.url}/pull/${number}`
+      };
+    }
+
+    case 'ReleaseEvent': {
+      if (payload.action !== 'published') return null;
+      const release = payload.release || {};
+      return {
+        ...base,
+        type: 'release',
+        name: release.name || release.tag_name,
+        tag: release.tag_name,
+        url: release.html_url || `${repo.url}/releases`
+      };
+    }
+
+    case 'CreateEvent':
+      if (payload.ref_type !== 'repository') return null;
+      return {
+        ...base,
+        type: 'repository',
+        description: payload.description || null,
+        url: repo.url
+      };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Turn the stargazers of each repository into `star` events
+ * @param {Array} repositories - Repository nodes from STARS_QUERY
+ * @returns {Array} Normalized star events
+ */
+export function normalizeStars(repositories) {
+  return (repositories || []).flatMap(repo => (repo.stargazers?.edges || []).map(({ starredAt, node }) => ({
+    id: `star:${repo.nameWithOwner}:${node.login}`,
+    createdAt: starredAt,
+    repo: { name: repo.nameWithOwner, url: repo.url },
+    type: 'star',
+    actor: { login: node.login, url: node.url },
+    url: node.url
+  })));
+}
+
+/**
+ * Fetch a user's recent events, newest first
+ * @param {string} username - GitHub login
+ * @param {Object} options
+ * @param {Object} [options.github] - Options passed through to the GitHub client
+ * @returns {Promise<Array>} Normalized events of every type
+ */
+export async function fetchRecentEvents(username, { github } = {}) {
+  const fetchEvents = async () => {
+    const events = [];
+    for (let page = 1; page <= MAX_EVENT_PAGES; page++) {
+      const data = await githubREST(`/users/${encodeURIComponent(username)}/events/public?per_page=${EVENTS_PER_PAGE}&page=${page}`, github);
+      if (!data) {
+        throw new ApiError('USER_NOT_FOUND', `User "${username}" not found`);
+      }
+      events.push(...data);
+      if (data.length < EVENTS_PER_PAGE) break;
+    }
+    return events;
+  };
+
+  const [events, stars] = await Promise.all([
+    fetchEvents(),
+    githubGraphQL(STARS_QUERY, { username, repositories: STARRED_REPOSITORIES, stars: STARS_PER_REPOSITORY }, github)
+  ]);
+
+  return [
+    ...events.map(normalizeEvent).filter(Boolean),
+    ...normalizeStars(stars.user?.repositories?.nodes)
+  ].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Filter events by type and cut out one page.  With `before`, paging starts
+ * at that timestamp instead of the newest event, so a client asking for
+ * "older than the last one I have" isn't thrown off when new events arrive
+ * between requests.  Events at exactly `before` are included, since several
+ * can share a timestamp; clients drop the ones they already hold by `id`.
+ * @param {Array} events - Normalized events, newest first
+ * @param {Object} options
+ * @param {string[]|null} [options.types] - Entries of EVENT_TYPES to keep; all when null
+ * @param {string|null} [options.before] - ISO timestamp; only events at or before it
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.perPage=20] - Events per page
+ * @returns {{events: Array, page: number, perPage: number, total: number, hasNextPage: boolean}}
+ */
+export function paginateEvents(events, { types = null, before = null, page = 1, perPage = 20 } = {}) {
+  const cutoff = before && new Date(before).getTime();
+  const matching = events.filter(event => (!types || types.includes(event.type))
+    && (!before || new Date(event.createdAt).getTime() <= cutoff));
+  const start = (page - 1) * perPage;
+  return {
+    events: matching.slice(start, start + perPage),
+    page,
+    perPage,
+    total: matching.length,
+    hasNextPage: start + perPage < matching.length
+  };
+}
@@ -0,0 +1,272 @@
+// Offline stand-in for the GitHub API, enabled with GITHUB_MOCK=fixtures
+// Optional environment variables:
+//   GITHUB_MOCK         - 'fixtures' to answer from api/_fixtures/github/
+//   GITHUB_MOCK_LATENCY - Milliseconds to wait before every response
+//
+// Recordings hold one contributionsCollection per user and year, plus the
+// repositories and pinnedItems connections, the stargazers of the most
+// starred repositories and the REST events feed.  Queries for a full recorded
+// year get the recording verbatim; other ranges are assembled from the
+// recorded days.  A few reserved logins simulate failures.
+
+import { existsSync, readFileSync } from 'node:fs';
+
+export const GITHUB_FIXTURES_DIR = new URL('../_fixtures/github/', import.meta.url);
+
+// Logins that answer with a failure instead of data
+export const SCENARIOS = {
+  'fixture-rate-limited': 'rate-limited',
+  'fixture-server-error': 'server-error',
+  'fixture-timeout': 'timeout'
+};
+
+const MOCK_QUOTA = 5000;
+
+/**
+ * Whether GitHub requests are answered from fixtures
+ * @returns {boolean}
+ */
+export function isGitHubMock() {
+  return process.env.GITHUB_MOCK === 'fixtures';
+}
+
+const jsonResponse = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_DELAY = 2 ** 31 - 1;
+
+/**
+ * Resolve after `ms`, or reject with the signal's reason once it aborts
+ * @param {number} ms - Use Infinity to wait for the signal only
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    // Always hold a timer: AbortSignal.timeout() alone doesn't keep Node alive
+    const timer = setTimeout(resolve, Math.min(ms, MAX_DELAY));
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Group calendar days into Sunday-first weeks like contributionCalendar.weeks
+ * @param {Array} days - contributionDays in ascending order
+ * @returns {Array<{contributionDays: Array}>}
+ */
+function toWeeks(days) {
+  const weeks = [];
+  days.forEach(day => {
+    if (!weeks.length || day.weekday === 0) weeks.push({ contributionDays: [] });
+    weeks[weeks.length - 1].contributionDays.push(day);
+  });
+  return weeks;
+}
+
+const TOTAL_FIELDS = [
+  'totalCommitContributions',
+  'totalPullRequestContributions',
+  'totalIssueContributions',
+  'totalPullRequestReviewContributions',
+  'restrictedContributionsCount'
+];
+
+/**
+ * contributionsCollection for an arbitrary range.  Totals of partially
+ * covered years are scaled by the share of that year's contributions that
+ * fall inside the range.
+ * @param {Object} recorded - Recorded collections keyed by year
+ * @param {string} start - First day, YYYY-MM-DD
+ * @param {string} end - Last day, YYYY-MM-DD
+ * @returns {Object} contributionsCollection
+ */
+export function collectionForRange(recorded, start, end) {
+  const fromYear = start.slice(0, 4);
+  if (start === `${fromYear}-01-01` && end === `${fromYear}-12-31` && recorded[fromYear]) {
+    return recorded[fromYear];
+  }
+
+  const counts = new Map();
+  const collection = {
+    totalRepositoriesWithContributedCommits: 0,
+    commitContributionsByRepository: [],
+    pullRequestContributionsByRepository: []
+  };
+  TOTAL_FIELDS.forEach(field => { collection[field] = 0; });
+
+  Object.values(recorded).forEach(year => {
+    const yearDays = year.contributionCalendar.weeks.flatMap(week => week.contributionDays);
+    const yearTotal = yearDays.reduce((sum, day) => sum + day.contributionCount, 0);
+    let inRange = 0;
+    yearDays.forEach(day => {
+      if (day.date >= start && day.date <= end) {
+        counts.set(day.date, day.contributionCount);
+        inRange += day.contributionCount;
+      }
+    });
+    if (!inRange) return;
+
+    const share = inRange / yearTotal;
+    TOTAL_FIELDS.forEach(field => { collection[field] += Math.round(year[field] * share); });
+    // Per-repository lists come from the most recent year in the range
+    collection.totalRepositoriesWithContributedCommits = year.totalRepositoriesWithContributedCommits;
+    collection.commitContributionsByRepository = year.commitContributionsByRepository;
+    collection.pullRequestContributionsByRepository = year.pullRequestContributionsByRepository;
+  });
+
+  const days = [];
+  const day = new Date(`${start}T00:00:00Z`);
+  for (; day.toISOString().split('T')[0] <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    const date = day.toISOString().split('T')[0];
+    days.push({ contributionCount: counts.get(date) || 0, date, weekday: day.getUTCDay() });
+  }
+
+  collection.contributionCalendar = {
+    totalContributions: days.reduce((sum, d) => sum + d.contributionCount, 0),
+    weeks: toWeeks(days)
+  };
+  return collection;
+}
+
+/**
+ * Answer a GraphQL request from a user's recordings
+ * @param {Object|null} fixture - Parsed recording, or null for an unknown user
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Query variables
+ * @param {Object} rateLimit - rateLimit block to include
+ * @returns {Object} GraphQL response body
+ */
+export function answerQuery(fixture, query, variables, rateLimit) {
+  if (!fixture) {
+    return {
+      data: { rateLimit, user: null },
+      errors: [{ type: 'NOT_FOUND', path: ['user'], message: `Could not resolve to a User with the login of '${variables.username}'.` }]
+    };
+  }
+
+  const user = {};
+  if (query.includes('pinnedItems')) {
+    user.pinnedItems = { nodes: fixture.pinnedItems.slice(0, variables.limit) };
+  }
+  if (query.includes('stargazers')) {
+    user.repositories = { nodes: fixture.stargazers || [] };
+  } else if (query.includes('repositories(')) {
+    user.repositories = { pageInfo: { hasNextPage: false, endCursor: null }, nodes: fixture.repositories };
+  }
+  Object.keys(variables)
+    .filter(name => name.endsWith('From'))
+    .forEach(name => {
+      const alias = name.slice(0, -'From'.length);
+      // Like GitHub, the calendar follows the days written in the timestamps,
+      // whatever their UTC offset
+      user[alias] = collectionForRange(
+        fixture.contributionsCollection,
+        variables[name].slice(0, 10),
+        variables[`${alias}To`].slice(0, 10)
+      );
+    });
+
+  return { data: { rateLimit, user } };
+}
+
+/**
+ * Create a fetch() replacement for api.github.com backed by recordings
+ * @param {Object} options
+ * @param {URL|string} [options.dir] - Directory holding `<login>.json`
+ * @param {number} [options.latency] - Milliseconds to wait before answering
+ * @returns {Function} Fetch-compatible function
+ */
+export function createGitHubFixtureFetch({
+  dir = GITHUB_FIXTURES_DIR,
+  latency = parseInt(process.env.GITHUB_MOCK_LATENCY, 10) || 0
+} = {}) {
+  const recordings = new Map();
+  // REST and GraphQL have separate quotas, like on GitHub
+  const remaining = { core: MOCK_QUOTA, graphql: MOCK_QUOTA };
+
+  const load = (login) => {
+    const key = login.toLowerCase();
+    if (!recordings.has(key)) {
+      const file = new URL(`${key}.json`, dir);
+      recordings.set(key, existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null);
+    }
+    return recordings.get(key);
+  };
+
+  return async function githubFixtureFetch(url, { body, signal } = {}) {
+    await wait(latency, signal);
+
+    const { pathname, searchParams } = new URL(url);
+    // REST: /users/{login}/events/public; everything else is GraphQL
+    const events = pathname.match(/^\/users\/([^/]+)\/events\/public$/);
+    const resource = events || pathname === '/rate_limit' ? 'core' : 'graphql';
+
+    const resetAt = new Date(Date.now() + 60 * 60 * 1000);
+    const rateLimitHeaders = {
+      'x-ratelimit-limit': String(MOCK_QUOTA),
+      'x-ratelimit-remaining': String(remaining[resource]),
+      'x-ratelimit-reset': String(Math.floor(resetAt.getTime() / 1000)),
+      'x-ratelimit-resource': resource
+    };
+
+    if (pathname === '/rate_limit') {
+      return jsonResponse({ resources: {} }, 200, { ...rateLimitHeaders, 'x-oauth-scopes': 'read:user' });
+    }
+
+    const { query, variables = {} } = events ? {} : JSON.parse(body);
+    const username = events ? decodeURIComponent(events[1]) : variables.username;
+    const scenario = SCENARIOS[String(username).toLowerCase()];
+
+    if (scenario === 'timeout') {
+      // Never answer; the caller's AbortSignal.timeout ends the request
+      await wait(Infinity, signal);
+    }
+    if (scenario === 'server-error') {
+      return jsonResponse({ message: 'Server Error' }, 502, rateLimitHeaders);
+    }
+    if (scenario === 'rate-limited' && events) {
+      return jsonResponse({ message: 'API rate limit exceeded for user ID 1.' }, 403, { ...rateLimitHeaders, 'x-ratelimit-remaining': '0' });
+    }
+    if (scenario === 'rate-limited') {
+      return jsonResponse({
+        data: { rateLimit: { limit: MOCK_QUOTA, remaining: 0, resetAt: resetAt.toISOString(), cost: 1 } },
+        errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded for user ID 1.' }]
+      }, 200, { ...rateLimitHeaders, 'x-ratelimit-remaining': '0' });
+    }
+
+    remaining[resource] = Math.max(remaining[resource] - 1, 0);
+
+    if (events) {
+      const fixture = load(username);
+      if (!fixture) {
+        return jsonResponse({ message: 'Not Found' }, 404, rateLimitHeaders);
+      }
+      const perPage = parseInt(searchParams.get('per_page'), 10) || 30;
+      const page = parseInt(searchParams.get('page'), 10) || 1;
+      return jsonResponse((fixture.events || []).slice((page - 1) * perPage, page * perPage), 200, rateLimitHeaders);
+    }
+
+    const rateLimit = { limit: MOCK_QUOTA, remaining: remaining.graphql, resetAt: resetAt.toISOString(), cost: 1 };
+    return jsonResponse(answerQuery(load(variables.username), query, variables, rateLimit), 200, rateLimitHeaders);
+  };
+}
+
+let sharedFetch = null;
+
+/**
+ * fetch() to use for api.github.com: the fixture transport in mock mode,
+ * the global fetch otherwise
+ * @returns {Function}
+ */
+export function getGitHubFetch() {
+  if (!isGitHubMock()) return fetch;
+  if (!sharedFetch) sharedFetch = createGitHubFixtureFetch();
+  return sharedFetch;
+}
@@ -0,0 +1,309 @@
+// GitHub GraphQL client shared by the serverless handlers in api/
+// Environment variable required: GITHUB_TOKEN (not needed with GITHUB_MOCK=fixtures)
+
+import { ApiError } from './errors.js';
+import { getGitHubFetch, isGitHubMock } from './github-fixtures.js';
+import { writeLog } from './logger.js';
+
+export const GITHUB_API_URL = 'https://api.github.com';
+export const GITHUB_GRAPHQL_URL = `${GITHUB_API_URL}/graphql`;
+// REST endpoint that reports the quota without counting against it
+export const GITHUB_RATE_LIMIT_URL = `${GITHUB_API_URL}/rate_limit`;
+
+// Selection set to add at the query root so every response reports its quota
+export const RATE_LIMIT_FIELDS = `
+  rateLimit {
+    limit
+    remaining
+    resetAt
+    cost
+  }
+`;
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 500;
+// Vercel's maxDuration for these functions is 10s; leave room to respond
+export const DEFAULT_BUDGET_MS = 8000;
+
+/**
+ * Error for a failed GitHub request
+ */
+export class GitHubError extends ApiError {
+  constructor(message, code = 'UPSTREAM_ERROR', details = {}) {
+    super(code, message, details);
+    this.name = 'GitHubError';
+  }
+}
+
+/**
+ * Error for an exhausted primary quota or a secondary rate limit that
+ * could not be waited out within the request budget
+ */
+export class RateLimitError extends GitHubError {
+  constructor(message, { resetAt, retryAfter, rateLimit } = {}) {
+    super(message, 'RATE_LIMITED', { resetAt, retryAfter });
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+    this.retryAfter = retryAfter;
+    this.rateLimit = rateLimit;
+  }
+}
+
+/**
+ * Whether GitHub requests can be made: a token is set or fixtures are in use
+ * @returns {boolean}
+ */
+export function isGitHubConfigured() {
+  return Boolean(process.env.GITHUB_TOKEN) || isGitHubMock();
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read GitHub's x-ratelimit-* response headers
+ * @param {Headers} headers - Fetch response headers
+ * @param {string|null} [resource=null] - Quota to assume when GitHub doesn't name one
+ * @returns {Object|null} { resource, limit, remaining, resetAt } or null when absent
+ */
+function parseRateLimitHeaders(headers, resource = null) {
+  const remaining = headers.get('x-ratelimit-remaining');
+  if (remaining === null) return null;
+  const reset = parseInt(headers.get('x-ratelimit-reset'), 10);
+  return {
+    resource: headers.get('x-ratelimit-resource') || resource,
+    limit: parseInt(headers.get('x-ratelimit-limit'), 10) || null,
+    remaining: parseInt(remaining, 10),
+    resetAt: reset ? new Date(reset * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Seconds until a reset timestamp, never less than one
+ * @param {string|null} resetAt - ISO timestamp
+ * @returns {number}
+ */
+function secondsUntil(resetAt) {
+  if (!resetAt) return 60;
+  return Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Send a request to the GitHub API.  5xx responses, network failures and
+ * secondary rate limits are retried with exponential backoff as long as
+ * the wait fits inside the request budget.
+ * @param {string} url - Absolute api.github.com URL
+ * @param {Object} init - fetch() options; the Authorization header is added
+ * @param {Object} options
+ * @param {number} options.deadline - Epoch ms after which no retry is started
+ * @param {string} options.resource - Quota the request counts against: `core` (REST) or `graphql`
+ * @param {Function} [options.onRateLimit] - Called with { resource, limit, remaining, resetAt } for failed responses
+ * @returns {Promise<{response: Response, headerLimit: Object|null}>} A 2xx or 404 response and its quota headers
+ */
+async function githubFetch(url, init, { deadline, resource, onRateLimit }) {
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    let failure;
+
+    try {
+      response = await getGitHubFetch()(url, {
+        ...init,
+        headers: {
+          'Authorization': `Bearer ${process.env.GITHUB_TOKEN}`,
+          ...init.headers
+        },
+        // Never wait on GitHub past the budget for the whole request
+        signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1000))
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new GitHubError('GitHub API did not respond in time', 'UPSTREAM_TIMEOUT');
+      }
+      failure = new GitHubError(`GitHub API request failed: ${error.message}`);
+    }
+
+    let delay = BASE_DELAY_MS * 2 ** (attempt - 1);
+
+    if (response) {
+      const headerLimit = parseRateLimitHeaders(response.headers, resource);
+
+      // Success, or a REST resource that doesn't exist: the caller decides
+      if (response.ok || response.status === 404) {
+        return { response, headerLimit };
+      }
+
+      if (headerLimit && onRateLimit) onRateLimit(headerLimit);
+
+      // Primary quota exhausted: nothing to gain by retrying before the reset
+      if (headerLimit?.remaining === 0) {
+        throw new RateLimitError('GitHub API rate limit exceeded', {
+          resetAt: headerLimit.resetAt,
+          retryAfter: secondsUntil(headerLimit.resetAt),
+          rateLimit: headerLimit
+        });
+      }
+
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      const secondary = (response.status === 403 || response.status === 429) &&
+        (retryAfter > 0 || /secondary rate limit/i.test(await response.text().catch(() => '')));
+
+      if (secondary) {
+        if (retryAfter > 0) delay = retryAfter * 1000;
+        failure = new RateLimitError('GitHub secondary rate limit exceeded', {
+          resetAt: new Date(Date.now() + delay).toISOString(),
+          retryAfter: Math.ceil(delay / 1000)
+        });
+      } else if (response.status >= 500) {
+        failure = new GitHubError(`GitHub API responded with status: ${response.status}`);
+      } else if (response.status === 401) {
+        throw new ApiError('CONFIG_ERROR', 'GitHub token was rejected');
+      } else {
+        throw new GitHubError(`GitHub API responded with status: ${response.status}`);
+      }
+    }
+
+    if (attempt >= MAX_ATTEMPTS || Date.now() + delay > deadline) {
+      throw failure;
+    }
+    await sleep(delay);
+  }
+}
+
+/**
+ * Run a GraphQL query against the GitHub API, with the retries of
+ * githubFetch()
+ * @param {string} query - GraphQL document
+ * @param {Object} variables - Query variables
+ * @param {Object} options
+ * @param {number} [options.deadline] - Epoch ms after which no retry is started
+ * @param {Function} [options.onRateLimit] - Called with { resource, limit, remaining, resetAt, cost } after each response
+ * @returns {Promise<Object>} The `data` field of the GraphQL response
+ */
+export async function githubGraphQL(query, variables = {}, { deadline = Date.now() + DEFAULT_BUDGET_MS, onRateLimit } = {}) {
+  const { response, headerLimit } = await githubFetch(GITHUB_GRAPHQL_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  }, { deadline, resource: 'graphql', onRateLimit });
+
+  if (!response.ok) {
+    throw new GitHubError(`GitHub API responded with status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const rateLimit = data.data?.rateLimit ? { resource: 'graphql', ...data.data.rateLimit } : headerLimit;
+  if (rateLimit && onRateLimit) onRateLimit(rateLimit);
+
+  if (data.errors) {
+    if (data.errors.some(e => e.type === 'RATE_LIMITED')) {
+      throw new RateLimitError('GitHub API rate limit exceeded', {
+        resetAt: rateLimit?.resetAt,
+        retryAfter: secondsUntil(rateLimit?.resetAt),
+        rateLimit
+      });
+    }
+    if (data.errors.some(e => e.type === 'NOT_FOUND')) {
+      throw new ApiError('USER_NOT_FOUND', `User "${variables.username}" not found`);
+    }
+    writeLog('error', 'GraphQL errors', { errors: data.errors });
+    throw new GitHubError('GraphQL query failed');
+  }
+
+  return data.data;
+}
+
+/**
+ * GET a REST resource from the GitHub API, with the retries of githubFetch()
+ * @param {string} path - Path below https://api.github.com, including any query string
+ * @param {Object} options
+ * @param {number} [options.deadline] - Epoch ms after which no retry is started
+ * @param {Function} [options.onRateLimit] - Called with { resource, limit, remaining, resetAt, cost } after each response
+ * @returns {Promise<any|null>} Parsed JSON body, or null when GitHub answers 404
+ */
+export async function githubREST(path, { deadline = Date.now() + DEFAULT_BUDGET_MS, onRateLimit } = {}) {
+  const { response, headerLimit } = await githubFetch(`${GITHUB_API_URL}${path}`, {
+    headers: { 'Accept': 'application/vnd.github+json' }
+  }, { deadline, resource: 'core', onRateLimit });
+
+  // Every REST call costs one request of the REST quota
+  if (headerLimit && onRateLimit) onRateLimit({ ...headerLimit, cost: 1 });
+
+  if (response.status === 404) return null;
+  return response.json();
+}
+
+/**
+ * Probe GitHub with the configured token.  Never throws: failures are
+ * reported in the result so callers can render them as diagnostics.
+ * @param {Object} options
+ * @param {number} [options.timeout=3000] - Milliseconds to wait for GitHub
+ * @returns {Promise<Object>} { reachable, status, latencyMs, rateLimit, scopes, error }
+ */
+export async function fetchGitHubStatus({ timeout = 3000 } = {}) {
+  const started = Date.now();
+
+  try {
+    const response = await getGitHubFetch()(GITHUB_RATE_LIMIT_URL, {
+      headers: { 'Authorization': `Bearer ${process.env.GITHUB_TOKEN}` },
+      signal: AbortSignal.timeout(timeout)
+    });
+    // Classic tokens list their scopes; fine-grained tokens send no header
+    const scopes = response.headers.get('x-oauth-scopes');
+
+    return {
+      reachable: true,
+      status: response.status,
+      latencyMs: Date.now() - started,
+      rateLimit: parseRateLimitHeaders(response.headers),
+      scopes: scopes === null ? null : scopes.split(',').map(s => s.trim()).filter(Boolean),
+      error: response.ok ? null : (response.status === 401 ? 'Token was rejected' : `Responded with status ${response.status}`)
+    };
+  } catch (error) {
+    return {
+      reachable: false,
+      status: null,
+      latencyMs: Date.now() - started,
+      rateLimit: null,
+      scopes: null,
+      error: error.name === 'TimeoutError' ? 'Timed out' : error.message
+    };
+  }
+}
+
+/**
+ * Combine rate limit reports from several GitHub calls.  REST and GraphQL
+ * draw on separate quotas, so each resource keeps its own most recent
+ * snapshot and summed cost.
+ * @param {string} [resource='graphql'] - Quota the route depends on; reported by summary()
+ *   and assumed for reports that don't name one
+ * @returns {{record: Function, summary: Function}}
+ */
+export function createRateLimitTracker(resource = 'graphql') {
+  const snapshots = new Map();
+
+  return {
+    record(rateLimit) {
+      const name = rateLimit.resource || resource;
+      const cost = (snapshots.get(name)?.cost || 0) + (rateLimit.cost || 0);
+      snapshots.set(name, { ...rateLimit, resource: name, cost });
+    },
+    summary(name = resource) {
+      return snapshots.get(name) || null;
+    }
+  };
+}
+
+/**
+ * Set X-RateLimit-* headers on a response
+ * @param {Object} res - Vercel response
+ * @param {Object|null} rateLimit - { resource, limit, remaining, resetAt, cost }
+ */
+export function setRateLimitHeaders(res, rateLimit) {
+  if (!rateLimit) return;
+  if (rateLimit.resource) res.setHeader('X-RateLimit-Resource', rateLimit.resource);
+  if (rateLimit.limit) res.setHeader('X-RateLimit-Limit', String(rateLimit.limit));
+  res.setHeader('X-RateLimit-Remaining', String(rateLimit.remaining));
+  if (rateLimit.resetAt) {
+    res.setHeader('X-RateLimit-Reset', String(Math.floor(new Date(rateLimit.resetAt).getTime() / 1000)));
+  }
+  if (rateLimit.cost) res.setHeader('X-RateLimit-Cost', String(rateLimit.cost));
+}
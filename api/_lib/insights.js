@@ -0,0 +1,94 @@
+// Streak and activity insights derived from a normalized contribution calendar
+
+import { DEFAULT_TIME_ZONE, dateInZone } from './timezone.js';
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Compute streak and activity statistics for a calendar
+ * @param {Array<{date: string, count: number, weekday: number}>} calendar - Days in ascending order
+ * @param {Object} options
+ * @param {string} [options.timeZone='UTC'] - Zone whose date is "today"
+ * @param {string} [options.today] - YYYY-MM-DD treated as "today"; later days are ignored.
+ *   Defaults to the current date in `timeZone`
+ * @returns {Object} Insights block.  `currentStreak` is null unless the
+ *   calendar contains today, e.g. for past years
+ */
+export function computeInsights(calendar, { timeZone = DEFAULT_TIME_ZONE, today = dateInZone(new Date(), timeZone) } = {}) {
+  const days = (calendar || []).filter(day => day.date <= today);
+  const hasToday = days.length > 0 && days[days.length - 1].date === today;
+
+  const insights = {
+    currentStreak: hasToday ? 0 : null,
+    longestStreak: { length: 0, start: null, end: null },
+    busiestDay: null,
+    busiestWeek: null,
+    averagePerActiveDay: 0,
+    weekdayAverages: [0, 0, 0, 0, 0, 0, 0],
+    activeDaysPercentage: 0
+  };
+
+  if (!days.length) {
+    return insights;
+  }
+
+  let activeDays = 0;
+  let activeTotal = 0;
+  let run = 0;
+  let runStart = null;
+  let week = null;
+  const weeks = [];
+  const weekdayTotals = [0, 0, 0, 0, 0, 0, 0];
+  const weekdayCounts = [0, 0, 0, 0, 0, 0, 0];
+
+  days.forEach(day => {
+    const count = day.count || 0;
+
+    weekdayTotals[day.weekday] += count;
+    weekdayCounts[day.weekday]++;
+
+    if (count > 0) {
+      activeDays++;
+      activeTotal += count;
+      if (run === 0) runStart = day.date;
+      run++;
+      if (run > insights.longestStreak.length) {
+        insights.longestStreak = { length: run, start: runStart, end: day.date };
+      }
+    } else {
+      run = 0;
+    }
+
+    if (!insights.busiestDay || count > insights.busiestDay.count) {
+      insights.busiestDay = { date: day.date, count };
+    }
+
+    // Weeks start on Sunday, like the GitHub contribution graph
+    if (!week || day.weekday === 0) {
+      week = { start: day.date, end: day.date, count: 0 };
+      weeks.push(week);
+    }
+    week.end = day.date;
+    week.count += count;
+  });
+
+  insights.busiestWeek = weeks.reduce((max, w) => (w.count > max.count ? w : max));
+
+  // The current streak survives a quiet "today" because the day isn't over yet
+  if (hasToday) {
+    let i = days.length - 1;
+    if (!days[i].count) i--;
+    while (i >= 0 && days[i].count > 0) {
+      insights.currentStreak++;
+      i--;
+    }
+  }
+
+  insights.averagePerActiveDay = activeDays ? round(activeTotal / activeDays) : 0;
+  insights.weekdayAverages = weekdayTotals.map((total, d) =>
+    weekdayCounts[d] ? round(total / weekdayCounts[d]) : 0
+  );
+  insights.activeDaysPercentage = round((activeDays / days.length) * 100, 1);
+
+  return insights;
+}
@@ -0,0 +1,116 @@
+// Top language aggregation across a user's non-fork repositories
+
+import { RATE_LIMIT_FIELDS, githubGraphQL } from './github.js';
+import { ApiError } from './errors.js';
+
+const LANGUAGES_QUERY = `
+  query($username: String!, $cursor: String) {
+    ${RATE_LIMIT_FIELDS}
+    user(login: $username) {
+      repositories(first: 100, after: $cursor, isFork: false, ownerAffiliations: OWNER) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          languages(first: 20, orderBy: { field: SIZE, direction: DESC }) {
+            edges {
+              size
+              node {
+                name
+                color
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Safety cap so a user with thousands of repos can't exhaust maxDuration
+const MAX_PAGES = 10;
+const OTHER_COLOR = '#8b949e';
+
+/**
+ * Sum language byte counts across a list of repository nodes
+ * @param {Array} repositories - Repository nodes with `languages.edges`
+ * @returns {Map<string, {size: number, color: string|null}>} Totals keyed by language name
+ */
+export function aggregateLanguages(repositories) {
+  const totals = new Map();
+
+  repositories.forEach(repo => {
+    (repo?.languages?.edges || []).forEach(({ size, node }) => {
+      if (!node?.name) return;
+      const entry = totals.get(node.name) || { size: 0, color: node.color || null };
+      entry.size += size || 0;
+      totals.set(node.name, entry);
+    });
+  });
+
+  return totals;
+}
+
+/**
+ * Turn aggregated byte counts into the `topLanguages` shape used by the client
+ * @param {Map<string, {size: number, color: string|null}>} totals - Output of aggregateLanguages()
+ * @param {number} limit - Number of languages to keep before grouping the rest as "Other"
+ * @param {number} [otherSize=0] - Bytes already known only as "Other", added to that group
+ * @returns {Array<{name: string, color: string, size: number, percentage: number}>}
+ */
+export function normalizeLanguages(totals, limit = 6, otherSize = 0) {
+  const sorted = [...totals.entries()]
+    .map(([name, { size, color }]) => ({ name, color: color || OTHER_COLOR, size }))
+    .filter(lang => lang.size > 0)
+    .sort((a, b) => b.size - a.size);
+
+  const totalSize = sorted.reduce((sum, lang) => sum + lang.size, otherSize);
+  if (!totalSize) {
+    return [];
+  }
+
+  const top = sorted.slice(0, limit);
+  const restSize = sorted.slice(limit).reduce((sum, lang) => sum + lang.size, otherSize);
+  if (restSize > 0) {
+    top.push({
+      name: 'Other',
+      color: OTHER_COLOR,
+      size: restSize
+    });
+  }
+
+  return top.map(lang => ({
+    ...lang,
+    percentage: Math.round((lang.size / totalSize) * 1000) / 10
+  }));
+}
+
+/**
+ * Fetch and normalize top languages for a user, following repository pagination
+ * @param {string} username - GitHub login
+ * @param {Object} options
+ * @param {number} [options.limit=6] - Number of named languages to return
+ * @param {number} [options.maxPages=10] - Pages of 100 repositories to walk at most
+ * @param {Object} [options.github] - Options passed through to githubGraphQL()
+ * @returns {Promise<Array>} Normalized topLanguages array
+ */
+export async function fetchTopLanguages(username, { limit = 6, maxPages = MAX_PAGES, github } = {}) {
+  const repositories = [];
+  let cursor = null;
+
+  for (let page = 0; page < Math.min(maxPages, MAX_PAGES); page++) {
+    const data = await githubGraphQL(LANGUAGES_QUERY, { username, cursor }, github);
+    if (!data?.user) {
+      throw new ApiError('USER_NOT_FOUND', `User "${username}" not found`);
+    }
+
+    const { nodes, pageInfo } = data.user.repositories;
+    repositories.push(...nodes);
+
+    if (!pageInfo.hasNextPage) break;
+    cursor = pageInfo.endCursor;
+  }
+
+  return normalizeLanguages(aggregateLanguages(repositories), limit);
+}
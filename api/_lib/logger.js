@@ -0,0 +1,148 @@
+// Structured logging for the handlers in api/
+// Every line is one JSON object, so Vercel's log search can filter on any
+// field.  Optional environment variable:
+//   LOG_LEVEL - debug, info (default), warn, error or silent
+
+import { getRequestId } from './errors.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function threshold() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+/**
+ * Make a value safe for JSON.stringify: errors keep their message, code
+ * and stack, which JSON.stringify would otherwise drop
+ * @param {any} value
+ * @returns {any}
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+/**
+ * Write one log line
+ * @param {string} level - Key of LEVELS
+ * @param {string} message - Short, constant description ("request", "GraphQL errors")
+ * @param {Object} [fields] - Extra fields; undefined values are left out
+ */
+export function writeLog(level, message, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = serialize(value);
+  }
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * Logger for one request.  It assigns the request ID, echoes it in an
+ * X-Request-Id header, and collects context (username, cache result,
+ * upstream latency, GitHub cost) for the summary line written when the
+ * response finishes.
+ *
+ *   const log = createRequestLogger(req, res, 'github-stats');
+ *   log.set({ username, cache: entry ? 'hit' : 'miss' });
+ *   const stats = await log.upstream(() => fetchStats(...));
+ *
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Vercel response
+ * @param {string} [route] - Handler name, e.g. "github-stats"
+ * @returns {Object} Request logger
+ */
+export function createRequestLogger(req, res, route) {
+  const requestId = getRequestId(req);
+  const started = Date.now();
+  const context = {};
+  let upstreamMs = 0;
+  let rateLimits = null;
+  let finished = false;
+
+  res.setHeader('X-Request-Id', requestId);
+
+  const base = () => ({ requestId, route, method: req.method, ...context });
+
+  const log = {
+    requestId,
+
+    /**
+     * Add fields to this request's log lines
+     * @param {Object} fields - e.g. { username, provider, cache }
+     */
+    set(fields) {
+      Object.assign(context, fields);
+    },
+
+    /**
+     * Report the GitHub cost recorded by a rate limit tracker in the
+     * summary line
+     * @param {Object} tracker - From createRateLimitTracker()
+     * @returns {Object} The same tracker
+     */
+    track(tracker) {
+      rateLimits = tracker;
+      return tracker;
+    },
+
+    /**
+     * Run an upstream call and add its duration to the upstream latency
+     * @param {Function} fn - Returns a promise
+     * @returns {Promise<any>} Whatever fn resolves to
+     */
+    async upstream(fn) {
+      const start = Date.now();
+      try {
+        return await fn();
+      } finally {
+        upstreamMs += Date.now() - start;
+      }
+    },
+
+    debug: (message, fields) => writeLog('debug', message, { ...base(), ...fields }),
+    info: (message, fields) => writeLog('info', message, { ...base(), ...fields }),
+    warn: (message, fields) => writeLog('warn', message, { ...base(), ...fields }),
+    error: (message, fields) => writeLog('error', message, { ...base(), ...fields }),
+
+    /**
+     * Write the summary line for the request.  Called automatically when
+     * the response finishes; later calls do nothing.
+     */
+    finish() {
+      if (finished) return;
+      finished = true;
+      const status = res.statusCode;
+      const summary = rateLimits?.summary();
+      writeLog(status >= 500 ? 'error' : 'info', 'request', {
+        ...base(),
+        status,
+        durationMs: Date.now() - started,
+        upstreamMs: upstreamMs || undefined,
+        githubCost: summary ? summary.cost : undefined,
+        githubRemaining: summary ? summary.remaining : undefined
+      });
+    }
+  };
+
+  // Node's ServerResponse (Vercel and scripts/dev-server.js); 'close'
+  // covers clients that disconnect before the response is sent
+  if (typeof res.once === 'function') {
+    res.once('finish', log.finish);
+    res.once('close', log.finish);
+  }
+
+  return log;
+}
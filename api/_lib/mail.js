@@ -0,0 +1,236 @@
+// Outgoing mail for /api/contact
+// Optional environment variables:
+//   CONTACT_TRANSPORT  - 'smtp' or 'outbox' (defaults to smtp when SMTP_HOST is set)
+//   SMTP_HOST          - SMTP server
+//   SMTP_PORT          - Defaults to 587 (STARTTLS), or 465 with SMTP_SECURE=true
+//   SMTP_SECURE        - 'true' for implicit TLS
+//   SMTP_USER/SMTP_PASS - Credentials for AUTH PLAIN
+//   CONTACT_OUTBOX_DIR - Directory for the outbox adapter (defaults to the OS temp dir)
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { connect as connectTcp } from 'node:net';
+import { hostname, tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { connect as connectTls } from 'node:tls';
+
+import { ApiError } from './errors.js';
+
+const SMTP_TIMEOUT_MS = 8000;
+
+/**
+ * Header value safe for a single line; non-ASCII text is RFC 2047 encoded
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  const line = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(line) ? line : `=?UTF-8?B?${Buffer.from(line).toString('base64')}?=`;
+}
+
+/**
+ * Address header with an optional display name
+ * @param {string|{name: string, address: string}} mailbox
+ * @returns {string}
+ */
+function formatAddress(mailbox) {
+  if (typeof mailbox === 'string') return mailbox;
+  return `${encodeHeader(mailbox.name).replace(/"/g, '')} <${mailbox.address}>`;
+}
+
+const addressOf = (mailbox) => (typeof mailbox === 'string' ? mailbox : mailbox.address);
+
+/**
+ * Build an RFC 5322 message.  The body is base64 encoded so any text
+ * survives servers without 8BITMIME and never needs dot-stuffing.
+ * @param {Object} mail
+ * @param {string|Object} mail.from - Sender address or { name, address }
+ * @param {string} mail.to - Recipient address
+ * @param {string|Object} [mail.replyTo] - Reply-To address or { name, address }
+ * @param {string} mail.subject
+ * @param {string} mail.text - Plain text body
+ * @param {string} [mail.id] - Message-ID local part
+ * @returns {string} Message with CRLF line endings
+ */
+export function buildMessage({ from, to, replyTo, subject, text, id = randomUUID() }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${formatAddress(to)}`,
+    replyTo ? `Reply-To: ${formatAddress(replyTo)}` : null,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${id}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ].filter(Boolean);
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').match(/.{1,76}/g) || [];
+  return `${headers.join('\r\n')}\r\n\r\n${body.join('\r\n')}\r\n`;
+}
+
+/**
+ * Read SMTP replies from a socket.  Multi-line replies ("250-…") are
+ * collected until the final line ("250 …").
+ * @param {import('node:net').Socket} socket
+ * @returns {{next: Function, attach: Function}}
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+  let current = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (line[3] === '-') continue;
+
+      const reply = { code: parseInt(line.slice(0, 3), 10), text: lines.map(l => l.slice(4)).join('\n') };
+      lines = [];
+      if (waiting.length) waiting.shift().resolve(reply);
+      else replies.push(reply);
+    }
+  };
+  const onEnd = (error) => {
+    failure = error || new Error('SMTP connection closed');
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  const onClose = () => onEnd();
+
+  const attach = (next) => {
+    if (current) {
+      current.off('data', onData).off('error', onEnd).off('close', onClose);
+    }
+    current = next;
+    current.on('data', onData).on('error', onEnd).on('close', onClose);
+  };
+  attach(socket);
+
+  return {
+    attach,
+    next() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+}
+
+/**
+ * SMTP adapter.  Speaks just enough SMTP for one message per connection:
+ * EHLO, STARTTLS when offered, AUTH PLAIN, MAIL/RCPT/DATA.
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} [options.port=587]
+ * @param {boolean} [options.secure] - Implicit TLS (defaults to true on port 465)
+ * @param {string} [options.user]
+ * @param {string} [options.pass]
+ * @param {number} [options.timeout=8000] - Milliseconds for the whole exchange
+ * @param {Object} [options.tls] - Extra options for tls.connect()
+ * @returns {Object} Mail transport
+ */
+export function createSmtpTransport({ host, port = 587, secure = port === 465, user, pass, timeout = SMTP_TIMEOUT_MS, tls = {} }) {
+  return {
+    name: 'smtp',
+
+    async send(mail) {
+      const id = mail.id || randomUUID();
+      let socket = secure
+        ? connectTls({ host, port, servername: host, ...tls })
+        : connectTcp({ host, port });
+      const reader = createReplyReader(socket);
+      const timer = setTimeout(() => socket.destroy(new Error('SMTP server did not respond in time')), timeout);
+
+      const expect = async (codes) => {
+        const reply = await reader.next();
+        if (!codes.includes(reply.code)) {
+          throw new Error(`SMTP server answered ${reply.code} ${reply.text}`);
+        }
+        return reply;
+      };
+      const command = (line, codes) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+      };
+
+      try {
+        await expect([220]);
+        let features = await command(`EHLO ${hostname()}`, [250]);
+
+        if (!secure && /^STARTTLS$/im.test(features.text)) {
+          await command('STARTTLS', [220]);
+          socket = connectTls({ socket, servername: host, ...tls });
+          reader.attach(socket);
+          await new Promise((resolve, reject) => socket.once('secureConnect', resolve).once('error', reject));
+          features = await command(`EHLO ${hostname()}`, [250]);
+        }
+
+        if (user) {
+          const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await command(`MAIL FROM:<${addressOf(mail.from)}>`, [250]);
+        await command(`RCPT TO:<${addressOf(mail.to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        await command(`${buildMessage({ ...mail, id })}.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+        return { id };
+      } finally {
+        clearTimeout(timer);
+        socket.destroy();
+      }
+    }
+  };
+}
+
+/**
+ * Outbox adapter.  Writes each message as an .eml file instead of sending
+ * it, for local development and tests.
+ * @param {Object} options
+ * @param {string} [options.dir] - Directory to write messages to
+ * @returns {Object} Mail transport
+ */
+export function createOutboxTransport({ dir = join(tmpdir(), 'contact-outbox') } = {}) {
+  return {
+    name: 'outbox',
+    dir,
+
+    async send(mail) {
+      const id = mail.id || randomUUID();
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, `${Date.now()}-${id}.eml`), buildMessage({ ...mail, id }));
+      return { id };
+    }
+  };
+}
+
+/**
+ * Mail transport selected by CONTACT_TRANSPORT (or SMTP_HOST)
+ * @returns {Object} Mail transport
+ */
+export function getMailTransport() {
+  const name = process.env.CONTACT_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : null);
+
+  if (name === 'outbox') {
+    return createOutboxTransport(process.env.CONTACT_OUTBOX_DIR ? { dir: process.env.CONTACT_OUTBOX_DIR } : undefined);
+  }
+  if (name === 'smtp' && process.env.SMTP_HOST) {
+    const secure = process.env.SMTP_SECURE === 'true';
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+      secure,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+  throw new ApiError('CONFIG_ERROR', 'Contact form delivery is not configured');
+}
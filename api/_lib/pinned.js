@@ -0,0 +1,99 @@
+// Pinned repositories from the user's GitHub profile, used by /api/github-pinned
+
+import { RATE_LIMIT_FIELDS, githubGraphQL } from './github.js';
+import { ApiError } from './errors.js';
+
+// GitHub profiles show at most six pinned items
+export const MAX_PINNED = 6;
+
+const PINNED_QUERY = `
+  query($username: String!, $limit: Int!) {
+    ${RATE_LIMIT_FIELDS}
+    user(login: $username) {
+      pinnedItems(first: $limit, types: REPOSITORY) {
+        nodes {
+          ... on Repository {
+            name
+            nameWithOwner
+            description
+            url
+            homepageUrl
+            stargazerCount
+            forkCount
+            openGraphImageUrl
+            usesCustomOpenGraphImage
+            primaryLanguage {
+              name
+              color
+            }
+            repositoryTopics(first: 10) {
+              nodes {
+                topic {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Keep an owner-supplied URL only when it is https, so no consumer of the
+ * API ends up linking to `javascript:` or mixed content
+ * @param {string|null} value - URL from GitHub
+ * @returns {string|null}
+ */
+function httpsUrl(value) {
+  if (!value) return null;
+  try {
+    return new URL(value).protocol === 'https:' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize pinnedItems nodes into the shape served by /api/github-pinned
+ * @param {Array} nodes - Repository nodes from the pinnedItems connection
+ * @returns {Array<Object>} Repositories in pin order
+ */
+export function normalizePinnedItems(nodes) {
+  return (nodes || [])
+    // Gists can't be excluded by every API version; they have no nameWithOwner
+    .filter(node => node?.nameWithOwner)
+    .map(repo => ({
+      name: repo.name,
+      nameWithOwner: repo.nameWithOwner,
+      description: repo.description || '',
+      url: repo.url,
+      homepageUrl: httpsUrl(repo.homepageUrl),
+      stars: repo.stargazerCount || 0,
+      forks: repo.forkCount || 0,
+      language: repo.primaryLanguage
+        ? { name: repo.primaryLanguage.name, color: repo.primaryLanguage.color || null }
+        : null,
+      topics: (repo.repositoryTopics?.nodes || []).map(({ topic }) => topic.name),
+      image: httpsUrl(repo.openGraphImageUrl),
+      // False when GitHub generated the preview image rather than the owner
+      customImage: Boolean(repo.usesCustomOpenGraphImage)
+    }));
+}
+
+/**
+ * Fetch a user's pinned repositories
+ * @param {string} username - GitHub login
+ * @param {Object} options
+ * @param {number} [options.limit=MAX_PINNED] - Number of pinned items to return
+ * @param {Object} [options.github] - Options passed through to githubGraphQL()
+ * @returns {Promise<Array>} Normalized repositories
+ */
+export async function fetchPinnedRepositories(username, { limit = MAX_PINNED, github } = {}) {
+  const data = await githubGraphQL(PINNED_QUERY, { username, limit }, github);
+  if (!data?.user) {
+    throw new ApiError('USER_NOT_FOUND', `User "${username}" not found`);
+  }
+  return normalizePinnedItems(data.user.pinnedItems.nodes);
+}
@@ -0,0 +1,41 @@
+// Recorded-fixture transport for the provider adapters
+// Recordings map a request path (with or without its query string) to a
+// response: { "status": 200, "headers": { ... }, "body": ... }
+
+import { readFileSync } from 'node:fs';
+
+export const FIXTURES_DIR = new URL('../../_fixtures/providers/', import.meta.url);
+
+/**
+ * Load the recordings for a provider
+ * @param {string} name - Provider name, e.g. 'gitlab'
+ * @param {URL|string} [dir] - Directory holding `<name>.json`
+ * @returns {Object} Recordings keyed by request path
+ */
+export function loadRecordings(name, dir = FIXTURES_DIR) {
+  return JSON.parse(readFileSync(new URL(`${name}.json`, dir), 'utf8'));
+}
+
+/**
+ * Create a fetch() replacement that answers from recordings
+ * @param {Object} recordings - Recordings keyed by request path
+ * @returns {Function} Fetch-compatible function
+ */
+export function createFixtureFetch(recordings) {
+  return async function fixtureFetch(url) {
+    const { pathname, search } = new URL(url);
+    const recording = recordings[pathname + search] || recordings[pathname];
+
+    if (!recording) {
+      return new Response(JSON.stringify({ message: `No fixture recorded for ${pathname + search}` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify(recording.body), {
+      status: recording.status || 200,
+      headers: { 'Content-Type': 'application/json', ...recording.headers }
+    });
+  };
+}
@@ -0,0 +1,148 @@
+// Gitea provider - contribution data from the Gitea heatmap and activity feed APIs
+// Environment variables:
+//   GITEA_URL   - Instance URL (required)
+//   GITEA_TOKEN - Access token (optional, needed for private activity)
+
+import { createContributions, fillCalendar } from '../contributions.js';
+import { ApiError } from '../errors.js';
+import { DEFAULT_BUDGET_MS } from '../github.js';
+import { DEFAULT_TIME_ZONE, dateInZone } from '../timezone.js';
+import { fetchJSON } from './http.js';
+
+// 50 activities per page (Gitea's default maximum)
+const PAGE_SIZE = 50;
+const MAX_PAGES = 40;
+
+/**
+ * Number of commits in a `commit_repo` activity
+ * @param {Object} activity - Gitea activity
+ * @returns {number}
+ */
+function commitCount(activity) {
+  try {
+    const content = JSON.parse(activity.content || '{}');
+    return content.Len || content.Commits?.length || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Map a Gitea heatmap and activity feed onto the contributions schema.  The
+ * heatmap drives the calendar and total, the feed the per-type counts.
+ * @param {Array<{timestamp: number, contributions: number}>} heatmap
+ * @param {Array} activities - Gitea activity feed entries
+ * @param {{from: Date, to: Date, timeZone?: string}} range
+ * @returns {Object} Normalized contributions
+ */
+export function summarizeGiteaActivity(heatmap, activities, { from, to, timeZone = DEFAULT_TIME_ZONE }) {
+  const counts = new Map();
+  let totalContributions = 0;
+
+  heatmap.forEach(({ timestamp, contributions }) => {
+    const created = new Date(timestamp * 1000);
+    if (created < from || created > to) return;
+    const date = dateInZone(created, timeZone);
+    counts.set(date, (counts.get(date) || 0) + contributions);
+    totalContributions += contributions;
+  });
+
+  let totalCommits = 0;
+  let totalPRs = 0;
+  let totalIssues = 0;
+
+  activities.forEach(activity => {
+    const created = new Date(activity.created);
+    if (created < from || created > to) return;
+
+    if (activity.op_type === 'commit_repo') {
+      totalCommits += commitCount(activity);
+    } else if (activity.op_type === 'create_pull_request') {
+      totalPRs++;
+    } else if (activity.op_type === 'create_issue') {
+      totalIssues++;
+    }
+  });
+
+  return createContributions({
+    totalCommits,
+    totalPRs,
+    totalIssues,
+    calendar: fillCalendar(from, to, counts, timeZone),
+    totalContributions,
+    timeZone
+  });
+}
+
+/**
+ * Create the Gitea provider
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - Instance URL
+ * @param {string} [options.token] - Access token
+ * @param {Function} [options.fetch] - Fetch implementation (fixtures in test mode)
+ * @returns {Object} Provider adapter
+ */
+export function createGiteaProvider({
+  baseUrl = process.env.GITEA_URL,
+  token = process.env.GITEA_TOKEN,
+  fetch: fetchImpl = globalThis.fetch
+} = {}) {
+  /**
+   * GET one API path, giving up at the deadline
+   * @param {string} path - Path below /api/v1
+   * @param {number} deadline - Epoch ms; no request is started or awaited past it
+   * @returns {Promise<any>} Parsed JSON body
+   */
+  async function request(path, deadline) {
+    const { response, data } = await fetchJSON(fetchImpl, `${baseUrl.replace(/\/$/, '')}/api/v1${path}`, {
+      service: 'Gitea',
+      deadline,
+      headers: token ? { 'Authorization': `token ${token}` } : {}
+    });
+    if (response.status === 404) {
+      throw new ApiError('USER_NOT_FOUND', 'User not found');
+    }
+    if (!response.ok) {
+      throw new ApiError('UPSTREAM_ERROR', `Gitea API responded with status: ${response.status}`);
+    }
+    return data;
+  }
+
+  return {
+    name: 'gitea',
+
+    isConfigured() {
+      return Boolean(baseUrl);
+    },
+
+    /**
+     * Fetch the heatmap and the activity feed back to the earliest range
+     * @param {string} username - Gitea username
+     * @param {Array<{alias: string, from: Date, to: Date}>} ranges
+     * @param {Object} [options]
+     * @param {number} [options.deadline] - Epoch ms by which every page must be in
+     * @returns {Promise<Object[]>} Normalized contributions, one per range
+     * @throws {ApiError} UPSTREAM_TIMEOUT when the pages don't arrive in time
+     */
+    async fetchContributions(username, ranges, { deadline = Date.now() + DEFAULT_BUDGET_MS } = {}) {
+      const user = encodeURIComponent(username);
+      const from = new Date(Math.min(...ranges.map(r => r.from.getTime())));
+
+      const heatmap = await request(`/users/${user}/heatmap`, deadline);
+
+      // The feed is newest-first; stop once a page reaches past the range
+      const activities = [];
+      for (let page = 1; page <= MAX_PAGES; page++) {
+        const data = await request(
+          `/users/${user}/activities/feeds?only-performed-by=true&limit=${PAGE_SIZE}&page=${page}`,
+          deadline
+        );
+        activities.push(...data);
+        const oldest = data[data.length - 1];
+        if (data.length < PAGE_SIZE || !oldest || new Date(oldest.created) < from) break;
+      }
+
+      return ranges.map(range => summarizeGiteaActivity(heatmap, activities, range));
+    }
+  };
+}
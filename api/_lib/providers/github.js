@@ -0,0 +1,49 @@
+// GitHub provider - contribution data from the GitHub GraphQL API
+// Environment variable required: GITHUB_TOKEN
+
+import { githubGraphQL, isGitHubConfigured } from '../github.js';
+import { fetchTopLanguages } from '../languages.js';
+import { buildContributionsQuery, normalizeContributions } from '../contributions.js';
+import { ApiError } from '../errors.js';
+
+/**
+ * Create the GitHub provider
+ * @returns {Object} Provider adapter
+ */
+export function createGitHubProvider() {
+  return {
+    name: 'github',
+
+    isConfigured() {
+      return isGitHubConfigured();
+    },
+
+    /**
+     * Fetch contributions for each range with a single aliased query
+     * @param {string} username - GitHub login
+     * @param {Array<{alias: string, from: Date, to: Date, timeZone?: string}>} ranges
+     * @param {Object} options - Passed through to githubGraphQL()
+     * @returns {Promise<Object[]>} Normalized contributions, one per range
+     */
+    async fetchContributions(username, ranges, options) {
+      const { query, variables } = buildContributionsQuery(ranges);
+      const data = await githubGraphQL(query, { username, ...variables }, options);
+
+      if (!data?.user) {
+        throw new ApiError('USER_NOT_FOUND', `User "${username}" not found`);
+      }
+
+      return ranges.map(({ alias, timeZone }) => normalizeContributions(data.user[alias], { timeZone }));
+    },
+
+    /**
+     * @param {string} username - GitHub login
+     * @param {Object} options - Passed through to githubGraphQL()
+     * @param {Object} [languages] - limit and maxPages for fetchTopLanguages()
+     * @returns {Promise<Array>} Normalized topLanguages array
+     */
+    fetchTopLanguages(username, options, languages = {}) {
+      return fetchTopLanguages(username, { ...languages, github: options });
+    }
+  };
+}
@@ -0,0 +1,135 @@
+// GitLab provider - contribution data from the GitLab events API
+// Optional environment variables:
+//   GITLAB_URL   - Instance URL (defaults to https://gitlab.com)
+//   GITLAB_TOKEN - Personal access token with read_api scope
+
+import { createContributions, fillCalendar } from '../contributions.js';
+import { ApiError } from '../errors.js';
+import { DEFAULT_BUDGET_MS } from '../github.js';
+import { DEFAULT_TIME_ZONE, dateInZone } from '../timezone.js';
+import { fetchJSON } from './http.js';
+
+// 100 events per page; bounds a single request to a few thousand events
+const MAX_PAGES = 20;
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * Map GitLab events inside a range onto the contributions schema.  Like
+ * GitLab's own calendar, every event counts as one contribution.
+ * @param {Array} events - GitLab user events
+ * @param {{from: Date, to: Date, timeZone?: string}} range
+ * @returns {Object} Normalized contributions
+ */
+export function summarizeGitLabEvents(events, { from, to, timeZone = DEFAULT_TIME_ZONE }) {
+  const counts = new Map();
+  let totalCommits = 0;
+  let totalPRs = 0;
+  let totalIssues = 0;
+  let totalContributions = 0;
+
+  events.forEach(event => {
+    const created = new Date(event.created_at);
+    if (created < from || created > to) return;
+
+    const date = dateInZone(created, timeZone);
+    counts.set(date, (counts.get(date) || 0) + 1);
+    totalContributions++;
+
+    if (event.action_name?.startsWith('pushed')) {
+      totalCommits += event.push_data?.commit_count || 0;
+    } else if (event.action_name === 'opened' && event.target_type === 'MergeRequest') {
+      totalPRs++;
+    } else if (event.action_name === 'opened' && event.target_type === 'Issue') {
+      totalIssues++;
+    }
+  });
+
+  return createContributions({
+    totalCommits,
+    totalPRs,
+    totalIssues,
+    calendar: fillCalendar(from, to, counts, timeZone),
+    totalContributions,
+    timeZone
+  });
+}
+
+/**
+ * Create the GitLab provider
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - Instance URL
+ * @param {string} [options.token] - Personal access token
+ * @param {Function} [options.fetch] - Fetch implementation (fixtures in test mode)
+ * @returns {Object} Provider adapter
+ */
+export function createGitLabProvider({
+  baseUrl = process.env.GITLAB_URL || 'https://gitlab.com',
+  token = process.env.GITLAB_TOKEN,
+  fetch: fetchImpl = globalThis.fetch
+} = {}) {
+  /**
+   * GET one API path, giving up at the deadline
+   * @param {string} path - Path below /api/v4
+   * @param {number} deadline - Epoch ms; no request is started or awaited past it
+   * @returns {Promise<{data: any, headers: Headers}>}
+   */
+  async function request(path, deadline) {
+    const { response, data } = await fetchJSON(fetchImpl, `${baseUrl.replace(/\/$/, '')}/api/v4${path}`, {
+      service: 'GitLab',
+      deadline,
+      headers: token ? { 'PRIVATE-TOKEN': token } : {}
+    });
+    if (!response.ok) {
+      throw new ApiError('UPSTREAM_ERROR', `GitLab API responded with status: ${response.status}`);
+    }
+    return { data, headers: response.headers };
+  }
+
+  return {
+    name: 'gitlab',
+
+    // Public profiles work without a token
+    isConfigured() {
+      return true;
+    },
+
+    /**
+     * Fetch events covering every range once, then bucket them per range
+     * @param {string} username - GitLab username
+     * @param {Array<{alias: string, from: Date, to: Date}>} ranges
+     * @param {Object} [options]
+     * @param {number} [options.deadline] - Epoch ms by which every page must be in
+     * @returns {Promise<Object[]>} Normalized contributions, one per range
+     * @throws {ApiError} UPSTREAM_TIMEOUT when the pages don't arrive in time
+     */
+    async fetchContributions(username, ranges, { deadline = Date.now() + DEFAULT_BUDGET_MS } = {}) {
+      const { data: users } = await request(`/users?username=${encodeURIComponent(username)}`, deadline);
+      if (!users.length) {
+        throw new ApiError('USER_NOT_FOUND', `User "${username}" not found`);
+      }
+
+      const from = new Date(Math.min(...ranges.map(r => r.from.getTime())));
+      const to = new Date(Math.max(...ranges.map(r => r.to.getTime())));
+      // GitLab's after/before filters are exclusive dates
+      const after = addDays(from, -1);
+      const before = addDays(to, 1);
+
+      const events = [];
+      for (let page = 1; page <= MAX_PAGES; page++) {
+        const { data, headers } = await request(
+          `/users/${users[0].id}/events?after=${after}&before=${before}&per_page=100&page=${page}`,
+          deadline
+        );
+        events.push(...data);
+        if (!headers.get('x-next-page')) break;
+      }
+
+      return ranges.map(range => summarizeGitLabEvents(events, range));
+    }
+  };
+}
@@ -0,0 +1,32 @@
+// Deadline-aware requests for the REST providers (GitLab, Gitea)
+
+import { ApiError } from '../errors.js';
+
+/**
+ * GET a JSON resource without running past the request's deadline.
+ * Providers page through results one request after another, so each
+ * request only gets what is left of the budget and none starts once it is
+ * spent.
+ * @param {Function} fetchImpl - fetch() implementation
+ * @param {string} url - Absolute URL
+ * @param {Object} options
+ * @param {string} options.service - Provider name for error messages, e.g. 'GitLab'
+ * @param {number} options.deadline - Epoch ms
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<{response: Response, data: any}>} data is the parsed body of a 2xx response, otherwise null
+ * @throws {ApiError} UPSTREAM_TIMEOUT past the deadline, UPSTREAM_ERROR when the request fails
+ */
+export async function fetchJSON(fetchImpl, url, { service, deadline, headers = {} }) {
+  const timedOut = () => new ApiError('UPSTREAM_TIMEOUT', `${service} API did not respond in time`);
+
+  const remaining = deadline - Date.now();
+  if (remaining <= 0) throw timedOut();
+
+  try {
+    const response = await fetchImpl(url, { headers, signal: AbortSignal.timeout(remaining) });
+    return { response, data: response.ok ? await response.json() : null };
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw timedOut();
+    throw new ApiError('UPSTREAM_ERROR', `${service} API request failed: ${error.message}`);
+  }
+}
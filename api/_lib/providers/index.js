@@ -0,0 +1,36 @@
+// Contribution data providers selectable with ?provider=github|gitlab|gitea
+// Optional environment variable:
+//   PROVIDER_FIXTURES - Set to 1 to answer GitLab/Gitea requests from the
+//                       recordings in api/_fixtures/providers/ (implied by
+//                       GITHUB_MOCK=fixtures)
+
+import { createGitHubProvider } from './github.js';
+import { createGitLabProvider } from './gitlab.js';
+import { createGiteaProvider } from './gitea.js';
+import { createFixtureFetch, loadRecordings } from './fixtures.js';
+
+export const PROVIDERS = ['github', 'gitlab', 'gitea'];
+
+/**
+ * Create the adapter for a provider name
+ * @param {string} name - One of PROVIDERS
+ * @returns {Object|null} Provider adapter, or null for an unknown name
+ */
+export function getProvider(name = 'github') {
+  const fixtures = process.env.PROVIDER_FIXTURES === '1' || process.env.GITHUB_MOCK === 'fixtures';
+
+  switch (name) {
+    case 'github':
+      return createGitHubProvider();
+    case 'gitlab':
+      return fixtures
+        ? createGitLabProvider({ token: null, fetch: createFixtureFetch(loadRecordings('gitlab')) })
+        : createGitLabProvider();
+    case 'gitea':
+      return fixtures
+        ? createGiteaProvider({ baseUrl: 'https://gitea.example.com', token: null, fetch: createFixtureFetch(loadRecordings('gitea')) })
+        : createGiteaProvider();
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,52 @@
+// Fixed-window request limits for endpoints that write or send something
+
+import { createHash } from 'node:crypto';
+
+import { ApiError } from './errors.js';
+import { getStore } from './cache.js';
+
+/**
+ * Client address of a request: the first X-Forwarded-For hop (set by
+ * Vercel's edge), falling back to the socket address
+ * @param {Object} req - Incoming request
+ * @returns {string}
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Count a request against a limit.  Addresses are hashed so the store
+ * never holds them in the clear.  Counts live in their own store (see
+ * getStore()), so filling the response cache can't evict them and reset
+ * a client's limit.
+ * @param {string} scope - Name of the limit, e.g. 'contact'
+ * @param {string} client - Client identifier, usually getClientIp()
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.window - Window length in seconds
+ * @param {Object} [options.cache] - Cache adapter (defaults to getStore('rate-limit'))
+ * @returns {Promise<{remaining: number, resetAt: string}>}
+ * @throws {ApiError} RATE_LIMITED once the limit is used up
+ */
+export async function consumeRateLimit(scope, client, { limit, window, cache = getStore('rate-limit') }) {
+  const key = `rate:${scope}:${createHash('sha256').update(client).digest('hex').slice(0, 32)}`;
+  const now = Date.now();
+
+  let entry = await cache.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + window * 1000 };
+  }
+
+  const resetAt = new Date(entry.resetAt).toISOString();
+  const retryAfter = Math.max(1, Math.ceil((entry.resetAt - now) / 1000));
+  if (entry.count >= limit) {
+    throw new ApiError('RATE_LIMITED', 'Too many requests, please try again later', { resetAt, retryAfter });
+  }
+
+  entry.count++;
+  await cache.set(key, entry, retryAfter);
+  return { remaining: limit - entry.count, resetAt };
+}
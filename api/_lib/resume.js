@@ -0,0 +1,157 @@
+// Resume data for /api/resume.json and the printable /api/resume.html.
+// data/resume.json is the single source: the page's expertise, experience,
+// education and about sections are rendered from it too (js/resume.js).
+
+import { readFile } from 'node:fs/promises';
+
+import { escapeXml } from './card.js';
+import { ApiError } from './errors.js';
+import { writeLog } from './logger.js';
+
+export const RESUME_FILE = new URL('../../data/resume.json', import.meta.url);
+export const RESUME_FORMATS = ['json', 'html'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Read the resume document
+ * @returns {Promise<Object>} JSON Resume document
+ */
+export async function loadResume() {
+  try {
+    return JSON.parse(await readFile(RESUME_FILE, 'utf8'));
+  } catch (error) {
+    writeLog('error', 'Failed to load resume data', { error });
+    throw new ApiError('CONFIG_ERROR', 'Resume data is unavailable');
+  }
+}
+
+/**
+ * Month and year of a JSON Resume date ("2025", "2025-04" or "2025-04-01")
+ * @param {string} value
+ * @returns {string} e.g. "Apr 2025"
+ */
+export function formatDate(value) {
+  const [year, month] = String(value).split('-');
+  return month ? `${MONTHS[parseInt(month, 10) - 1]} ${year}` : year;
+}
+
+/**
+ * Date range for a work or education entry; no end date means ongoing
+ * @param {string} [startDate]
+ * @param {string} [endDate]
+ * @returns {string} e.g. "Oct 2023 – Jun 2025" or "Apr 2025 – Present"
+ */
+export function formatDateRange(startDate, endDate) {
+  if (!startDate) return endDate ? formatDate(endDate) : '';
+  return `${formatDate(startDate)} – ${endDate ? formatDate(endDate) : 'Present'}`;
+}
+
+const paragraphs = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .filter(Boolean)
+  .map(paragraph => `<p>${escapeXml(paragraph)}</p>`)
+  .join('');
+
+function renderWork(work) {
+  return work.map(job => `
+    <article class="entry">
+      <header>
+        <h3>${escapeXml(job.position)} <span class="entry__org">· ${escapeXml(job.name)}</span></h3>
+        <p class="entry__meta">${escapeXml([formatDateRange(job.startDate, job.endDate), job.location].filter(Boolean).join(' · '))}</p>
+      </header>
+      ${paragraphs(job.summary)}
+      ${job.highlights?.length ? `<ul>${job.highlights.map(h => `<li>${escapeXml(h)}</li>`).join('')}</ul>` : ''}
+    </article>`).join('');
+}
+
+function renderEducation(education) {
+  return education.map(school => `
+    <article class="entry">
+      <header>
+        <h3>${escapeXml([school.studyType, school.area].filter(Boolean).join(' in '))} <span class="entry__org">· ${escapeXml(school.institution)}</span></h3>
+        <p class="entry__meta">${escapeXml([formatDateRange(school.startDate, school.endDate), school.location, school.score && `GPA ${school.score}`].filter(Boolean).join(' · '))}</p>
+      </header>
+      ${paragraphs(school.summary)}
+    </article>`).join('');
+}
+
+function renderSkills(skills) {
+  return `<dl class="skills">${skills.map(skill => `
+    <dt>${escapeXml(skill.name)}</dt>
+    <dd>${escapeXml((skill.keywords || []).join(', '))}</dd>`).join('')}
+  </dl>`;
+}
+
+/**
+ * Render a JSON Resume document as a standalone page meant for printing
+ * or saving as PDF from the browser
+ * @param {Object} resume - JSON Resume document
+ * @returns {string} HTML document
+ */
+export function renderResumeHtml(resume) {
+  const { basics = {}, work = [], education = [], skills = [] } = resume;
+  const location = basics.location
+    ? [basics.location.city, basics.location.region].filter(Boolean).join(', ')
+    : '';
+  const contact = [
+    basics.email && `<a href="mailto:${escapeXml(basics.email)}">${escapeXml(basics.email)}</a>`,
+    location && escapeXml(location),
+    ...(basics.profiles || []).map(profile => `<a href="${escapeXml(profile.url)}">${escapeXml(profile.network)}: ${escapeXml(profile.username)}</a>`)
+  ].filter(Boolean);
+
+  const section = (title, items, render) => (items.length ? `
+  <section>
+    <h2>${title}</h2>
+    ${render(items)}
+  </section>` : '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeXml(basics.name)} – Resume</title>
+  <style>
+    @page { margin: 1.5cm; }
+    body { font: 11pt/1.45 "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; }
+    h1 { margin: 0; font-size: 1.9rem; }
+    h2 { margin: 1.5rem 0 0.5rem; padding-bottom: 0.2rem; border-bottom: 2px solid #16764C; color: #16764C; font-size: 1rem; text-transform: uppercase; letter-spacing: 0.05em; }
+    h3 { margin: 0; font-size: 1rem; }
+    p { margin: 0.3rem 0; }
+    a { color: inherit; }
+    .label { margin: 0.1rem 0 0.4rem; color: #656d76; font-size: 1.1rem; }
+    .contact { display: flex; flex-wrap: wrap; gap: 0.25rem 1rem; padding: 0; list-style: none; font-size: 0.9rem; }
+    .entry { margin-bottom: 0.9rem; break-inside: avoid; }
+    .entry__org { font-weight: normal; }
+    .entry__meta { color: #656d76; font-size: 0.9rem; }
+    .skills { display: grid; grid-template-columns: max-content 1fr; gap: 0.3rem 1rem; margin: 0; }
+    .skills dt { font-weight: 600; }
+    .skills dd { margin: 0; }
+    .print { float: right; font: inherit; padding: 0.3rem 0.8rem; cursor: pointer; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .print { display: none; }
+      a { text-decoration: none; }
+    }
+  </style>
+</head>
+<body>
+  <button class="print" type="button" onclick="window.print()">Print / Save as PDF</button>
+  <header>
+    <h1>${escapeXml(basics.name)}</h1>
+    ${basics.label ? `<p class="label">${escapeXml(basics.label)}</p>` : ''}
+    <ul class="contact">${contact.map(item => `<li>${item}</li>`).join('')}</ul>
+  </header>
+  ${basics.summary ? `
+  <section>
+    <h2>Profile</h2>
+    ${paragraphs(basics.summary)}
+  </section>` : ''}
+  ${section('Experience', work, renderWork)}
+  ${section('Education', education, renderEducation)}
+  ${section('Skills', skills, renderSkills)}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,62 @@
+// Stats assembly shared by /api/github-stats and the endpoints built on it
+
+import { yearRange } from './contributions.js';
+import { DEFAULT_TIME_ZONE } from './timezone.js';
+
+/**
+ * Fetch and normalize stats for one user
+ * @param {Object} provider - Provider adapter from getProvider()
+ * @param {string} username - Account name on the provider
+ * @param {Object} options
+ * @param {string|number} [options.year] - Single calendar year
+ * @param {number[]|null} [options.years] - Several calendar years
+ * @param {string} [options.timeZone='UTC'] - IANA zone whose calendar days are reported
+ * @param {boolean} [options.includeLanguages] - Fetch topLanguages (defaults to true without a year)
+ * @param {Object} [options.languages] - limit and maxPages for the provider's fetchTopLanguages()
+ * @param {Object} [options.request] - Options passed through to the provider (deadline, onRateLimit)
+ * @returns {Promise<Object>} Normalized response body
+ */
+export async function fetchStats(provider, username, { year, years, timeZone = DEFAULT_TIME_ZONE, includeLanguages = !year, languages, request } = {}) {
+  if (years) {
+    // Multi-year request: the provider resolves every year in one pass
+    const ranges = years.map(y => ({ alias: `y${y}`, ...yearRange(y, timeZone) }));
+    const results = await provider.fetchContributions(username, ranges, request);
+
+    const byYear = {};
+    years.forEach((y, i) => {
+      byYear[y] = results[i];
+    });
+
+    return {
+      years: byYear,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Calculate date range based on year parameter or default to last year
+  let to, from;
+  if (year) {
+    // For specific year, get Jan 1 to Dec 31 of that year
+    ({ from, to } = yearRange(parseInt(year), timeZone));
+  } else {
+    // Default to last year from current date
+    to = new Date();
+    from = new Date();
+    from.setFullYear(from.getFullYear() - 1);
+  }
+
+  // Languages are not year-specific, so by default only the overview
+  // request (no year parameter) pays for the repository walk
+  const [[contributions], topLanguages] = await Promise.all([
+    provider.fetchContributions(username, [{ alias: 'range', from, to, timeZone }], request),
+    includeLanguages && provider.fetchTopLanguages
+      ? provider.fetchTopLanguages(username, request, languages)
+      : Promise.resolve(undefined)
+  ]);
+
+  return {
+    contributions,
+    topLanguages,
+    timestamp: new Date().toISOString()
+  };
+}
@@ -0,0 +1,167 @@
+// Team dashboards: several accounts fetched together and merged into one
+// calendar, for /api/github-stats?usernames=a,b,c
+
+import { createContributions } from './contributions.js';
+import { ApiError } from './errors.js';
+import { normalizeLanguages } from './languages.js';
+import { fetchStats } from './stats.js';
+import { DEFAULT_TIME_ZONE } from './timezone.js';
+
+// Members fetched at once: keeps GitHub's secondary rate limits away and
+// leaves each member a fair share of the request budget
+export const TEAM_CONCURRENCY = 3;
+// Repository pages walked per member for topLanguages (100 repositories each)
+export const TEAM_LANGUAGE_PAGES = 1;
+
+const TOTAL_FIELDS = [
+  'totalCommits',
+  'totalPRs',
+  'totalIssues',
+  'totalReviews',
+  'restrictedContributions',
+  'totalRepositoriesWithCommits',
+  'totalContributions'
+];
+
+/**
+ * Sum per-repository lists from several members.  A repository several
+ * members worked on appears once with the combined count.
+ * @param {Array[]} lists - Output of normalizeRepositoryContributions(), one per member
+ * @returns {Array} Merged list, sorted by count, descending
+ */
+function mergeRepositories(lists) {
+  const merged = new Map();
+  lists.forEach(entries => (entries || []).forEach(entry => {
+    const key = entry.isPrivate ? 'private' : entry.name;
+    const repo = merged.get(key) || { ...entry, count: 0 };
+    repo.count += entry.count;
+    merged.set(key, repo);
+  }));
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Merge several members' contributions for the same date range: totals are
+ * summed, calendars are added up day by day and insights are derived from
+ * the merged calendar.
+ * @param {Object[]} list - Contributions in the shape produced by createContributions()
+ * @param {Object} [options]
+ * @param {string} [options.timeZone='UTC'] - Zone the contributions were requested in
+ * @returns {Object} Contributions in the same shape
+ */
+export function mergeContributions(list, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const days = new Map();
+  list.forEach(contributions => (contributions.calendar || []).forEach(day => {
+    const merged = days.get(day.date) || { ...day, count: 0 };
+    merged.count += day.count || 0;
+    days.set(day.date, merged);
+  }));
+
+  const totals = {};
+  TOTAL_FIELDS.forEach(field => {
+    totals[field] = list.reduce((sum, contributions) => sum + (contributions[field] || 0), 0);
+  });
+
+  return createContributions({
+    ...totals,
+    calendar: [...days.values()].sort((a, b) => (a.date < b.date ? -1 : 1)),
+    commitContributionsByRepository: mergeRepositories(list.map(c => c.commitContributionsByRepository)),
+    pullRequestContributionsByRepository: mergeRepositories(list.map(c => c.pullRequestContributionsByRepository)),
+    timeZone
+  });
+}
+
+/**
+ * Merge several members' top languages by byte count.  Byte counts are
+ * summed first and "Other" is worked out once from the merged totals; bytes
+ * a member only reports as "Other" stay in that group.
+ * @param {Array[]} lists - topLanguages arrays, one per member
+ * @param {number} [limit=6] - Number of named languages to keep
+ * @returns {Array|undefined} Merged topLanguages, or undefined when no member has any
+ */
+export function mergeLanguages(lists, limit = 6) {
+  const present = lists.filter(Array.isArray);
+  if (!present.length) return undefined;
+
+  const totals = new Map();
+  let otherSize = 0;
+  present.flat().forEach(({ name, color, size }) => {
+    if (name === 'Other') {
+      otherSize += size || 0;
+      return;
+    }
+    const entry = totals.get(name) || { size: 0, color };
+    entry.size += size || 0;
+    totals.set(name, entry);
+  });
+  return normalizeLanguages(totals, limit, otherSize);
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - Called with (item, index), returns a promise
+ * @returns {Promise<Array>} Results in the order of `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Fetch stats for every member of a team, TEAM_CONCURRENCY at a time, and
+ * merge them.  The body has the single-user shape (`contributions` or
+ * `years`, plus `topLanguages`) describing the whole team, and each
+ * member's own response under `members`.  Languages come from each
+ * member's first TEAM_LANGUAGE_PAGES pages of repositories, so a team
+ * request costs about as much as a few single-user ones.
+ * @param {Object} provider - Provider adapter from getProvider()
+ * @param {string[]} usernames - Member account names
+ * @param {Object} options - Same as fetchStats()
+ * @returns {Promise<Object>} { usernames, members, contributions|years, topLanguages, timestamp }
+ */
+export async function fetchTeamStats(provider, usernames, options = {}) {
+  const { timeZone = DEFAULT_TIME_ZONE } = options;
+
+  // Every language is kept so the team totals are summed before "Other"
+  // is split off; members are cut back to the usual six below
+  const memberOptions = { ...options, languages: { limit: Infinity, maxPages: TEAM_LANGUAGE_PAGES } };
+
+  const results = await mapWithConcurrency(usernames, TEAM_CONCURRENCY, username => fetchStats(provider, username, memberOptions).catch(error => {
+    // Say which member is missing; the rest of the team is fine
+    if (error instanceof ApiError && error.code === 'USER_NOT_FOUND') {
+      throw new ApiError('USER_NOT_FOUND', error.message, { parameter: 'usernames', username });
+    }
+    throw error;
+  }));
+
+  const members = {};
+  usernames.forEach((username, i) => {
+    const { timestamp, ...stats } = results[i];
+    if (stats.topLanguages) stats.topLanguages = mergeLanguages([stats.topLanguages]);
+    members[username] = stats;
+  });
+
+  const body = { usernames };
+  if (options.years) {
+    body.years = {};
+    options.years.forEach(year => {
+      body.years[year] = mergeContributions(results.map(result => result.years[year]), { timeZone });
+    });
+  } else {
+    body.contributions = mergeContributions(results.map(result => result.contributions), { timeZone });
+    body.topLanguages = mergeLanguages(results.map(result => result.topLanguages));
+  }
+  body.members = members;
+  body.timestamp = new Date().toISOString();
+  return body;
+}
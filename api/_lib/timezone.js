@@ -0,0 +1,111 @@
+// IANA time zone helpers for the `tz` parameter.  Calendars are lists of
+// YYYY-MM-DD days; these helpers decide which day an instant falls on and
+// where a day starts in a given zone.
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter producing numeric date/time parts in a zone
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string names a time zone known to the runtime
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function partsInZone(date, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+}
+
+/**
+ * Calendar day of an instant in a zone
+ * @param {Date|string|number} date - Instant
+ * @param {string} [timeZone='UTC']
+ * @returns {string} YYYY-MM-DD
+ */
+export function dateInZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { year, month, day } = partsInZone(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (e.g. -480 for PST)
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+export function zoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = partsInZone(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instant at which a calendar day begins in a zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [timeZone='UTC']
+ * @returns {Date}
+ */
+export function startOfDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const midnightUTC = new Date(`${date}T00:00:00Z`);
+  // Correct by the offset twice so a DST change near midnight settles
+  let instant = new Date(midnightUTC.getTime() - zoneOffset(midnightUTC, timeZone) * 60000);
+  instant = new Date(midnightUTC.getTime() - zoneOffset(instant, timeZone) * 60000);
+  return instant;
+}
+
+/**
+ * ISO 8601 timestamp written with the zone's offset instead of `Z`, so
+ * APIs that bucket by the offset of their input see local days
+ * @param {Date} date
+ * @param {string} [timeZone='UTC']
+ * @returns {string} e.g. 2024-01-01T00:00:00-08:00 (plain toISOString() for UTC)
+ */
+export function toZonedISOString(date, timeZone = DEFAULT_TIME_ZONE) {
+  const offset = zoneOffset(date, timeZone);
+  if (!offset) return date.toISOString();
+
+  const { year, month, day, hour, minute, second } = partsInZone(date, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
@@ -0,0 +1,217 @@
+// Query parameter validation for the stats endpoints
+
+import { ApiError } from './errors.js';
+import { EVENT_TYPES } from './events.js';
+import { PROVIDERS } from './providers/index.js';
+import { DEFAULT_TIME_ZONE, dateInZone, isValidTimeZone } from './timezone.js';
+
+// GitHub logins: alphanumerics and single hyphens, no leading/trailing hyphen, max 39
+const USERNAME_PATTERNS = {
+  github: /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i,
+  gitlab: /^[a-z\d_][a-z\d_.-]{0,254}$/i,
+  gitea: /^[a-z\d_][a-z\d_.-]{0,39}$/i
+};
+
+// GitHub launched in 2008; nothing to report before that
+export const MIN_YEAR = 2008;
+// Upper bound on how many years a single request may cover
+export const MAX_YEARS = 10;
+// Upper bound on team size; every member costs its own upstream queries
+export const MAX_TEAM_SIZE = 10;
+
+/**
+ * Validate an IANA time zone name
+ * @param {any} value - Raw query value
+ * @returns {string}
+ */
+export function parseTimeZone(value = DEFAULT_TIME_ZONE) {
+  const timeZone = String(value);
+  if (!isValidTimeZone(timeZone)) {
+    throw new ApiError('INVALID_TIMEZONE', `"${timeZone.slice(0, 50)}" is not a known IANA time zone`, { parameter: 'tz' });
+  }
+  return timeZone;
+}
+
+/**
+ * Current year in a time zone
+ * @param {string} [timeZone='UTC']
+ * @returns {number}
+ */
+export function currentYear(timeZone = DEFAULT_TIME_ZONE) {
+  return parseInt(dateInZone(new Date(), timeZone).slice(0, 4), 10);
+}
+
+/**
+ * Parse and range-check a year
+ * @param {any} value - Raw query value
+ * @param {string} [name='year'] - Parameter name for the error message
+ * @param {number} [maxYear] - Latest allowed year (defaults to the current UTC year)
+ * @returns {number}
+ */
+export function parseYear(value, name = 'year', maxYear = currentYear()) {
+  if (!/^\d{4}$/.test(String(value))) {
+    throw new ApiError('INVALID_YEAR', `${name} must be a four-digit year`, { parameter: name });
+  }
+  const year = parseInt(value, 10);
+  if (year < MIN_YEAR || year > maxYear) {
+    throw new ApiError('INVALID_YEAR', `${name} must be between ${MIN_YEAR} and ${maxYear}`, { parameter: name });
+  }
+  return year;
+}
+
+/**
+ * Validate a username for a provider
+ * @param {any} value - Raw query value
+ * @param {string} provider - Provider name
+ * @param {string} [name='username'] - Parameter name for the error details
+ * @returns {string}
+ */
+export function parseUsername(value, provider = 'github', name = 'username') {
+  const username = String(value);
+  if (!USERNAME_PATTERNS[provider].test(username)) {
+    throw new ApiError('INVALID_USERNAME', `"${username.slice(0, 50)}" is not a valid ${provider} username`, { parameter: name });
+  }
+  return username;
+}
+
+/**
+ * Parse the comma-separated `usernames` of a team request.  Duplicates are
+ * dropped (logins are case-insensitive); the first spelling is kept.
+ * @param {any} value - Raw query value
+ * @param {string} provider - Provider name
+ * @returns {string[]} Between 2 and MAX_TEAM_SIZE usernames, in request order
+ */
+export function parseUsernames(value, provider = 'github') {
+  const seen = new Set();
+  const usernames = [];
+  String(value).split(',').map(username => username.trim()).filter(Boolean).forEach(raw => {
+    const username = parseUsername(raw, provider, 'usernames');
+    if (seen.has(username.toLowerCase())) return;
+    seen.add(username.toLowerCase());
+    usernames.push(username);
+  });
+
+  if (usernames.length < 2) {
+    throw new ApiError('INVALID_PARAMETER', 'usernames must list at least two accounts; use username for one', { parameter: 'usernames' });
+  }
+  if (usernames.length > MAX_TEAM_SIZE) {
+    throw new ApiError('INVALID_PARAMETER', `A team may have at most ${MAX_TEAM_SIZE} members`, { parameter: 'usernames' });
+  }
+  return usernames;
+}
+
+/**
+ * Validate the provider name
+ * @param {any} value - Raw query value
+ * @returns {string}
+ */
+export function parseProvider(value = 'github') {
+  if (!PROVIDERS.includes(value)) {
+    throw new ApiError('INVALID_PROVIDER', `provider must be one of: ${PROVIDERS.join(', ')}`, { parameter: 'provider' });
+  }
+  return value;
+}
+
+/**
+ * Parse and range-check an integer parameter
+ * @param {any} value - Raw query value
+ * @param {string} name - Parameter name for the error message
+ * @param {Object} bounds
+ * @param {number} bounds.min - Smallest allowed value
+ * @param {number} bounds.max - Largest allowed value
+ * @returns {number}
+ */
+export function parseInteger(value, name, { min, max }) {
+  const number = Number(value);
+  if (!/^\d+$/.test(String(value)) || number < min || number > max) {
+    throw new ApiError('INVALID_PARAMETER', `${name} must be a whole number between ${min} and ${max}`, { parameter: name });
+  }
+  return number;
+}
+
+/**
+ * Parse an ISO 8601 timestamp parameter
+ * @param {any} value - Raw query value
+ * @param {string} name - Parameter name for the error message
+ * @returns {string} The timestamp, normalized to UTC with toISOString()
+ */
+export function parseTimestamp(value, name) {
+  const date = new Date(String(value));
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(String(value)) || Number.isNaN(date.getTime())) {
+    throw new ApiError('INVALID_PARAMETER', `${name} must be an ISO 8601 timestamp`, { parameter: name });
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse the comma-separated `type` filter of /api/github-events
+ * @param {any} value - Raw query value
+ * @returns {string[]|null} Entries of EVENT_TYPES, or null when absent
+ */
+export function parseEventTypes(value) {
+  if (value === undefined || value === '') return null;
+  const types = [...new Set(String(value).split(',').map(type => type.trim()).filter(Boolean))];
+  if (!types.length || types.some(type => !EVENT_TYPES.includes(type))) {
+    throw new ApiError('INVALID_PARAMETER', `type must list event types from: ${EVENT_TYPES.join(', ')}`, { parameter: 'type' });
+  }
+  return types;
+}
+
+/**
+ * Parse `years` or a `from`/`to` year range
+ * @param {Object} query - Request query
+ * @param {number} [maxYear] - Latest allowed year (defaults to the current UTC year)
+ * @returns {number[]|null} Sorted unique years, or null when neither parameter is present
+ */
+export function parseYears({ years, from, to }, maxYear = currentYear()) {
+  let list;
+
+  if (years !== undefined) {
+    list = String(years).split(',').map(y => parseYear(y.trim(), 'years', maxYear));
+  } else if (from !== undefined || to !== undefined) {
+    if (from === undefined || to === undefined) {
+      throw new ApiError('INVALID_RANGE', 'from and to must be given together', { parameter: from === undefined ? 'from' : 'to' });
+    }
+    const start = parseYear(from, 'from', maxYear);
+    const end = parseYear(to, 'to', maxYear);
+    if (start > end) {
+      throw new ApiError('INVALID_RANGE', 'from must not be after to', { parameter: 'from' });
+    }
+    list = [];
+    for (let y = start; y <= end; y++) list.push(y);
+  } else {
+    return null;
+  }
+
+  list = [...new Set(list)].sort((a, b) => a - b);
+  if (list.length > MAX_YEARS) {
+    throw new ApiError('INVALID_RANGE', `A request may cover at most ${MAX_YEARS} years`, { parameter: years !== undefined ? 'years' : 'from' });
+  }
+  return list;
+}
+
+/**
+ * Validate the query shared by the stats endpoints.  A team request has
+ * `usernames` and no `username`.
+ * @param {Object} query - Request query
+ * @returns {{provider: string, username: string|undefined, usernames: string[]|null, year: number|undefined, years: number[]|null, timeZone: string}}
+ */
+export function validateStatsQuery(query) {
+  const provider = parseProvider(query.provider);
+  if (query.usernames !== undefined && query.username !== undefined) {
+    throw new ApiError('INVALID_PARAMETER', 'Use either username or usernames, not both', { parameter: 'usernames' });
+  }
+  const usernames = query.usernames !== undefined ? parseUsernames(query.usernames, provider) : null;
+  const username = usernames ? undefined : parseUsername(query.username ?? 'kevinnngoo', provider);
+  const timeZone = parseTimeZone(query.tz);
+  // New Year's Day arrives earlier east of UTC
+  const maxYear = currentYear(timeZone);
+  const year = query.year !== undefined ? parseYear(query.year, 'year', maxYear) : undefined;
+  const years = parseYears(query, maxYear);
+
+  if (year !== undefined && years) {
+    throw new ApiError('INVALID_PARAMETER', 'Use either year or years/from/to, not both', { parameter: 'year' });
+  }
+
+  return { provider, username, usernames, year, years, timeZone };
+}
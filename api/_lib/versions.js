@@ -0,0 +1,56 @@
+// Per-user stats versions, bumped by /api/github-webhook when new activity
+// arrives.  The version is part of the stats cache key and response, so a
+// bump invalidates cached stats and tells clients to refetch.  Versions
+// live in their own store (see getStore()) so response caching can never
+// evict one and send it back to 0.
+
+import { getStore } from './cache.js';
+
+// Versions must outlive every cache entry they guard
+const VERSION_TTL = 30 * 24 * 60 * 60;
+
+const versionKey = (username) => `stats-version:${username.toLowerCase()}`;
+
+// Bumps in flight per key, for stores without an atomic increment
+const pending = new Map();
+
+/**
+ * Current stats version for a user
+ * @param {string} username - GitHub login
+ * @param {Object} [cache] - Cache adapter, defaults to getStore('versions')
+ * @returns {Promise<number>} 0 until the first bump
+ */
+export async function getStatsVersion(username, cache = getStore('versions')) {
+  return (await cache.get(versionKey(username))) || 0;
+}
+
+/**
+ * Increment a user's stats version.  GitHub often delivers several events
+ * at once, so each bump must count: the memory and KV stores increment
+ * atomically.  Other stores (the fs adapter) read then write, serialized
+ * within the instance only, so bumps from separate instances may collapse
+ * into one.
+ * @param {string} username - GitHub login
+ * @param {Object} [cache] - Cache adapter, defaults to getStore('versions')
+ * @returns {Promise<number>} The new version
+ */
+export async function bumpStatsVersion(username, cache = getStore('versions')) {
+  const key = versionKey(username);
+  if (typeof cache.increment === 'function') {
+    return cache.increment(key, VERSION_TTL);
+  }
+
+  const bump = async () => {
+    const version = ((await cache.get(key)) || 0) + 1;
+    await cache.set(key, version, VERSION_TTL);
+    return version;
+  };
+  const previous = pending.get(key) || Promise.resolve();
+  const next = previous.then(bump, bump);
+  pending.set(key, next);
+  try {
+    return await next;
+  } finally {
+    if (pending.get(key) === next) pending.delete(key);
+  }
+}
@@ -0,0 +1,68 @@
+// Contact API - Delivers messages from the site's contact form
+// Environment variables:
+//   CONTACT_TO         - Recipient (defaults to the site owner's address)
+//   CONTACT_FROM       - Envelope sender (defaults to SMTP_USER)
+//   CONTACT_RATE_LIMIT - Messages per IP per hour (defaults to 5)
+// plus the transport settings documented in _lib/mail.js
+
+import { readBody } from './_lib/body.js';
+import { createContactMail, validateContact } from './_lib/contact.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { getMailTransport } from './_lib/mail.js';
+import { consumeRateLimit, getClientIp } from './_lib/rate-limit.js';
+
+const DEFAULT_RECIPIENT = 'kevinngo2002@gmail.com';
+const DEFAULT_RATE_LIMIT = 5;
+const RATE_LIMIT_WINDOW = 60 * 60;
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'contact');
+  const { requestId } = log;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (applyCors(req, res, { methods: ['POST'], exposeHeaders: ['Retry-After'], log })) return;
+
+  try {
+    if (req.method !== 'POST') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const contact = validateContact(await readBody(req));
+    // Resolve the transport before counting so a misconfiguration doesn't
+    // use up visitors' attempts
+    const transport = getMailTransport();
+
+    await consumeRateLimit('contact', getClientIp(req), {
+      limit: parseInt(process.env.CONTACT_RATE_LIMIT, 10) || DEFAULT_RATE_LIMIT,
+      window: RATE_LIMIT_WINDOW
+    });
+
+    if (contact.spam) {
+      // Looks like a success to the sender; nothing is delivered
+      log.warn('Dropped contact message', { spam: contact.spam });
+      return res.status(200).json({ status: 'sent', requestId });
+    }
+
+    try {
+      await log.upstream(() => transport.send(createContactMail(contact, {
+        to: process.env.CONTACT_TO || DEFAULT_RECIPIENT,
+        from: process.env.CONTACT_FROM || process.env.SMTP_USER || DEFAULT_RECIPIENT,
+        requestId
+      })));
+    } catch (error) {
+      log.error('Contact delivery failed', { transport: transport.name, error });
+      throw new ApiError('UPSTREAM_ERROR', 'Your message could not be delivered. Please email me directly.');
+    }
+
+    return res.status(200).json({ status: 'sent', requestId });
+
+  } catch (error) {
+    if (error instanceof ApiError && error.code === 'RATE_LIMITED') {
+      res.setHeader('Retry-After', String(error.details.retryAfter));
+    }
+
+    return sendError(res, error, log);
+  }
+}
@@ -0,0 +1,113 @@
+// GitHub Card API - Embeddable SVG summary of the stats from /api/github-stats
+// Environment variable required: GITHUB_TOKEN (for the default github provider)
+
+import { DEFAULT_BUDGET_MS, RateLimitError, createRateLimitTracker, setRateLimitHeaders } from './_lib/github.js';
+import { computeETag, etagMatches, getCache, getCacheTTL } from './_lib/cache.js';
+import { applyCors } from './_lib/cors.js';
+import { SECTIONS, SIZES, THEMES, renderCard, renderErrorCard } from './_lib/card.js';
+import { ApiError, toApiError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { getProvider } from './_lib/providers/index.js';
+import { fetchStats } from './_lib/stats.js';
+import { currentYear, parseProvider, parseTimeZone, parseUsername, parseYear } from './_lib/validate.js';
+import { getStatsVersion } from './_lib/versions.js';
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'github-card');
+
+  // Embeds via <img> send no Origin and are never affected
+  if (applyCors(req, res, { methods: ['GET'], log })) return;
+
+  const { theme = 'dark', size = 'medium', hide = '' } = req.query;
+  const rateLimits = log.track(createRateLimitTracker());
+
+  const sendError = (error) => {
+    const apiError = toApiError(error);
+    log.set({ errorCode: apiError.code });
+    if (apiError.status >= 500) {
+      log.error(apiError.message, { errorCode: apiError.code, error });
+    }
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    // Errors are short-lived so a fixed upstream shows up quickly
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.setHeader('X-Error-Code', apiError.code);
+    return res.status(apiError.status).send(renderErrorCard(apiError.message, Object.hasOwn(THEMES, theme) ? theme : 'dark'));
+  };
+
+  let provider, username, year, timeZone, options;
+  try {
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    provider = parseProvider(req.query.provider);
+    username = parseUsername(req.query.username ?? 'kevinnngoo', provider);
+    log.set({ provider, username });
+    timeZone = parseTimeZone(req.query.tz);
+    const maxYear = currentYear(timeZone);
+    year = parseYear(req.query.year ?? maxYear, 'year', maxYear);
+
+    const hidden = String(hide).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = hidden.find(section => !SECTIONS.includes(section));
+    if (unknown) {
+      throw new ApiError('INVALID_PARAMETER', `hide must list sections from: ${SECTIONS.join(', ')}`, { parameter: 'hide' });
+    }
+    if (!Object.hasOwn(THEMES, theme)) {
+      throw new ApiError('INVALID_PARAMETER', `theme must be one of: ${Object.keys(THEMES).join(', ')}`, { parameter: 'theme' });
+    }
+    if (!Object.hasOwn(SIZES, size)) {
+      throw new ApiError('INVALID_PARAMETER', `size must be one of: ${Object.keys(SIZES).join(', ')}`, { parameter: 'size' });
+    }
+    options = { theme, size, hide: hidden };
+
+    provider = getProvider(provider);
+    if (!provider.isConfigured()) {
+      throw new ApiError('CONFIG_ERROR', 'Server configuration error');
+    }
+  } catch (error) {
+    return sendError(error);
+  }
+
+  try {
+    const version = provider.name === 'github' ? await getStatsVersion(username) : 0;
+    const cacheKey = `${provider.name}-card:${username.toLowerCase()}:${year}:${timeZone}:v${version}:${JSON.stringify(options)}`;
+    const cache = getCache();
+
+    let entry = await cache.get(cacheKey);
+    res.setHeader('X-Cache', entry ? 'HIT' : 'MISS');
+    log.set({ cache: entry ? 'hit' : 'miss' });
+
+    if (!entry) {
+      const stats = await log.upstream(() => fetchStats(provider, username, {
+        year,
+        timeZone,
+        includeLanguages: !options.hide.includes('languages'),
+        request: { deadline: Date.now() + DEFAULT_BUDGET_MS, onRateLimit: rateLimits.record }
+      }));
+      const svg = renderCard({ username, year, ...stats }, options);
+      entry = { svg, etag: computeETag(svg) };
+      await cache.set(cacheKey, entry, getCacheTTL());
+    }
+
+    setRateLimitHeaders(res, rateLimits.summary());
+
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    // Image proxies (e.g. GitHub's camo) honour max-age, so keep it modest
+    res.setHeader('Cache-Control', 'public, max-age=1800, s-maxage=3600, stale-while-revalidate=86400');
+    res.setHeader('ETag', entry.etag);
+
+    if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+      return res.status(304).end();
+    }
+
+    return res.status(200).send(entry.svg);
+
+  } catch (error) {
+    setRateLimitHeaders(res, error.rateLimit || rateLimits.summary());
+
+    if (error instanceof RateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+    return sendError(error);
+  }
+}
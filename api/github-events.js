@@ -0,0 +1,104 @@
+// GitHub Events API - Recent public activity for the timeline
+// Environment variable required: GITHUB_TOKEN
+
+import {
+  DEFAULT_BUDGET_MS,
+  RateLimitError,
+  createRateLimitTracker,
+  isGitHubConfigured,
+  setRateLimitHeaders
+} from './_lib/github.js';
+import { computeETag, etagMatches, getCache, getCacheTTL } from './_lib/cache.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { fetchRecentEvents, paginateEvents } from './_lib/events.js';
+import { parseEventTypes, parseInteger, parseTimestamp, parseUsername } from './_lib/validate.js';
+import { getStatsVersion } from './_lib/versions.js';
+
+const MAX_PER_PAGE = 100;
+const DEFAULT_PER_PAGE = 20;
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'github-events');
+
+  if (applyCors(req, res, {
+    methods: ['GET'],
+    headers: ['Content-Type', 'If-None-Match'],
+    exposeHeaders: ['ETag', 'X-Cache', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Resource'],
+    log
+  })) return;
+
+  // The feed itself comes from the REST events API; stars from GraphQL are extra
+  const rateLimits = log.track(createRateLimitTracker('core'));
+
+  try {
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const username = parseUsername(req.query.username ?? 'kevinnngoo', 'github');
+    log.set({ username });
+    const types = parseEventTypes(req.query.type);
+    const before = req.query.before ? parseTimestamp(req.query.before, 'before') : null;
+    const page = req.query.page !== undefined ? parseInteger(req.query.page, 'page', { min: 1, max: 100 }) : 1;
+    const perPage = req.query.per_page !== undefined
+      ? parseInteger(req.query.per_page, 'per_page', { min: 1, max: MAX_PER_PAGE })
+      : DEFAULT_PER_PAGE;
+
+    if (!isGitHubConfigured()) {
+      throw new ApiError('CONFIG_ERROR', 'GitHub token not configured');
+    }
+
+    // The whole feed is cached once per user and stats version, so every
+    // page and filter is cut from the same snapshot and a webhook delivery
+    // makes new activity show up right away
+    const version = await getStatsVersion(username);
+    const cacheKey = `github-events:${username.toLowerCase()}:v${version}`;
+    const cache = getCache();
+
+    let feed = await cache.get(cacheKey);
+    res.setHeader('X-Cache', feed ? 'HIT' : 'MISS');
+    log.set({ cache: feed ? 'hit' : 'miss' });
+
+    if (!feed) {
+      const events = await log.upstream(() => fetchRecentEvents(username, {
+        github: {
+          deadline: Date.now() + DEFAULT_BUDGET_MS,
+          onRateLimit: rateLimits.record
+        }
+      }));
+      feed = { events, timestamp: new Date().toISOString() };
+      await cache.set(cacheKey, feed, getCacheTTL());
+    }
+
+    const body = {
+      username,
+      ...paginateEvents(feed.events, { types, before, page, perPage }),
+      types: types || null,
+      before,
+      timestamp: feed.timestamp
+    };
+    const etag = computeETag(body);
+
+    setRateLimitHeaders(res, rateLimits.summary());
+
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+    res.setHeader('ETag', etag);
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+
+    return res.status(200).json(body);
+
+  } catch (error) {
+    setRateLimitHeaders(res, error.rateLimit || rateLimits.summary());
+
+    if (error instanceof RateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+
+    return sendError(res, error, log);
+  }
+}
@@ -0,0 +1,82 @@
+// GitHub Pinned API - The repositories pinned on a GitHub profile
+// Environment variable required: GITHUB_TOKEN
+
+import {
+  DEFAULT_BUDGET_MS,
+  RateLimitError,
+  createRateLimitTracker,
+  isGitHubConfigured,
+  setRateLimitHeaders
+} from './_lib/github.js';
+import { computeETag, etagMatches, getCache, getCacheTTL } from './_lib/cache.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { fetchPinnedRepositories } from './_lib/pinned.js';
+import { parseUsername } from './_lib/validate.js';
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'github-pinned');
+
+  if (applyCors(req, res, {
+    methods: ['GET'],
+    headers: ['Content-Type', 'If-None-Match'],
+    exposeHeaders: ['ETag', 'X-Cache', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Resource'],
+    log
+  })) return;
+
+  const rateLimits = log.track(createRateLimitTracker());
+
+  try {
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const username = parseUsername(req.query.username ?? 'kevinnngoo', 'github');
+    log.set({ username });
+
+    if (!isGitHubConfigured()) {
+      throw new ApiError('CONFIG_ERROR', 'GitHub token not configured');
+    }
+
+    const cacheKey = `github-pinned:${username.toLowerCase()}`;
+    const cache = getCache();
+
+    let entry = await cache.get(cacheKey);
+    res.setHeader('X-Cache', entry ? 'HIT' : 'MISS');
+    log.set({ cache: entry ? 'hit' : 'miss' });
+
+    if (!entry) {
+      const repositories = await log.upstream(() => fetchPinnedRepositories(username, {
+        github: {
+          deadline: Date.now() + DEFAULT_BUDGET_MS,
+          onRateLimit: rateLimits.record
+        }
+      }));
+      const body = { username, repositories, timestamp: new Date().toISOString() };
+      entry = { body, etag: computeETag(body) };
+      await cache.set(cacheKey, entry, getCacheTTL());
+    }
+
+    setRateLimitHeaders(res, rateLimits.summary());
+
+    // Pins change rarely; let the CDN hold them for an hour
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+    res.setHeader('ETag', entry.etag);
+
+    if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+      return res.status(304).end();
+    }
+
+    return res.status(200).json(entry.body);
+
+  } catch (error) {
+    setRateLimitHeaders(res, error.rateLimit || rateLimits.summary());
+
+    if (error instanceof RateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+
+    return sendError(res, error, log);
+  }
+}
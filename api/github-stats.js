@@ -1,129 +1,108 @@
-// GitHub Stats API - Serverless function for fetching GitHub GraphQL data
-// Environment variable required: GITHUB_TOKEN
+// GitHub Stats API - Serverless function for fetching contribution data
+// Environment variable required: GITHUB_TOKEN (for the default github provider)
 
-export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+import {
+  DEFAULT_BUDGET_MS,
+  RateLimitError,
+  createRateLimitTracker,
+  setRateLimitHeaders
+} from './_lib/github.js';
+import { computeETag, etagMatches, getCache, getCacheTTL } from './_lib/cache.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { getProvider } from './_lib/providers/index.js';
+import { fetchStats } from './_lib/stats.js';
+import { fetchTeamStats } from './_lib/team.js';
+import { validateStatsQuery } from './_lib/validate.js';
+import { getStatsVersion } from './_lib/versions.js';
 
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'github-stats');
 
-  const { username = 'kevinnngoo', year } = req.query;
+  if (applyCors(req, res, {
+    methods: ['GET'],
+    headers: ['Content-Type', 'If-None-Match'],
+    exposeHeaders: ['ETag', 'X-Cache', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Resource'],
+    log
+  })) return;
 
-  if (!process.env.GITHUB_TOKEN) {
-    console.error('GITHUB_TOKEN environment variable is not set');
-    console.error('Available env vars:', Object.keys(process.env).filter(k => k.includes('GITHUB') || k.includes('TOKEN')));
-    return res.status(500).json({ 
-      error: 'Server configuration error',
-      message: 'GitHub token not configured',
-      debug: 'Check Vercel environment variables'
-    });
-  }
+  const rateLimits = log.track(createRateLimitTracker());
 
   try {
-    const query = `
-      query($username: String!, $from: DateTime!, $to: DateTime!) {
-        user(login: $username) {
-          contributionsCollection(from: $from, to: $to) {
-            totalCommitContributions
-            totalPullRequestContributions
-            totalIssueContributions
-            contributionCalendar {
-              totalContributions
-              weeks {
-                contributionDays {
-                  contributionCount
-                  date
-                  weekday
-                }
-              }
-            }
-          }
-        }
-      }
-    `;
-
-    // Calculate date range based on year parameter or default to last year
-    let to, from;
-    if (year) {
-      // For specific year, get Jan 1 to Dec 31 of that year
-      const targetYear = parseInt(year);
-      from = new Date(`${targetYear}-01-01T00:00:00Z`);
-      to = new Date(`${targetYear}-12-31T23:59:59Z`);
-    } else {
-      // Default to last year from current date
-      to = new Date();
-      from = new Date();
-      from.setFullYear(from.getFullYear() - 1);
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
     }
 
-    const response = await fetch('https://api.github.com/graphql', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.GITHUB_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        query,
-        variables: { 
-          username,
-          from: from.toISOString(),
-          to: to.toISOString()
-        }
-      })
-    });
+    const { provider: providerName, username, usernames, year, years, timeZone } = validateStatsQuery(req.query);
+    log.set({ provider: providerName, username, usernames: usernames?.join(',') });
 
-    if (!response.ok) {
-      throw new Error(`GitHub API responded with status: ${response.status}`);
+    const provider = getProvider(providerName);
+    if (!provider.isConfigured()) {
+      throw new ApiError('CONFIG_ERROR', provider.name === 'github'
+        ? 'GitHub token not configured'
+        : `${provider.name} provider not configured`);
     }
 
-    const data = await response.json();
+    // Bumped by /api/github-webhook on new activity; GitHub only.  A team
+    // has one version per member, in request order.
+    const members = usernames || [username];
+    const versions = provider.name === 'github'
+      ? await Promise.all(members.map(member => getStatsVersion(member)))
+      : members.map(() => 0);
 
-    if (data.errors) {
-      console.error('GraphQL errors:', data.errors);
-      throw new Error('GraphQL query failed');
-    }
+    // Cache entries are keyed by username (or the team's usernames), the
+    // requested date range, its time zone and the stats versions, so a
+    // webhook delivery makes the old entries unreachable
+    const range = years ? `years:${years.join(',')}` : year ? `year:${year}` : 'rolling';
+    const subject = usernames ? `team:${members.map(member => member.toLowerCase()).join(',')}` : username.toLowerCase();
+    const cacheKey = `${provider.name}-stats:${subject}:${range}:${timeZone}:v${versions.join('.')}`;
+    const cache = getCache();
+
+    let entry = await cache.get(cacheKey);
+    res.setHeader('X-Cache', entry ? 'HIT' : 'MISS');
+    log.set({ cache: entry ? 'hit' : 'miss' });
 
-    if (!data.data?.user) {
-      throw new Error('User not found');
+    if (!entry) {
+      const options = {
+        year,
+        years,
+        timeZone,
+        request: {
+          deadline: Date.now() + DEFAULT_BUDGET_MS,
+          onRateLimit: rateLimits.record
+        }
+      };
+      const stats = await log.upstream(() => (usernames
+        ? fetchTeamStats(provider, usernames, options)
+        : fetchStats(provider, username, options)));
+      // The version is part of the body and therefore of the ETag
+      const body = usernames
+        ? { ...stats, timeZone, versions: Object.fromEntries(usernames.map((member, i) => [member, versions[i]])) }
+        : { ...stats, timeZone, version: versions[0] };
+      entry = { body, etag: computeETag(body) };
+      await cache.set(cacheKey, entry, getCacheTTL());
     }
 
-    // Normalize the data
-    const user = data.data.user;
-    const normalizedData = {
-      contributions: {
-        totalCommits: user.contributionsCollection.totalCommitContributions,
-        totalPRs: user.contributionsCollection.totalPullRequestContributions,
-        totalIssues: user.contributionsCollection.totalIssueContributions,
-        calendar: user.contributionsCollection.contributionCalendar.weeks.flatMap(week =>
-          week.contributionDays.map(day => ({
-            date: day.date,
-            count: day.contributionCount,
-            weekday: day.weekday
-          }))
-        ),
-        totalContributions: user.contributionsCollection.contributionCalendar.totalContributions
-      },
-      timestamp: new Date().toISOString()
-    };
+    setRateLimitHeaders(res, rateLimits.summary());
 
     // Cache for 5 minutes on the server side
     res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+    res.setHeader('ETag', entry.etag);
+
+    if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+      return res.status(304).end();
+    }
     
-    return res.status(200).json(normalizedData);
+    return res.status(200).json(entry.body);
 
   } catch (error) {
-    console.error('Error fetching GitHub data:', error);
-    return res.status(500).json({ 
-      error: 'Failed to fetch GitHub data',
-      message: error.message 
-    });
+    setRateLimitHeaders(res, error.rateLimit || rateLimits.summary());
+
+    if (error instanceof RateLimitError) {
+      res.setHeader('Retry-After', String(error.retryAfter));
+    }
+
+    return sendError(res, error, log);
   }
 }
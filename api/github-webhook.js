@@ -0,0 +1,91 @@
+// GitHub Webhook API - Invalidates cached stats when new activity arrives
+// Environment variable required: GITHUB_WEBHOOK_SECRET
+//
+// POST: receives push, pull_request and issues deliveries and bumps the
+//       sender's stats version.
+// GET:  returns a user's current version so clients can tell when to refetch.
+
+import { verifyWebhookSignature } from './_lib/auth.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { parseUsername } from './_lib/validate.js';
+import { bumpStatsVersion, getStatsVersion } from './_lib/versions.js';
+
+export const ACCEPTED_EVENTS = ['push', 'pull_request', 'issues'];
+
+/**
+ * Read the request body without parsing it; the signature covers the raw
+ * bytes.  `req.body` must not be touched first: on Vercel it is a lazy
+ * getter that consumes the stream to parse it.
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Buffer>}
+ */
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'github-webhook');
+  res.setHeader('Cache-Control', 'no-store');
+
+  // Only the GET version lookup is used from browsers; GitHub's deliveries
+  // carry no Origin
+  if (applyCors(req, res, { methods: ['GET'], log })) return;
+
+  try {
+    if (req.method === 'GET') {
+      const username = parseUsername(req.query.username ?? 'kevinnngoo', 'github');
+      log.set({ username });
+      return res.status(200).json({ username, version: await getStatsVersion(username) });
+    }
+
+    if (req.method !== 'POST') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new ApiError('CONFIG_ERROR', 'Webhook secret not configured');
+    }
+
+    const payload = await readRawBody(req);
+    if (!verifyWebhookSignature(payload, req.headers['x-hub-signature-256'], secret)) {
+      throw new ApiError('UNAUTHORIZED', 'Invalid webhook signature');
+    }
+
+    const event = req.headers['x-github-event'];
+    log.set({ event, deliveryId: req.headers['x-github-delivery'] });
+    if (!ACCEPTED_EVENTS.includes(event)) {
+      // Acknowledge so GitHub doesn't mark the delivery as failed (e.g. ping)
+      return res.status(202).json({ event, ignored: true });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+      throw new ApiError('INVALID_PARAMETER', 'Webhook payload must be JSON');
+    }
+
+    // The sender is the account whose contributions just changed.  Bots
+    // (e.g. "dependabot[bot]") have no contribution graph to refresh.
+    const login = body.sender?.login;
+    if (!login || body.sender.type === 'Bot') {
+      return res.status(202).json({ event, ignored: true });
+    }
+
+    const username = parseUsername(login, 'github');
+    log.set({ username });
+    const version = await bumpStatsVersion(username);
+
+    return res.status(200).json({ event, username, version });
+
+  } catch (error) {
+    return sendError(res, error, log);
+  }
+}
@@ -0,0 +1,71 @@
+// Health endpoint - liveness for anyone, diagnostics for operators
+// Optional environment variable: ADMIN_SECRET (send as X-Admin-Secret for details)
+
+import { ADMIN_SECRET_HEADER, hasAdminSecret } from './_lib/auth.js';
+import { getCache, getCacheTTL } from './_lib/cache.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { fetchGitHubStatus, isGitHubConfigured } from './_lib/github.js';
+import { isGitHubMock } from './_lib/github-fixtures.js';
+import { PROVIDERS, getProvider } from './_lib/providers/index.js';
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'health');
+  // Diagnostics must never be cached by a CDN or browser
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (applyCors(req, res, { methods: ['GET'], log })) return;
+
+  try {
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const tokenConfigured = isGitHubConfigured();
+
+    // Without the secret only the overall status is reported, and GitHub is
+    // not contacted so the endpoint can't be used to burn the quota
+    if (!req.headers[ADMIN_SECRET_HEADER]) {
+      return res.status(tokenConfigured ? 200 : 503).json({
+        status: tokenConfigured ? 'ok' : 'misconfigured',
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (!hasAdminSecret(req)) {
+      throw new ApiError('UNAUTHORIZED', 'Invalid admin secret');
+    }
+
+    const [github, cache] = await Promise.all([
+      tokenConfigured ? log.upstream(() => fetchGitHubStatus()) : null,
+      getCache().stats()
+    ]);
+
+    const providers = {};
+    PROVIDERS.forEach(name => {
+      providers[name] = { configured: getProvider(name).isConfigured() };
+    });
+
+    const healthy = tokenConfigured && github.reachable && !github.error && cache.writable;
+
+    return res.status(healthy ? 200 : 503).json({
+      status: !tokenConfigured ? 'misconfigured' : healthy ? 'ok' : 'degraded',
+      github: {
+        tokenConfigured,
+        // Answers come from recordings, not GitHub
+        mock: isGitHubMock(),
+        reachable: github?.reachable ?? false,
+        latencyMs: github?.latencyMs ?? null,
+        rateLimit: github?.rateLimit ?? null,
+        scopes: github?.scopes ?? null,
+        error: github?.error ?? (tokenConfigured ? null : 'GITHUB_TOKEN is not set')
+      },
+      cache: { ...cache, ttl: getCacheTTL() },
+      providers,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return sendError(res, error, log);
+  }
+}
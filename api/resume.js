@@ -0,0 +1,61 @@
+// Resume API - The profile in the JSON Resume schema, or as a printable page
+// Served as /api/resume.json and /api/resume.html (see vercel.json)
+
+import { computeETag, etagMatches } from './_lib/cache.js';
+import { applyCors } from './_lib/cors.js';
+import { ApiError, sendError } from './_lib/errors.js';
+import { createRequestLogger } from './_lib/logger.js';
+import { RESUME_FORMATS, loadResume, renderResumeHtml } from './_lib/resume.js';
+
+/**
+ * Requested format: `format` when given, otherwise the path's extension
+ * @param {Object} req
+ * @returns {string} Entry of RESUME_FORMATS
+ */
+function parseFormat(req) {
+  const pathname = new URL(req.url || '/', 'http://localhost').pathname;
+  const format = req.query.format ?? (pathname.endsWith('.html') ? 'html' : 'json');
+  if (!RESUME_FORMATS.includes(format)) {
+    throw new ApiError('INVALID_PARAMETER', `format must be one of: ${RESUME_FORMATS.join(', ')}`, { parameter: 'format' });
+  }
+  return format;
+}
+
+export default async function handler(req, res) {
+  const log = createRequestLogger(req, res, 'resume');
+
+  if (applyCors(req, res, {
+    methods: ['GET'],
+    headers: ['Content-Type', 'If-None-Match'],
+    exposeHeaders: ['ETag'],
+    log
+  })) return;
+
+  try {
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+
+    const format = parseFormat(req);
+    const resume = await loadResume();
+    const etag = computeETag({ format, resume });
+
+    // Changes only with a deploy
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate');
+    res.setHeader('ETag', etag);
+
+    if (etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(renderResumeHtml(resume));
+    }
+
+    return res.status(200).json(resume);
+
+  } catch (error) {
+    return sendError(res, error, log);
+  }
+}
@@ -1,12 +1,44 @@
 /**
- * Cache Manager - Handles localStorage caching with expiration
- * Provides 6-hour cache duration for GitHub activity data
+ * Cache Manager - Handles client-side caching with expiration
+ * Provides 6-hour cache duration for GitHub activity data by default;
+ * entries can set their own lifetime with a `ttl` or a named policy
+ * (see POLICIES), e.g. past years for 30 days and the current year for
+ * an hour.
+ *
+ * Entries live in a storage backend from `cache-storage.js`: IndexedDB
+ * where available, falling back to localStorage and then memory when a
+ * backend can't be opened.  Every method that touches storage is async.
+ *
+ * Expired entries are kept for another week so they can be shown while
+ * fresh data loads (stale-while-revalidate): getWithMeta() returns them
+ * flagged as stale, revalidate() refreshes them through a fetcher, and
+ * subscribe() tells the page when the fresh data is in.
  */
 
-class CacheManager {
-  constructor() {
+import { createDefaultStorage, createLocalStorage, isQuotaError } from './cache-storage.js';
+
+export class CacheManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Backend from cache-storage.js;
+   *   defaults to IndexedDB with localStorage and memory fallbacks
+   */
+  constructor({ storage = createDefaultStorage() } = {}) {
+    this.storage = storage;
     this.CACHE_DURATION = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
+    // Named lifetimes in milliseconds, chosen with set(key, data, { policy })
+    this.POLICIES = {
+      default: this.CACHE_DURATION,
+      'past-year': 30 * 24 * 60 * 60 * 1000, // Finished years barely change
+      'current-year': 60 * 60 * 1000 // New activity should show up within the hour
+    };
+    // How long an expired entry may still be served as stale
+    this.STALE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
     this.CACHE_PREFIX = 'github_activity_';
+    // Callbacks per cache key, called with fresh data from revalidate()
+    this.subscribers = new Map();
+    // Revalidations in flight per cache key, so a key is only fetched once
+    this.pending = new Map();
   }
 
   /**
@@ -19,115 +51,232 @@ class CacheManager {
   }
 
   /**
-   * Store data in localStorage with expiration timestamp
+   * Full keys of every entry this cache owns in the storage backend
+   * @returns {Promise<string[]>}
+   */
+  async getOwnKeys() {
+    return (await this.storage.keys()).filter(key => key.startsWith(this.CACHE_PREFIX));
+  }
+
+  /**
+   * Add or replace a named cache policy
+   * @param {string} name - Policy name
+   * @param {number} ttl - Lifetime in milliseconds
+   */
+  definePolicy(name, ttl) {
+    if (!(ttl > 0)) {
+      throw new Error(`Cache policy "${name}" needs a positive ttl`);
+    }
+    this.POLICIES[name] = ttl;
+  }
+
+  /**
+   * Store data with expiration timestamp
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
-   * @returns {boolean} Success status
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Lifetime in milliseconds; overrides the policy
+   * @param {string} [options.policy='default'] - Key of POLICIES
+   * @returns {Promise<boolean>} Success status
    */
-  set(key, data) {
+  async set(key, data, { ttl, policy = 'default' } = {}) {
     try {
       const cacheKey = this.getCacheKey(key);
       const timestamp = Date.now();
-      const expires = timestamp + this.CACHE_DURATION;
-      
+      if (ttl === undefined && !Object.hasOwn(this.POLICIES, policy)) {
+        console.warn(`Unknown cache policy "${policy}", using the default`);
+        policy = 'default';
+      }
+      const expires = timestamp + (ttl ?? this.POLICIES[policy]);
+
       const cacheData = {
         data,
         timestamp,
-        expires
+        expires,
+        // Reported by getStats(); a custom ttl has no policy
+        policy: ttl === undefined ? policy : null
       };
 
-      localStorage.setItem(cacheKey, JSON.stringify(cacheData));
+      try {
+        await this.storage.set(cacheKey, cacheData);
+      } catch (error) {
+        if (!isQuotaError(error)) throw error;
+        // Storage is full: make room by dropping dead entries, then retry once
+        await this.clearExpired();
+        await this.storage.set(cacheKey, cacheData);
+      }
       return true;
     } catch (error) {
       console.warn('Failed to cache data:', error);
-      // Handle quota exceeded or other localStorage errors
-      this.clearExpired();
       return false;
     }
   }
 
   /**
-   * Retrieve data from localStorage if not expired
+   * Retrieve data if not expired
    * @param {string} key - Cache key
-   * @returns {any|null} Cached data or null if expired/missing
+   * @returns {Promise<any|null>} Cached data or null if expired/missing
    */
-  get(key) {
+  async get(key) {
+    const entry = await this.getWithMeta(key);
+    return entry && !entry.stale ? entry.data : null;
+  }
+
+  /**
+   * Retrieve data together with its age, including expired data that is
+   * still within the stale window.  When the data is stale and a fetcher
+   * is given, a background refresh is started (see revalidate()).
+   * @param {string} key - Cache key
+   * @param {Object} [options]
+   * @param {Function} [options.revalidate] - Returns (a promise of) fresh data
+   * @param {number} [options.ttl] - ttl for the refreshed entry, as for set();
+   *   defaults to this entry's lifetime
+   * @param {string} [options.policy] - Policy for the refreshed entry, as for set()
+   * @returns {Promise<{data: any, stale: boolean, timestamp: number, expires: number, policy: string|null}|null>}
+   *   Cached entry or null if missing or past the stale window
+   */
+  async getWithMeta(key, { revalidate, ttl, policy } = {}) {
     try {
       const cacheKey = this.getCacheKey(key);
-      const cached = localStorage.getItem(cacheKey);
-      
-      if (!cached) {
+      const cacheData = await this.storage.get(cacheKey);
+
+      if (!cacheData) {
         return null;
       }
 
-      const cacheData = JSON.parse(cached);
       const now = Date.now();
 
-      // Check if cache has expired
-      if (now > cacheData.expires) {
-        localStorage.removeItem(cacheKey);
+      // Too old to show even as a placeholder
+      if (now > cacheData.expires + this.STALE_DURATION) {
+        await this.storage.delete(cacheKey);
         return null;
       }
 
-      return cacheData.data;
+      const stale = now > cacheData.expires;
+      if (stale && revalidate) {
+        // Without options the refreshed entry keeps this entry's lifetime
+        const options = ttl !== undefined || policy !== undefined
+          ? { ttl, policy }
+          : cacheData.policy ? { policy: cacheData.policy } : { ttl: cacheData.expires - cacheData.timestamp };
+        this.revalidate(key, revalidate, options);
+      }
+
+      return {
+        data: cacheData.data,
+        stale,
+        timestamp: cacheData.timestamp,
+        expires: cacheData.expires,
+        policy: cacheData.policy === undefined ? 'default' : cacheData.policy
+      };
     } catch (error) {
       console.warn('Failed to retrieve cached data:', error);
       return null;
     }
   }
 
+  /**
+   * Refresh an entry in the background.  The fetcher's result is cached
+   * and passed to the key's subscribers; if it fails or returns nothing,
+   * the old entry stays as it is.  Concurrent calls for the same key share
+   * one fetch.
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Returns (a promise of) fresh data
+   * @param {Object} [options] - ttl or policy for the fresh entry, as for set()
+   * @returns {Promise<any|null>} Fresh data, or null if the refresh failed
+   */
+  revalidate(key, fetcher, options) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const refresh = (async () => {
+      try {
+        const data = await fetcher();
+        if (data === undefined || data === null) return null;
+        await this.set(key, data, options);
+        this.notify(key, data);
+        return data;
+      } catch (error) {
+        console.warn('Failed to revalidate cached data:', error);
+        return null;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, refresh);
+    return refresh;
+  }
+
+  /**
+   * Listen for fresh data from revalidate()
+   * @param {string} key - Cache key
+   * @param {Function} callback - Called with the fresh data
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(key, callback) {
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, new Set());
+    }
+    this.subscribers.get(key).add(callback);
+    return () => this.subscribers.get(key)?.delete(callback);
+  }
+
+  /**
+   * Pass fresh data to a key's subscribers
+   * @param {string} key - Cache key
+   * @param {any} data - Fresh data
+   */
+  notify(key, data) {
+    (this.subscribers.get(key) || []).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.warn('Cache subscriber failed:', error);
+      }
+    });
+  }
+
   /**
    * Check if cached data exists and is valid
    * @param {string} key - Cache key
-   * @returns {boolean} True if valid cache exists
+   * @returns {Promise<boolean>} True if valid cache exists
    */
-  has(key) {
-    return this.get(key) !== null;
+  async has(key) {
+    return (await this.get(key)) !== null;
   }
 
   /**
    * Remove specific cache entry
    * @param {string} key - Cache key
    */
-  remove(key) {
+  async remove(key) {
     try {
-      const cacheKey = this.getCacheKey(key);
-      localStorage.removeItem(cacheKey);
+      await this.storage.delete(this.getCacheKey(key));
     } catch (error) {
       console.warn('Failed to remove cache entry:', error);
     }
   }
 
   /**
-   * Clear all expired cache entries
+   * Clear all cache entries that are past their stale window
    */
-  clearExpired() {
+  async clearExpired() {
     try {
       const now = Date.now();
       const keysToRemove = [];
 
-      // Find all cache keys
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(this.CACHE_PREFIX)) {
-          try {
-            const cached = localStorage.getItem(key);
-            if (cached) {
-              const cacheData = JSON.parse(cached);
-              if (now > cacheData.expires) {
-                keysToRemove.push(key);
-              }
-            }
-          } catch (error) {
-            // Invalid cache entry, mark for removal
-            keysToRemove.push(key);
-          }
+      for (const key of await this.getOwnKeys()) {
+        const cacheData = await this.storage.get(key);
+        // Unreadable entries come back as null and are removed too
+        if (!cacheData || now > cacheData.expires + this.STALE_DURATION) {
+          keysToRemove.push(key);
         }
       }
 
       // Remove expired entries
-      keysToRemove.forEach(key => localStorage.removeItem(key));
-      
+      await Promise.all(keysToRemove.map(key => this.storage.delete(key)));
+
       if (keysToRemove.length > 0) {
         console.log(`Cleared ${keysToRemove.length} expired cache entries`);
       }
@@ -137,20 +286,51 @@ class CacheManager {
   }
 
   /**
-   * Clear all GitHub activity cache entries
+   * Move entries left in localStorage by earlier versions of this cache
+   * into the current backend, then delete them there.  Entries past the
+   * stale window, or already present in the current backend, are just
+   * deleted.  Does nothing when the current backend is localStorage itself
+   * or localStorage can't be used.
+   * @param {Object} [legacy] - Backend to move entries out of
    */
-  clearAll() {
+  async migrateLegacyEntries(legacy = createLocalStorage()) {
     try {
-      const keysToRemove = [];
-      
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(this.CACHE_PREFIX)) {
-          keysToRemove.push(key);
+      await this.storage.open?.();
+      if (this.storage.name === legacy.name) return;
+
+      let keys;
+      try {
+        keys = (await legacy.keys()).filter(key => key.startsWith(this.CACHE_PREFIX));
+      } catch (error) {
+        return;
+      }
+
+      const now = Date.now();
+      let moved = 0;
+      for (const key of keys) {
+        const cacheData = await legacy.get(key);
+        if (cacheData && now <= cacheData.expires + this.STALE_DURATION && !(await this.storage.get(key))) {
+          await this.storage.set(key, cacheData);
+          moved++;
         }
+        await legacy.delete(key);
       }
 
-      keysToRemove.forEach(key => localStorage.removeItem(key));
+      if (keys.length > 0) {
+        console.log(`Cleared ${keys.length} localStorage cache entries, ${moved} moved to ${this.storage.name}`);
+      }
+    } catch (error) {
+      console.warn('Failed to migrate localStorage cache entries:', error);
+    }
+  }
+
+  /**
+   * Clear all GitHub activity cache entries
+   */
+  async clearAll() {
+    try {
+      const keysToRemove = await this.getOwnKeys();
+      await Promise.all(keysToRemove.map(key => this.storage.delete(key)));
       console.log(`Cleared ${keysToRemove.length} cache entries`);
     } catch (error) {
       console.warn('Failed to clear cache:', error);
@@ -158,33 +338,42 @@ class CacheManager {
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
+   * Get cache statistics.  `policies` counts entries per policy; entries
+   * stored with a custom ttl are counted under `custom`.  `storage` names
+   * the backend in use.
+   * @returns {Promise<Object>} Cache statistics
    */
-  getStats() {
+  async getStats() {
+    const policies = {};
+    const countPolicy = (name, expired) => {
+      if (!Object.hasOwn(policies, name)) policies[name] = { totalEntries: 0, expiredEntries: 0, validEntries: 0 };
+      policies[name].totalEntries++;
+      policies[name][expired ? 'expiredEntries' : 'validEntries']++;
+    };
+    Object.keys(this.POLICIES).forEach(name => {
+      policies[name] = { totalEntries: 0, expiredEntries: 0, validEntries: 0 };
+    });
+
     try {
       let totalEntries = 0;
       let expiredEntries = 0;
       let totalSize = 0;
       const now = Date.now();
 
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key && key.startsWith(this.CACHE_PREFIX)) {
-          totalEntries++;
-          const value = localStorage.getItem(key);
-          if (value) {
-            totalSize += value.length;
-            try {
-              const cacheData = JSON.parse(value);
-              if (now > cacheData.expires) {
-                expiredEntries++;
-              }
-            } catch (error) {
-              expiredEntries++;
-            }
-          }
+      for (const key of await this.getOwnKeys()) {
+        totalEntries++;
+        const cacheData = await this.storage.get(key);
+        if (!cacheData) {
+          expiredEntries++;
+          continue;
         }
+        // Serialized size, whatever the backend actually stores
+        totalSize += JSON.stringify(cacheData).length;
+        const expired = now > cacheData.expires;
+        if (expired) {
+          expiredEntries++;
+        }
+        countPolicy(cacheData.policy === undefined ? 'default' : cacheData.policy || 'custom', expired);
       }
 
       return {
@@ -192,7 +381,9 @@ class CacheManager {
         expiredEntries,
         validEntries: totalEntries - expiredEntries,
         totalSize,
-        cacheDurationHours: this.CACHE_DURATION / (60 * 60 * 1000)
+        cacheDurationHours: this.CACHE_DURATION / (60 * 60 * 1000),
+        policies,
+        storage: this.storage.name
       };
     } catch (error) {
       console.warn('Failed to get cache stats:', error);
@@ -201,7 +392,9 @@ class CacheManager {
         expiredEntries: 0,
         validEntries: 0,
         totalSize: 0,
-        cacheDurationHours: 6
+        cacheDurationHours: 6,
+        policies,
+        storage: this.storage.name
       };
     }
   }
@@ -210,8 +403,8 @@ class CacheManager {
 // Export singleton instance
 const cacheManager = new CacheManager();
 
-// Clean up expired entries on initialization
-cacheManager.clearExpired();
+// Pick up entries from the localStorage-only cache, then clean up
+// expired entries on initialization
+cacheManager.migrateLegacyEntries().then(() => cacheManager.clearExpired());
 
 export default cacheManager;
-
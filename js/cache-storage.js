@@ -0,0 +1,234 @@
+/**
+ * Cache Storage - Backends for cache-manager.js
+ *
+ * Every backend has the same async interface and stores whole cache
+ * entries ({ data, timestamp, expires, policy }) under their full key:
+ *
+ *   open()           -> resolves once usable, throws when unavailable
+ *   get(key)         -> entry or null
+ *   set(key, entry)
+ *   delete(key)
+ *   keys()           -> every key the backend holds
+ *
+ * open() fails when the storage can't be used at all (blocked in a private
+ * window, missing in a worker); createFallbackStorage() then picks the next
+ * backend.  A single failed read or write (over quota, say) is passed on
+ * to the caller instead.
+ */
+
+/**
+ * Whether an error means the storage is full
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError'
+    || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' // Older Firefox
+    || error?.code === 22;
+}
+
+/**
+ * In-memory backend.  Lasts as long as the page; always available.
+ * @returns {Object} Storage backend
+ */
+export function createMemoryStorage() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async open() {},
+
+    async get(key) {
+      return entries.has(key) ? entries.get(key) : null;
+    },
+
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async keys() {
+      return [...entries.keys()];
+    }
+  };
+}
+
+/**
+ * localStorage backend.  Synchronous underneath and limited to about 5MB.
+ * @param {Storage} [storage] - Web Storage area, defaults to window.localStorage
+ * @returns {Object} Storage backend
+ */
+export function createLocalStorage(storage) {
+  // Looked up on use: merely reading window.localStorage throws when
+  // storage is blocked
+  const area = () => {
+    const resolved = storage || globalThis.localStorage;
+    if (!resolved) throw new Error('localStorage is not available');
+    return resolved;
+  };
+
+  return {
+    name: 'localStorage',
+
+    // Safari's private mode exposes localStorage but rejects every write
+    async open() {
+      const probe = '__cache_storage_probe__';
+      area().setItem(probe, '1');
+      area().removeItem(probe);
+    },
+
+    async get(key) {
+      const value = area().getItem(key);
+      if (value === null) return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        // A corrupt entry is a miss, not a broken backend
+        area().removeItem(key);
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      area().setItem(key, JSON.stringify(entry));
+    },
+
+    async delete(key) {
+      area().removeItem(key);
+    },
+
+    async keys() {
+      const storageArea = area();
+      const keys = [];
+      for (let i = 0; i < storageArea.length; i++) {
+        keys.push(storageArea.key(i));
+      }
+      return keys.filter(Boolean);
+    }
+  };
+}
+
+/**
+ * IndexedDB backend.  Asynchronous, works in workers and holds far more
+ * than localStorage, so multi-year calendars fit.
+ * @param {Object} [options]
+ * @param {string} [options.dbName='github-activity-cache'] - Database name
+ * @param {string} [options.storeName='entries'] - Object store name
+ * @param {IDBFactory} [options.indexedDB] - Defaults to the global indexedDB
+ * @returns {Object} Storage backend
+ */
+export function createIndexedDBStorage({ dbName = 'github-activity-cache', storeName = 'entries', indexedDB } = {}) {
+  let database = null;
+
+  const openDatabase = () => {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const factory = indexedDB || globalThis.indexedDB;
+        if (!factory) throw new Error('IndexedDB is not available');
+        const request = factory.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+      });
+    }
+    return database;
+  };
+
+  // Run one request in its own transaction and resolve with its result
+  // once the transaction has committed
+  const run = async (mode, makeRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async open() {
+      await openDatabase();
+    },
+
+    async get(key) {
+      return (await run('readonly', store => store.get(key))) ?? null;
+    },
+
+    async set(key, entry) {
+      await run('readwrite', store => store.put(entry, key));
+    },
+
+    async delete(key) {
+      await run('readwrite', store => store.delete(key));
+    },
+
+    async keys() {
+      return (await run('readonly', store => store.getAllKeys())).map(String);
+    }
+  };
+}
+
+/**
+ * Use the first backend in a list that opens.  The choice is made once,
+ * on first use; after that every operation goes to the chosen backend and
+ * its errors are passed on.
+ * @param {Object[]} backends - In order of preference
+ * @returns {Object} Storage backend; `name` is the chosen backend, or null
+ *   until one has been chosen
+ */
+export function createFallbackStorage(backends) {
+  let active = null;
+  let selection = null;
+
+  const select = () => {
+    if (!selection) {
+      selection = (async () => {
+        for (const [index, backend] of backends.entries()) {
+          try {
+            await backend.open();
+            active = backend;
+            return backend;
+          } catch (error) {
+            if (index === backends.length - 1) throw error;
+            console.warn(`Cache storage "${backend.name}" is unavailable, falling back to "${backends[index + 1].name}":`, error);
+          }
+        }
+      })();
+    }
+    return selection;
+  };
+
+  return {
+    get name() {
+      return active ? active.name : null;
+    },
+    open: async () => {
+      await select();
+    },
+    get: async (key) => (await select()).get(key),
+    set: async (key, entry) => (await select()).set(key, entry),
+    delete: async (key) => (await select()).delete(key),
+    keys: async () => (await select()).keys()
+  };
+}
+
+/**
+ * The default chain: IndexedDB, then localStorage, then memory.
+ * @returns {Object} Storage backend
+ */
+export function createDefaultStorage() {
+  return createFallbackStorage([
+    createIndexedDBStorage(),
+    createLocalStorage(),
+    createMemoryStorage()
+  ]);
+}
@@ -4,13 +4,46 @@
  * This simplified component fetches per‑year contribution statistics via a
  * Vercel serverless endpoint (`/api/github-stats`) and renders a summary
  * together with a GitHub‑style heatmap.  It supports toggling between
- * multiple years and caches results in localStorage for six hours via
- * `cache-manager.js`.  The layout intentionally mirrors the existing
+ * multiple years and caches results in IndexedDB via `cache-manager.js`
+ * (past years for 30 days, the current year for an hour).  Given several
+ * usernames it shows a team dashboard: merged numbers, a leaderboard and a
+ * filter for each member.  The layout intentionally mirrors the existing
  * design so that styling in the surrounding CSS continues to apply.
  */
 
 import cacheManager from './cache-manager.js';
 
+/**
+ * Escape text for use in HTML.  Repository names, URLs and usernames come
+ * from the API, so everything from it goes through here.
+ *
+ * @param {any} value - Text to escape.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Link to an API‑provided URL, or plain text when the URL is not https
+ * (e.g. `javascript:` or a self‑hosted instance served over http).
+ *
+ * @param {string} url - Link target.
+ * @param {string} text - Link text.
+ * @returns {string} HTML for the link.
+ */
+function externalLink(url, text) {
+  if (typeof url !== 'string' || !url.startsWith('https://')) {
+    return `<span>${escapeHtml(text)}</span>`;
+  }
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`;
+}
+
 class GitHubActivity {
   /**
    * Create a new GitHubActivity instance.
@@ -19,22 +52,57 @@ class GitHubActivity {
    *   activity section will be rendered.
    * @param {Object} options - Optional settings.
    * @param {string} [options.username='kevinnngoo'] - GitHub username.
+   * @param {string[]} [options.usernames] - Two or more usernames for a team
+   *   dashboard.  Replaces `username`.
    * @param {string} [options.apiEndpoint='/api/github-stats'] - API base URL.
+   * @param {string} [options.provider='github'] - Data source: `github`,
+   *   `gitlab` or `gitea`.  Every provider returns the same schema.
    * @param {number[]} [options.years] - Array of years to support.  Defaults
    *   to the last three calendar years including the current year.
+   * @param {string} [options.versionEndpoint='/api/github-webhook'] - Where
+   *   to look up the stats version bumped by the GitHub webhook.
+   * @param {string} [options.timeZone] - IANA time zone whose calendar days
+   *   are shown.  Defaults to the visitor's zone, falling back to UTC.
    */
   constructor(containerId, options = {}) {
     this.container = document.getElementById(containerId);
     this.username = options.username || 'kevinnngoo';
+    // Team mode: the API merges the members' stats and returns each member's
+    // own numbers alongside.  `memberFilter` is the member being shown, or
+    // null for the whole team.
+    this.team = Array.isArray(options.usernames) && options.usernames.length > 1 ? options.usernames : null;
+    this.memberFilter = null;
     this.apiEndpoint = options.apiEndpoint || '/api/github-stats';
+    this.provider = options.provider || 'github';
+    this.timeZone = options.timeZone || GitHubActivity.detectTimeZone();
+    // Cache keys are namespaced per provider so accounts with the same name
+    // on different services don't collide.  GitHub keeps the original keys.
+    // Calendars differ per time zone, so non‑UTC zones get their own keys.
+    const subject = this.team ? `team_${this.team.join('+')}` : this.username;
+    this.cachePrefix = this.provider === 'github' ? subject : `${this.provider}_${subject}`;
+    if (this.timeZone !== 'UTC') {
+      this.cachePrefix += `_${this.timeZone}`;
+    }
+    this.versionEndpoint = options.versionEndpoint || '/api/github-webhook';
+    // Last stats version seen.  The webhook bumps it on every push, PR or
+    // issue event; a change means the cached current year is out of date.
+    // Read from the cache in init()
+    this.statsVersion = 0;
     // Determine which years to show. Include current year and previous years
-    const currentYear = new Date().getFullYear();
+    const currentYear = this.getCurrentYear();
     this.availableYears = options.years || [currentYear - 2, currentYear - 1, currentYear];
     // Holds contribution data keyed by year.  Each entry has the shape
-    // { totalCommits, totalPRs, totalIssues, calendar: [...], totalContributions }.
+    // { totalCommits, totalPRs, totalIssues, totalReviews, restrictedContributions,
+    //   calendar: [...], totalContributions }.
     this.yearData = {};
     // The year currently selected for display. Default to current year
     this.selectedYear = currentYear;
+    // Year‑over‑year compare mode.  `comparePicks` holds the two years being
+    // compared in the order they were picked; the later of the two is shown
+    // as `selectedYear` and the earlier as the baseline `compareYear`.
+    this.compareMode = false;
+    this.compareYear = null;
+    this.comparePicks = [];
 
     // Placeholder for language distribution.  The object structure is
     // { name: string, color: string, percentage: number }.  This data
@@ -45,6 +113,22 @@ class GitHubActivity {
     // losing references when fetchLanguages() populates the array.
     this.languages = [];
 
+    // Set when the API reports that GitHub's rate limit is exhausted.  Holds
+    // the Date at which a retry is scheduled; null otherwise.
+    this.rateLimitedUntil = null;
+    this.retryTimer = null;
+    // Set when the API rejects the request itself (unknown user, invalid
+    // parameters).  Holds the error; fallback numbers would be misleading.
+    this.requestError = null;
+    // Set when GitHub itself failed or timed out and fallback data is shown.
+    this.upstreamUnavailable = false;
+    // Request ID of the last failed API call, shown so a report can be
+    // matched to the server's log line
+    this.failedRequestId = null;
+    // Set once the first full view is rendered; background refreshes of
+    // stale years only re-render after that
+    this.ready = false;
+
     if (!this.container) {
       console.error(`GitHubActivity: container element with id "${containerId}" not found`);
       return;
@@ -57,13 +141,21 @@ class GitHubActivity {
   }
 
   /**
-   * Initialise the component by fetching data for each year and then
-   * rendering the first complete view.  Years are fetched sequentially
-   * because subsequent requests may depend on rate limits.  Should one
-   * fetch fail, fallback data will be generated so that the UI remains
-   * populated.
+   * Initialise the component by fetching data for every year and then
+   * rendering the first complete view.  All uncached years are requested
+   * in a single API call.  Should the fetch fail, fallback data will be
+   * generated so that the UI remains populated.  Expired years are shown
+   * straight from the cache and updated in place once refreshed.
    */
   async init() {
+    this.statsVersion = (await cacheManager.get(`${this.cachePrefix}_version`)) || 0;
+    this.availableYears.forEach(year => {
+      cacheManager.subscribe(`${this.cachePrefix}_${year}`, data => {
+        this.yearData[year] = data;
+        if (this.ready) this.render();
+      });
+    });
+
     // Fetch the top languages first and wait for completion.  
     // This ensures language data is available for the initial render.
     try {
@@ -80,92 +172,467 @@ class GitHubActivity {
       ];
     }
     
-    // Fetch year data for all available years
-    for (const year of this.availableYears) {
-      await this.fetchYearData(year);
-    }
+    // Drop the cached current year first if new activity was reported
+    await this.checkVersion();
+
+    // Fetch year data for all available years in a single request
+    await this.fetchYearsData(this.availableYears);
     
     // Now render with all data available
+    this.ready = true;
     this.render();
+
+    // Pick up pushes made while the tab was in the background
+    document.addEventListener('visibilitychange', async () => {
+      if (document.visibilityState === 'visible' && await this.checkVersion()) {
+        await this.fetchYearData(this.getCurrentYear());
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Compare the server's stats version with the last one seen.  When it
+   * went up, the cached current year is dropped so the next fetch gets
+   * fresh data; the version also goes into the API URL so edge caches
+   * holding the old response are bypassed.  Only GitHub has webhooks.
+   * A team's version is the sum of its members' versions, which goes up
+   * whenever any of them does.  A lower version (an instance that missed a
+   * bump) is ignored rather than treated as a change.
+   *
+   * @returns {Promise<boolean>} True when the version went up.
+   */
+  async checkVersion() {
+    if (this.provider !== 'github') return false;
+    try {
+      const versions = await Promise.all((this.team || [this.username]).map(async username => {
+        const response = await fetch(`${this.versionEndpoint}?username=${encodeURIComponent(username)}`, { cache: 'no-store' });
+        return response.ok ? (await response.json()).version : null;
+      }));
+      if (versions.some(version => typeof version !== 'number')) return false;
+      const version = versions.reduce((sum, v) => sum + v, 0);
+      if (!(version > this.statsVersion)) return false;
+      this.statsVersion = version;
+      await cacheManager.set(`${this.cachePrefix}_version`, version);
+      await cacheManager.remove(`${this.cachePrefix}_${this.getCurrentYear()}`);
+      return true;
+    } catch (error) {
+      // Not fatal: cached data simply expires on its usual schedule
+      console.warn('GitHubActivity: failed to check stats version', error);
+      return false;
+    }
   }
 
   /**
    * Fetch contribution data for a specific year.  Uses the cache when
-   * available; otherwise calls the serverless API and normalises the
-   * response.  On failure, realistic fallback values are inserted to
-   * preserve the layout and avoid empty charts.
+   * available (refreshing stale data in the background); otherwise calls
+   * the serverless API and normalises the response.  On failure,
+   * realistic fallback values are inserted to preserve the layout and
+   * avoid empty charts.
    *
    * @param {number} year - Four‑digit year.
    */
   async fetchYearData(year) {
-    const cacheKey = `${this.username}_${year}`;
-    const cached = cacheManager.get(cacheKey);
-    const currentYear = new Date().getFullYear();
-    
-    // For current year, use shorter cache or force refresh for more accurate data
-    if (cached && year !== currentYear) {
-      this.yearData[year] = cached;
+    const cached = await this.getCachedYear(year);
+    if (cached) {
+      this.yearData[year] = cached.data;
+      if (cached.stale) this.revalidateYears([year]);
       return;
     }
     
-    // For current year, check if cache is recent (1 hour instead of 6 hours)
-    if (cached && year === currentYear) {
-      const cacheAge = Date.now() - new Date(cached.timestamp || 0).getTime();
-      const oneHour = 60 * 60 * 1000;
-      if (cacheAge < oneHour) {
-        this.yearData[year] = cached;
+    try {
+      const payload = await this.requestStats(`year=${year}`, [year]);
+      this.markRequestSucceeded();
+      if (payload === null) {
+        // 304: the data we already hold is still current
+        await this.storeYear(year, await this.getStoredYear(year));
         return;
       }
+      if (!payload || !payload.contributions) {
+        throw new Error('GitHubActivity: API response missing contributions field');
+      }
+      await this.storeYear(year, payload.contributions, this.pickMembers(payload, stats => stats.contributions));
+    } catch (error) {
+      await this.handleRequestError(error, [year]);
     }
-    
+  }
+
+  /**
+   * Fetch contribution data for several years with one API call.  Years
+   * with a cache entry are taken from it, and stale ones are refreshed in
+   * the background; the rest are requested via the `years` parameter and
+   * cached individually.  Years the response is missing, or all of them
+   * if the request fails, get fallback data.
+   *
+   * @param {number[]} years - Four‑digit years.
+   */
+  async fetchYearsData(years) {
+    const missing = [];
+    const stale = [];
+    const entries = await Promise.all(years.map(year => this.getCachedYear(year)));
+    years.forEach((year, i) => {
+      const cached = entries[i];
+      if (cached) {
+        this.yearData[year] = cached.data;
+        if (cached.stale) stale.push(year);
+      } else {
+        missing.push(year);
+      }
+    });
+    if (stale.length) this.revalidateYears(stale);
+    if (!missing.length) return;
+
     try {
-      const url = `${this.apiEndpoint}?username=${encodeURIComponent(this.username)}&year=${year}`;
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`GitHubActivity: API request failed with ${response.status} ${response.statusText}`);
+      const payload = await this.requestStats(`years=${missing.join(',')}`, missing);
+      this.markRequestSucceeded();
+      if (payload === null) {
+        // 304: the data we already hold is still current
+        await Promise.all(missing.map(async year => this.storeYear(year, await this.getStoredYear(year))));
+        return;
       }
-      const payload = await response.json();
-      if (!payload || !payload.contributions) {
-        throw new Error('GitHubActivity: API response missing contributions field');
+      if (!payload || !payload.years) {
+        throw new Error('GitHubActivity: API response missing years field');
       }
-      // Assign the normalised contributions to our yearData storage.  The
-      // backend returns totalCommits, totalPRs, totalIssues, calendar and
-      // totalContributions. Use GitHub's totalContributions as it's more accurate
-      // and includes all types of contributions (commits, reviews, etc.)
-      const contrib = payload.contributions;
-      // Use GitHub's totalContributions as the primary source, with calendar fallback
-      const total = typeof contrib.totalContributions === 'number' 
-        ? contrib.totalContributions 
-        : (Array.isArray(contrib.calendar) 
-          ? contrib.calendar.reduce((sum, day) => sum + (day.count || 0), 0)
-          : 0);
-      this.yearData[year] = {
-        totalCommits: contrib.totalCommits || 0,
-        totalPRs: contrib.totalPRs || 0,
-        totalIssues: contrib.totalIssues || 0,
-        calendar: Array.isArray(contrib.calendar) ? contrib.calendar : [],
-        totalContributions: total,
-        timestamp: new Date().toISOString()
-      };
-      cacheManager.set(cacheKey, this.yearData[year]);
+      await Promise.all(missing.map(async year => {
+        if (payload.years[year]) {
+          await this.storeYear(year, payload.years[year], this.pickMembers(payload, stats => stats.years?.[year]));
+        } else {
+          this.yearData[year] = this.getFallbackYearData(year);
+        }
+      }));
     } catch (error) {
-      console.error(error);
-      // Use fallback numbers for display.  These values can be tweaked or
-      // replaced with empty/no‑data states as desired.  They are meant to
-      // resemble plausible activity rather than zeros everywhere.
-      const fallbackTotals = {
-        2025: { commits: 125, prs: 12, issues: 8 },
-        2024: { commits: 289, prs: 28, issues: 19 },
-        2023: { commits: 156, prs: 15, issues: 11 }
-      }[year] || { commits: 0, prs: 0, issues: 0 };
-      this.yearData[year] = {
-        totalCommits: fallbackTotals.commits,
-        totalPRs: fallbackTotals.prs,
-        totalIssues: fallbackTotals.issues,
-        calendar: this.generateFallbackCalendar(year),
-        totalContributions: fallbackTotals.commits + fallbackTotals.prs + fallbackTotals.issues
-      };
+      await this.handleRequestError(error, missing);
+    }
+  }
+
+  /**
+   * Decide what to show for years whose request failed, based on the
+   * error `code` from the API.  Rate limits wait for the reset, rejected
+   * requests show an error state and upstream failures fall back to
+   * placeholder data with a notice.
+   *
+   * @param {Error} error - Error thrown by requestStats().
+   * @param {number[]} years - Years that could not be fetched.
+   */
+  async handleRequestError(error, years) {
+    console.error(error);
+    this.failedRequestId = error.requestId || null;
+    if (error.resetAt) {
+      await this.setRateLimited(error.resetAt, years);
+      return;
     }
+    if (error.code === 'USER_NOT_FOUND' || /^INVALID_/.test(error.code || '')) {
+      this.requestError = error;
+      years.forEach(year => delete this.yearData[year]);
+      return;
+    }
+    this.upstreamUnavailable = error.code === 'UPSTREAM_ERROR' || error.code === 'UPSTREAM_TIMEOUT';
+    years.forEach(year => {
+      this.yearData[year] = this.getFallbackYearData(year);
+    });
+  }
+
+  /**
+   * Forget an earlier upstream failure once the API answers again, so the
+   * "GitHub is unavailable" notice doesn't stay above real data.
+   */
+  markRequestSucceeded() {
+    this.upstreamUnavailable = false;
+    this.failedRequestId = null;
+  }
+
+  /**
+   * Refresh stale years in the background with one API call.  The cached
+   * data stays on screen meanwhile; each refreshed year reaches the page
+   * through the cache subscription set up in init().  Failures keep the
+   * stale data and are only logged.
+   *
+   * @param {number[]} years - Four‑digit years with stale cache entries.
+   */
+  revalidateYears(years) {
+    const batch = this.requestStats(`years=${years.join(',')}`, years).then(async payload => {
+      this.markRequestSucceeded();
+      const byYear = {};
+      for (const year of years) {
+        if (payload === null) {
+          // 304: the stale data is still current, so it is fresh again
+          byYear[year] = this.buildYear(await this.getStoredYear(year));
+        } else if (payload?.years?.[year]) {
+          byYear[year] = this.buildYear(payload.years[year], this.pickMembers(payload, stats => stats.years?.[year]));
+        }
+      }
+      return byYear;
+    });
+    years.forEach(year => {
+      cacheManager.revalidate(`${this.cachePrefix}_${year}`, () => batch.then(byYear => byYear[year]), this.getYearCacheOptions(year));
+    });
+  }
+
+  /**
+   * Call the stats API.  When every requested year still has data in the
+   * cache (e.g. the current year after its one‑hour window), the ETag from
+   * the previous identical request is sent as `If-None-Match` so an
+   * unchanged result comes back as an empty 304.
+   *
+   * @param {string} params - Query string for the range, e.g. `years=2024,2025`.
+   * @param {number[]} years - Years covered by the request.
+   * @returns {Promise<Object|null>} Parsed payload, or null for a 304.
+   */
+  async requestStats(params, years) {
+    const etagKey = `${this.cachePrefix}_etag_${params}`;
+    const etag = (await cacheManager.getWithMeta(etagKey))?.data;
+    const canRevalidate = etag && (await Promise.all(years.map(year => this.getStoredYear(year)))).every(Boolean);
+
+    const url = `${this.getApiUrl()}&${params}`;
+    const response = await fetch(url, canRevalidate ? { headers: { 'If-None-Match': etag } } : undefined);
+    if (response.status === 304 && canRevalidate) {
+      return null;
+    }
+    if (!response.ok) {
+      // Error bodies look like { code, message, requestId, ...details }
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(`GitHubActivity: API request failed with ${response.status} ${body.code || response.statusText}: ${body.message || ''}`);
+      error.code = body.code;
+      error.status = response.status;
+      error.requestId = body.requestId || response.headers.get('X-Request-Id');
+      // Team requests name the member that does not exist
+      error.username = body.username;
+      if (response.status === 429) {
+        // Rate limited upstream: surface when to retry rather than falling back
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || body.retryAfter || 60;
+        error.resetAt = body.resetAt ? new Date(body.resetAt) : new Date(Date.now() + retryAfter * 1000);
+      }
+      throw error;
+    }
+    const newEtag = response.headers.get('ETag');
+    if (newEtag) {
+      await cacheManager.set(etagKey, newEtag);
+    }
+    return response.json();
+  }
+
+  /**
+   * Base API URL for the configured user (or team) and provider.
+   *
+   * @returns {string} URL with the username or usernames (and provider,
+   *   time zone and version) query parameters.
+   */
+  getApiUrl() {
+    const subject = this.team
+      ? `usernames=${this.team.map(encodeURIComponent).join(',')}`
+      : `username=${encodeURIComponent(this.username)}`;
+    const provider = this.provider === 'github' ? '' : `&provider=${encodeURIComponent(this.provider)}`;
+    const timeZone = this.timeZone === 'UTC' ? '' : `&tz=${encodeURIComponent(this.timeZone)}`;
+    // Only used to vary the URL so CDN entries from an older version are skipped
+    const version = this.statsVersion ? `&v=${this.statsVersion}` : '';
+    return `${this.apiEndpoint}?${subject}${provider}${timeZone}${version}`;
+  }
+
+  /**
+   * The visitor's IANA time zone, or UTC when the browser doesn't say.
+   *
+   * @returns {string}
+   */
+  static detectTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * Current year in the configured time zone, so the "current year" rules
+   * switch over at the same midnight as the API's calendars.
+   *
+   * @returns {number} Four‑digit year.
+   */
+  getCurrentYear() {
+    return parseInt(new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone, year: 'numeric' }).format(new Date()), 10);
+  }
+
+  /**
+   * Enter the rate‑limited state.  Years that still have (expired) cached
+   * data keep showing it; the others are left empty so render() shows the
+   * rate‑limit notice instead of made‑up numbers.  A retry is scheduled for
+   * when the quota resets.
+   *
+   * @param {Date} resetAt - When the API expects the quota to be available.
+   * @param {number[]} years - Years that could not be fetched.
+   */
+  async setRateLimited(resetAt, years) {
+    this.rateLimitedUntil = resetAt;
+    const stored = await Promise.all(years.map(year => this.getStoredYear(year)));
+    years.forEach((year, i) => {
+      if (stored[i]) {
+        this.yearData[year] = stored[i];
+      } else {
+        delete this.yearData[year];
+      }
+    });
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.retryAfterRateLimit(), Math.max(resetAt.getTime() - Date.now(), 1000));
+  }
+
+  /**
+   * Leave the rate‑limited state and fetch again.
+   */
+  async retryAfterRateLimit() {
+    clearTimeout(this.retryTimer);
+    this.rateLimitedUntil = null;
+    await this.fetchYearsData(this.availableYears);
+    this.render();
+  }
+
+  /**
+   * Look up a year in the cache.  Expired data is still returned, flagged
+   * as stale, so it can be shown while it is refreshed.
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {Promise<{data: Object, stale: boolean}|null>} Cached year
+   *   data, or null if there is none.
+   */
+  getCachedYear(year) {
+    return cacheManager.getWithMeta(`${this.cachePrefix}_${year}`);
+  }
+
+  /**
+   * Cache policy for a year: past years rarely change and are kept for 30
+   * days, the current year only for an hour so new activity shows up.
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {{policy: string}} Options for cacheManager.set().
+   */
+  getYearCacheOptions(year) {
+    return { policy: year === this.getCurrentYear() ? 'current-year' : 'past-year' };
+  }
+
+  /**
+   * Any data held for a year, fresh or stale.
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {Promise<Object|null>} Year data in the shape storeYear() produces.
+   */
+  async getStoredYear(year) {
+    return (await cacheManager.getWithMeta(`${this.cachePrefix}_${year}`))?.data || null;
+  }
+
+  /**
+   * Normalise a contributions object from the API, store it in `yearData`
+   * and cache it under the year's own key.
+   *
+   * @param {number} year - Four‑digit year.
+   * @param {Object} contrib - Normalised contributions from the API.
+   * @param {Object} [members] - Each member's contributions keyed by
+   *   username; defaults to those already on `contrib` (cached data).
+   * @returns {Promise<boolean>} Whether the cache write succeeded.
+   */
+  storeYear(year, contrib, members = contrib.members) {
+    this.yearData[year] = this.buildYear(contrib, members);
+    return cacheManager.set(`${this.cachePrefix}_${year}`, this.yearData[year], this.getYearCacheOptions(year));
+  }
+
+  /**
+   * Build the year data stored by storeYear().  Team years also keep each
+   * member's numbers under `members`.
+   *
+   * @param {Object} contrib - Normalised contributions from the API.
+   * @param {Object} [members] - Each member's contributions keyed by username.
+   * @returns {Object} Year data stamped with the current time.
+   */
+  buildYear(contrib, members = contrib.members) {
+    const data = {
+      ...this.normalizeContributions(contrib),
+      timestamp: new Date().toISOString()
+    };
+    if (members) {
+      data.members = Object.fromEntries(
+        Object.entries(members).map(([username, stats]) => [username, this.normalizeContributions(stats || {})])
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Fill in the fields render() relies on.
+   *
+   * @param {Object} contrib - Contributions from the API or the cache.
+   * @returns {Object} Year data without the timestamp.
+   */
+  normalizeContributions(contrib) {
+    // The backend returns totalCommits, totalPRs, totalIssues, calendar and
+    // totalContributions. Use GitHub's totalContributions as it's more accurate
+    // and includes all types of contributions (commits, reviews, etc.)
+    const total = typeof contrib.totalContributions === 'number' 
+      ? contrib.totalContributions 
+      : (Array.isArray(contrib.calendar) 
+        ? contrib.calendar.reduce((sum, day) => sum + (day.count || 0), 0)
+        : 0);
+    return {
+      totalCommits: contrib.totalCommits || 0,
+      totalPRs: contrib.totalPRs || 0,
+      totalIssues: contrib.totalIssues || 0,
+      totalReviews: contrib.totalReviews || 0,
+      restrictedContributions: contrib.restrictedContributions || 0,
+      totalRepositoriesWithCommits: contrib.totalRepositoriesWithCommits || 0,
+      calendar: Array.isArray(contrib.calendar) ? contrib.calendar : [],
+      totalContributions: total,
+      insights: contrib.insights || null,
+      commitContributionsByRepository: contrib.commitContributionsByRepository || [],
+      pullRequestContributionsByRepository: contrib.pullRequestContributionsByRepository || []
+    };
+  }
+
+  /**
+   * Each team member's share of a team response.
+   *
+   * @param {Object} payload - Stats API response.
+   * @param {Function} pick - Selects the year's contributions from a
+   *   member's stats.
+   * @returns {Object|undefined} Contributions keyed by username, or
+   *   undefined for a single user.
+   */
+  pickMembers(payload, pick) {
+    if (!payload.members) return undefined;
+    return Object.fromEntries(Object.entries(payload.members).map(([username, stats]) => [username, pick(stats)]));
+  }
+
+  /**
+   * Data for a year as currently shown: the member picked with the member
+   * filter, otherwise the whole year (the team's merged numbers in team
+   * mode).
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {Object|undefined} Year data in the shape storeYear() produces.
+   */
+  getYearData(year) {
+    const data = this.yearData[year];
+    if (!data || !this.memberFilter) return data;
+    return data.members?.[this.memberFilter];
+  }
+
+  /**
+   * Build fallback data for a year when the API is unavailable.
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {Object} Year data in the same shape as storeYear() produces.
+   */
+  getFallbackYearData(year) {
+    // Use fallback numbers for display.  These values can be tweaked or
+    // replaced with empty/no‑data states as desired.  They are meant to
+    // resemble plausible activity rather than zeros everywhere.
+    const fallbackTotals = {
+      2025: { commits: 125, prs: 12, issues: 8 },
+      2024: { commits: 289, prs: 28, issues: 19 },
+      2023: { commits: 156, prs: 15, issues: 11 }
+    }[year] || { commits: 0, prs: 0, issues: 0 };
+    return {
+      totalCommits: fallbackTotals.commits,
+      totalPRs: fallbackTotals.prs,
+      totalIssues: fallbackTotals.issues,
+      calendar: this.generateFallbackCalendar(year),
+      totalContributions: fallbackTotals.commits + fallbackTotals.prs + fallbackTotals.issues
+    };
   }
 
   /**
@@ -182,7 +649,7 @@ class GitHubActivity {
       // year‑specific.  Some implementations of /api/github-stats
       // return a topLanguages property on the root JSON object or on
       // the contributions object.  We handle both cases.
-      const url = `${this.apiEndpoint}?username=${encodeURIComponent(this.username)}`;
+      const url = this.getApiUrl();
       const res = await fetch(url);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
@@ -253,24 +720,49 @@ class GitHubActivity {
    */
   render() {
     const year = this.selectedYear;
-    const data = this.yearData[year] || { totalCommits: 0, totalPRs: 0, totalIssues: 0, calendar: [], totalContributions: 0 };
+    if (!this.yearData[year] && this.rateLimitedUntil) {
+      this.renderRateLimited();
+      return;
+    }
+    if (!this.yearData[year] && this.requestError) {
+      this.renderRequestError();
+      return;
+    }
+    const data = this.getYearData(year) || { totalCommits: 0, totalPRs: 0, totalIssues: 0, calendar: [], totalContributions: 0 };
     const total = data.totalContributions;
+    // In compare mode every number is shown against the baseline year
+    const baseline = this.compareMode ? this.getYearData(this.compareYear) : null;
+    const who = this.team ? ` by ${escapeHtml(this.memberFilter || 'the team')}` : '';
+    const card = (field, label, title) => `
+          <div class="stats__card"${title ? ` title="${title}"` : ''}><span>${(data[field] || 0).toLocaleString()}</span> ${label}${baseline ? this.renderDelta(data[field] || 0, baseline[field] || 0) : ''}</div>`;
     // Construct the inner HTML.  We rely on existing CSS classes such as
     // `.activity__stats` for styling.  The year buttons get an `active`
     // class when selected to allow styling.
     this.container.innerHTML = `
-      <h3 class="activity__title">${total.toLocaleString()} contributions in ${year}</h3>
+      ${this.rateLimitedUntil ? `<p class="activity__notice" role="status">${this.getRateLimitMessage()}</p>` : ''}
+      ${!this.rateLimitedUntil && this.upstreamUnavailable ? `<p class="activity__notice" role="status">GitHub is unavailable right now — showing placeholder numbers.${this.renderReference()}</p>` : ''}
+      <h3 class="activity__title">${total.toLocaleString()} contributions${who} in ${year}${baseline ? ` <small class="activity__versus">vs ${this.compareYear}${this.renderDelta(total, baseline.totalContributions || 0)}</small>` : ''}</h3>
+      ${this.renderTeam(year)}
       <div class="activity__stats">
-        <div class="stats__cards">
-          <div class="stats__card"><span>${(data.totalCommits || 0).toLocaleString()}</span> Commits</div>
-          <div class="stats__card"><span>${(data.totalPRs || 0).toLocaleString()}</span> Pull Requests</div>
-          <div class="stats__card"><span>${(data.totalIssues || 0).toLocaleString()}</span> Issues</div>
+        <div class="stats__cards stats__cards--totals">
+          ${card('totalCommits', 'Commits')}
+          ${card('totalPRs', 'Pull Requests')}
+          ${card('totalIssues', 'Issues')}
+          ${card('totalReviews', 'Reviews')}
+          ${card('restrictedContributions', 'Private', 'Contributions to private repositories')}
         </div>
+        ${baseline ? this.renderMonthlyComparison(year, this.compareYear) : ''}
+        ${this.renderInsights(data.insights)}
       </div>
-      <div class="activity__year-toggle">
-        ${this.availableYears.map(y => `
-          <button class="year__button${y === year ? ' active' : ''}" data-year="${y}">${y}</button>
-        `).join('')}
+      ${this.renderRepositories(data, 10, this.team ? `Where ${this.memberFilter || 'the team'} contributed` : undefined)}
+      <div class="activity__year-toggle${this.compareMode ? ' activity__year-toggle--compare' : ''}">
+        ${this.availableYears.map(y => {
+          const picked = y === year || (this.compareMode && y === this.compareYear);
+          return `
+          <button class="year__button${y === year ? ' active' : ''}${this.compareMode && y === this.compareYear ? ' year__button--compare' : ''}" data-year="${y}"${this.compareMode ? ` aria-pressed="${picked}"` : ''}>${y}</button>
+        `;
+        }).join('')}
+        <button class="year__button year__button--mode" aria-pressed="${this.compareMode}"${this.availableYears.length < 2 ? ' disabled' : ''}>Compare</button>
       </div>
       <div class="activity__languages">
         <h4>Top Languages</h4>
@@ -287,35 +779,312 @@ class GitHubActivity {
         </div>
       </div>
     `;
+    this.container.querySelectorAll('.year__button[data-member]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.memberFilter = btn.dataset.member || null;
+        this.render();
+      });
+    });
     // Attach click handlers for year buttons.  When a new year is selected
-    // we simply update the state and re‑render the view.
-    this.container.querySelectorAll('.year__button').forEach(btn => {
+    // we simply update the state and re‑render the view.  In compare mode a
+    // click picks one of the two years being compared instead.
+    this.container.querySelectorAll('.year__button[data-year]').forEach(btn => {
       btn.addEventListener('click', () => {
         const yr = parseInt(btn.dataset.year);
-        if (yr !== this.selectedYear) {
+        if (this.compareMode) {
+          this.pickCompareYear(yr);
+        } else if (yr !== this.selectedYear) {
           this.selectedYear = yr;
           this.render();
         }
       });
     });
+    const modeButton = this.container.querySelector('.year__button--mode');
+    if (modeButton) {
+      modeButton.addEventListener('click', () => this.setCompareMode(!this.compareMode));
+    }
     
     // Draw the languages chart if language data is available.  This
     // invocation is deferred until after the DOM is updated.
     this.renderLanguages();
     
-    // Initialize GitHub Calendar widget
+    // Draw the contributions calendar for the selected year
     this.initializeGitHubCalendar();
   }
 
+  /**
+   * Turn compare mode on or off.  Compare mode starts with the selected
+   * year against the year before it (or the nearest other available year).
+   *
+   * @param {boolean} enabled - Whether to show the comparison.
+   */
+  setCompareMode(enabled) {
+    this.compareMode = enabled && this.availableYears.length > 1;
+    if (this.compareMode) {
+      const others = this.availableYears.filter(y => y !== this.selectedYear);
+      const baseline = others.includes(this.selectedYear - 1)
+        ? this.selectedYear - 1
+        : others.reduce((best, y) => (Math.abs(y - this.selectedYear) < Math.abs(best - this.selectedYear) ? y : best));
+      this.comparePicks = [baseline, this.selectedYear];
+      this.applyComparePicks();
+    } else {
+      this.compareYear = null;
+      this.comparePicks = [];
+    }
+    this.render();
+  }
+
+  /**
+   * Pick a year in compare mode.  The new year replaces the one picked
+   * least recently, so clicking two years compares exactly those two.
+   *
+   * @param {number} year - Four‑digit year.
+   */
+  pickCompareYear(year) {
+    if (this.comparePicks.includes(year)) return;
+    this.comparePicks = [this.comparePicks[1], year];
+    this.applyComparePicks();
+    this.render();
+  }
+
+  /**
+   * Derive the reported and baseline years from the compare picks: the
+   * later year is reported, the earlier one is what it is measured against.
+   */
+  applyComparePicks() {
+    this.selectedYear = Math.max(...this.comparePicks);
+    this.compareYear = Math.min(...this.comparePicks);
+  }
+
+  /**
+   * Format the change from a baseline value, e.g. "+12 (+8.5%)".  The
+   * percentage is left out when the baseline is zero.
+   *
+   * @param {number} current - Value for the reported year.
+   * @param {number} previous - Value for the baseline year.
+   * @returns {string} HTML for the delta badge.
+   */
+  renderDelta(current, previous) {
+    const delta = current - previous;
+    const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+    const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+    const percent = previous ? ` (${sign}${Math.abs(Math.round((delta / previous) * 1000) / 10)}%)` : '';
+    return `<small class="stats__delta stats__delta--${direction}">${sign}${Math.abs(delta).toLocaleString()}${percent}</small>`;
+  }
+
+  /**
+   * Sum a year's calendar into monthly totals.
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {number[]} Twelve totals, January first.
+   */
+  getMonthlyTotals(year) {
+    const totals = new Array(12).fill(0);
+    (this.getYearData(year)?.calendar || []).forEach(day => {
+      totals[parseInt(day.date.slice(5, 7), 10) - 1] += day.count || 0;
+    });
+    return totals;
+  }
+
+  /**
+   * Build the monthly overlay chart for compare mode: one line per year on
+   * shared axes, so seasonal patterns line up month by month.
+   *
+   * @param {number} year - Reported year.
+   * @param {number} baselineYear - Year it is compared against.
+   * @returns {string} HTML for the chart panel.
+   */
+  renderMonthlyComparison(year, baselineYear) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const series = [
+      { year: baselineYear, totals: this.getMonthlyTotals(baselineYear), modifier: 'baseline' },
+      { year, totals: this.getMonthlyTotals(year), modifier: 'current' }
+    ];
+    const width = 600;
+    const height = 200;
+    const pad = { top: 16, right: 16, bottom: 28, left: 40 };
+    const max = Math.max(...series.flatMap(s => s.totals), 1);
+    const x = (month) => pad.left + (month / 11) * (width - pad.left - pad.right);
+    const y = (count) => height - pad.bottom - (count / max) * (height - pad.top - pad.bottom);
+
+    const lines = series.map(({ year: seriesYear, totals, modifier }) => `
+          <polyline class="compare__line compare__line--${modifier}" points="${totals.map((count, m) => `${x(m).toFixed(1)},${y(count).toFixed(1)}`).join(' ')}" />
+          ${totals.map((count, m) => `
+            <circle class="compare__point compare__point--${modifier}" cx="${x(m).toFixed(1)}" cy="${y(count).toFixed(1)}" r="3"><title>${months[m]} ${seriesYear}: ${count.toLocaleString()} contributions</title></circle>
+          `).join('')}`).join('');
+
+    return `
+      <div class="activity__compare">
+        <h4>Monthly contributions, ${year} vs ${baselineYear}</h4>
+        <svg class="compare__chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Monthly contributions in ${year} compared with ${baselineYear}">
+          <line class="compare__axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" />
+          <text class="compare__label" x="${pad.left - 8}" y="${pad.top + 4}" text-anchor="end">${max.toLocaleString()}</text>
+          <text class="compare__label" x="${pad.left - 8}" y="${height - pad.bottom}" text-anchor="end">0</text>
+          ${months.map((month, m) => `<text class="compare__label" x="${x(m).toFixed(1)}" y="${height - 8}" text-anchor="middle">${month}</text>`).join('')}
+          ${lines}
+        </svg>
+        <ul class="compare__legend">
+          ${series.slice().reverse().map(({ year: seriesYear, modifier }) => `
+            <li><span class="compare__swatch compare__swatch--${modifier}"></span>${seriesYear}</li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the "Where I contributed" panel: repositories ranked by the
+   * year's commits plus pull requests, each with a bar scaled to the top
+   * repository.  Private repositories are grouped into one anonymous row.
+   * Returns an empty string when there is no per‑repository data.
+   *
+   * @param {Object} data - Year data from storeYear().
+   * @param {number} [limit=10] - Number of repositories to list.
+   * @param {string} [title='Where I contributed'] - Panel heading.
+   * @returns {string} HTML for the panel.
+   */
+  renderRepositories(data, limit = 10, title = 'Where I contributed') {
+    const repos = new Map();
+    const add = (entries, field) => (entries || []).forEach(entry => {
+      const key = entry.isPrivate ? 'private' : entry.name;
+      const repo = repos.get(key) || {
+        name: entry.isPrivate ? 'Private repositories' : entry.name,
+        url: entry.url,
+        commits: 0,
+        prs: 0
+      };
+      repo[field] += entry.count;
+      repos.set(key, repo);
+    });
+    add(data.commitContributionsByRepository, 'commits');
+    add(data.pullRequestContributionsByRepository, 'prs');
+
+    const ranked = [...repos.values()]
+      .map(repo => ({ ...repo, total: repo.commits + repo.prs }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit);
+    if (!ranked.length) return '';
+
+    const max = ranked[0].total;
+    const plural = (n, word) => `${n.toLocaleString()} ${word}${n === 1 ? '' : 's'}`;
+    return `
+      <div class="activity__repos">
+        <h4>${escapeHtml(title)}</h4>
+        <ol class="repos__list">
+          ${ranked.map(repo => `
+            <li class="repos__item">
+              <div class="repos__label">
+                ${externalLink(repo.url, repo.name)}
+                <span class="repos__count">${plural(repo.commits, 'commit')}${repo.prs ? `, ${plural(repo.prs, 'PR')}` : ''}</span>
+              </div>
+              <div class="repos__bar" style="width: ${Math.max(Math.round((repo.total / max) * 100), 2)}%"></div>
+            </li>
+          `).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the team panel: a leaderboard of the members ranked by the
+   * year's contributions, and buttons that filter the whole dashboard to
+   * one member.  Returns an empty string outside team mode or when the
+   * year has no per‑member data (e.g. fallback data).
+   *
+   * @param {number} year - Four‑digit year.
+   * @returns {string} HTML for the panel.
+   */
+  renderTeam(year) {
+    const members = this.yearData[year]?.members;
+    if (!this.team || !members) return '';
+    const ranked = this.team
+      .map(username => ({ username, total: members[username]?.totalContributions || 0 }))
+      .sort((a, b) => b.total - a.total);
+    const teamTotal = ranked.reduce((sum, member) => sum + member.total, 0);
+    const max = Math.max(ranked[0].total, 1);
+    return `
+      <div class="activity__repos activity__team">
+        <h4>Team leaderboard</h4>
+        <ol class="repos__list">
+          ${ranked.map(({ username, total }) => `
+            <li class="repos__item${username === this.memberFilter ? ' team__member--active' : ''}">
+              <div class="repos__label">
+                <span>${escapeHtml(username)}</span>
+                <span class="repos__count">${total.toLocaleString()} contributions${teamTotal ? ` · ${Math.round((total / teamTotal) * 100)}%` : ''}</span>
+              </div>
+              <div class="repos__bar" style="width: ${Math.max(Math.round((total / max) * 100), 2)}%"></div>
+            </li>
+          `).join('')}
+        </ol>
+        <div class="activity__member-toggle" role="group" aria-label="Show contributions for">
+          <button class="year__button${this.memberFilter ? '' : ' active'}" data-member="" aria-pressed="${!this.memberFilter}">Whole team</button>
+          ${this.team.map(username => `
+            <button class="year__button${username === this.memberFilter ? ' active' : ''}" data-member="${escapeHtml(username)}" aria-pressed="${username === this.memberFilter}">${escapeHtml(username)}</button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the insight cards (streaks, busiest day/week, averages) for the
+   * selected year.  Returns an empty string when the API did not provide
+   * an `insights` block, e.g. for fallback data.
+   *
+   * @param {Object|null} insights - Insights block from the API.
+   * @returns {string} HTML for the insight cards.
+   */
+  renderInsights(insights) {
+    if (!insights) return '';
+    const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+      month: 'short', day: 'numeric', timeZone: 'UTC'
+    });
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const { currentStreak, longestStreak, busiestDay, busiestWeek } = insights;
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const maxAverage = Math.max(...insights.weekdayAverages, 0);
+    return `
+      <div class="stats__cards stats__cards--insights">
+        ${currentStreak === null ? '' : `<div class="stats__card"><span>${plural(currentStreak, 'day')}</span> Current Streak</div>`}
+        <div class="stats__card"><span>${plural(longestStreak.length, 'day')}</span> Longest Streak
+          ${longestStreak.start ? `<small>${formatDay(longestStreak.start)} – ${formatDay(longestStreak.end)}</small>` : ''}
+        </div>
+        <div class="stats__card"><span>${busiestDay ? busiestDay.count.toLocaleString() : 0}</span> Busiest Day
+          ${busiestDay && busiestDay.count ? `<small>${formatDay(busiestDay.date)}</small>` : ''}
+        </div>
+        <div class="stats__card"><span>${busiestWeek ? busiestWeek.count.toLocaleString() : 0}</span> Busiest Week
+          ${busiestWeek && busiestWeek.count ? `<small>Week of ${formatDay(busiestWeek.start)}</small>` : ''}
+        </div>
+        <div class="stats__card"><span>${insights.averagePerActiveDay}</span> Avg per Active Day</div>
+        <div class="stats__card"><span>${insights.activeDaysPercentage}%</span> Active Days</div>
+      </div>
+      <div class="insights__weekdays" aria-label="Average contributions per weekday">
+        ${insights.weekdayAverages.map((avg, d) => `
+          <div class="insights__weekday" title="${weekdays[d]}: ${avg} contributions on average">
+            <div class="insights__weekday-bar" style="height: ${maxAverage ? Math.round((avg / maxAverage) * 100) : 0}%"></div>
+            <span>${weekdays[d]}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   /**
    * Render the heatmap for the selected year.  If the custom SVG heatmap
    * implementation is available on `window.GitHubCharts`, it will draw
    * an interactive grid.  Otherwise, a simple text summary is shown.
+   *
+   * @param {string} [containerId='contributionHeatmap'] - Target element id.
    */
-  renderHeatmap() {
+  renderHeatmap(containerId = 'contributionHeatmap') {
     const year = this.selectedYear;
-    const data = this.yearData[year]?.calendar || [];
-    const container = document.getElementById('contributionHeatmap');
+    const data = this.getYearData(year)?.calendar || [];
+    // For the whole team, each day's tooltip splits the count by member
+    const members = this.team && !this.memberFilter ? this.yearData[year]?.members : null;
+    const byMember = members
+      ? this.team.map(username => [username, new Map((members[username]?.calendar || []).map(day => [day.date, day.count]))])
+      : [];
+    const container = document.getElementById(containerId);
     if (!container) {
       console.warn('GitHubActivity: Heatmap container not found');
       return;
@@ -367,9 +1136,13 @@ class GitHubActivity {
       cell.style.height = '12px';
       cell.style.backgroundColor = palette[level];
       cell.style.borderRadius = '2px';
-      cell.title = `${day.date}: ${count} contributions`;
+      const split = byMember
+        .filter(([, counts]) => counts.get(day.date))
+        .map(([username, counts]) => `${username} ${counts.get(day.date)}`)
+        .join(', ');
+      cell.title = `${day.date}: ${count} contributions${split ? ` (${split})` : ''}`;
       // Use aria-label for screen readers
-      cell.setAttribute('aria-label', `${day.date}: ${count} contributions`);
+      cell.setAttribute('aria-label', cell.title);
       grid.appendChild(cell);
     }
     container.appendChild(grid);
@@ -411,47 +1184,101 @@ class GitHubActivity {
       startAngle = endAngle;
       // Add legend item
       const li = document.createElement('li');
-      li.innerHTML = `<span class="legend-color" style="background-color: ${lang.color || '#888888'};"></span>${lang.name} <span class="legend-percentage">${lang.percentage.toFixed(1)}%</span>`;
+      li.innerHTML = `<span class="legend-color" style="background-color: ${/^#[0-9a-f]{3,8}$/i.test(lang.color) ? lang.color : '#888888'};"></span>${escapeHtml(lang.name)} <span class="legend-percentage">${lang.percentage.toFixed(1)}%</span>`;
       legend.appendChild(li);
     });
   }
 
   /**
-   * Initialize the GitHub Calendar widget using the github-calendar library.
-   * This creates a beautiful contribution calendar with tooltips and responsive design.
+   * Draw the contributions calendar for the selected year from the API's
+   * calendar, whose days are already in `timeZone`.  Single accounts get the
+   * SVG heatmap from `window.GitHubCharts`; teams (whose tooltips split each
+   * day by member) and pages without github-charts.js get renderHeatmap().
    */
   initializeGitHubCalendar() {
-    // Check if GitHubCalendar is available
-    if (typeof GitHubCalendar !== 'function') {
-      console.warn('GitHubActivity: GitHubCalendar library not loaded');
-      const container = document.getElementById('github-calendar');
-      if (container) {
-        container.innerHTML = '<p>GitHub Calendar library not available</p>';
-      }
+    const ContributionHeatmap = window.GitHubCharts?.ContributionHeatmap;
+    if (this.team || typeof ContributionHeatmap !== 'function') {
+      this.renderHeatmap('github-calendar');
       return;
     }
+    new ContributionHeatmap('github-calendar', {
+      data: this.getYearData(this.selectedYear)?.calendar || [],
+      year: this.selectedYear,
+      timeZone: this.timeZone,
+      yearToggle: false
+    });
+  }
 
-    try {
-      // Initialize the GitHub calendar with responsive design and tooltips
-      GitHubCalendar("#github-calendar", this.username, {
-        responsive: true,
-        tooltips: true,
-        cache: 21600, // Cache for 6 hours (same as our cache manager)
-        summary_text: `Summary of pull requests, issues opened, and commits made by ${this.username}`
-      }).catch(error => {
-        console.error('Failed to load GitHub calendar:', error);
-        const container = document.getElementById('github-calendar');
-        if (container) {
-          container.innerHTML = '<p>Unable to load GitHub contributions calendar</p>';
-        }
+  /**
+   * Human‑readable rate‑limit notice including the retry time.
+   *
+   * @returns {string} Notice text.
+   */
+  getRateLimitMessage() {
+    const time = this.rateLimitedUntil.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    return `GitHub rate limit reached — retrying at ${time}.`;
+  }
+
+  /**
+   * Render the rate‑limited state for a year with no cached data.  Keeps
+   * the year toggle so other (cached) years remain reachable.
+   */
+  renderRateLimited() {
+    this.container.innerHTML = `
+      <div class="github-activity__error" role="status">
+        <div class="error__icon">⏳</div>
+        <div class="error__message">
+          <h3>Rate limited</h3>
+          <p>${this.getRateLimitMessage()}</p>
+          <button type="button" class="year__button activity__retry">Retry now</button>
+        </div>
+      </div>
+      <div class="activity__year-toggle">
+        ${this.availableYears.map(y => `
+          <button class="year__button${y === this.selectedYear ? ' active' : ''}" data-year="${y}">${y}</button>
+        `).join('')}
+      </div>
+    `;
+    this.container.querySelector('.activity__retry').addEventListener('click', () => this.retryAfterRateLimit());
+    this.container.querySelectorAll('.activity__year-toggle .year__button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.selectedYear = parseInt(btn.dataset.year);
+        this.render();
       });
-    } catch (error) {
-      console.error('Error initializing GitHub calendar:', error);
-      const container = document.getElementById('github-calendar');
-      if (container) {
-        container.innerHTML = '<p>Error loading GitHub contributions calendar</p>';
-      }
-    }
+    });
+  }
+
+  /**
+   * The failed request's ID, for users to quote when reporting a problem.
+   *
+   * @returns {string} HTML, empty when there is no failed request.
+   */
+  renderReference() {
+    if (!this.failedRequestId) return '';
+    // IDs are UUIDs or Vercel ids ("iad1::abc-123"); drop anything else
+    const id = String(this.failedRequestId).replace(/[^\w:.-]/g, '');
+    return ` <small class="activity__reference">Reference: <code>${id}</code></small>`;
+  }
+
+  /**
+   * Render the error state for a request the API rejected, e.g. an unknown
+   * username.  Retrying would give the same answer, so no retry button.
+   */
+  renderRequestError() {
+    const title = this.requestError.code === 'USER_NOT_FOUND' ? 'User not found' : 'Invalid request';
+    const message = this.requestError.code === 'USER_NOT_FOUND'
+      ? `No ${escapeHtml(this.provider)} account named “${escapeHtml(this.requestError.username || this.username)}”.`
+      : 'The activity settings for this section are invalid.';
+    this.container.innerHTML = `
+      <div class="github-activity__error" role="alert">
+        <div class="error__icon">⚠️</div>
+        <div class="error__message">
+          <h3>${title}</h3>
+          <p>${message}</p>
+          ${this.renderReference()}
+        </div>
+      </div>
+    `;
   }
 
   /**
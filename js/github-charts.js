@@ -158,6 +158,15 @@ window.GitHubCharts = (function() {
     }
   }
 
+  /**
+   * Current year in an IANA time zone
+   * @param {string} timeZone
+   * @returns {number}
+   */
+  function currentYearIn(timeZone) {
+    return parseInt(new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric' }).format(new Date()), 10);
+  }
+
   /**
    * Contribution Heatmap for GitHub activity
    */
@@ -165,7 +174,9 @@ window.GitHubCharts = (function() {
     constructor(containerId, options = {}) {
       this.container = document.getElementById(containerId);
       this.data = options.data || [];
-      this.selectedYear = options.year || new Date().getFullYear();
+      // IANA zone the calendar dates were computed in (the `tz` API parameter)
+      this.timeZone = options.timeZone || 'UTC';
+      this.selectedYear = options.year || currentYearIn(this.timeZone);
       this.width = options.width || 600; // Smaller width
       this.height = options.height || 100; // Smaller height
       this.cellSize = 8; // Smaller cells
@@ -178,7 +189,11 @@ window.GitHubCharts = (function() {
 
       this.processData();
       this.render();
-      this.setupYearToggle();
+      // Embedders that own the year buttons (GitHubActivity) re-create the
+      // heatmap themselves instead
+      if (options.yearToggle !== false) {
+        this.setupYearToggle();
+      }
     }
 
     processData() {
@@ -292,19 +307,18 @@ window.GitHubCharts = (function() {
     }
 
     getYearData(year) {
-      // Generate 365 days for the selected year
-      const startDate = new Date(year, 0, 1);
-      const endDate = new Date(year, 11, 31);
+      // Calendar dates are plain days in the data's time zone, so walk them
+      // with UTC arithmetic; local Date math would skip or repeat DST days
+      const counts = new Map(this.data.map(item => [item.date, item.count]));
       const yearData = [];
       
-      for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
+      for (let d = new Date(Date.UTC(year, 0, 1)); d.getUTCFullYear() === year; d.setUTCDate(d.getUTCDate() + 1)) {
         const dateString = d.toISOString().split('T')[0];
-        const existingData = this.data.find(item => item.date === dateString);
         
         yearData.push({
           date: dateString,
-          count: existingData ? existingData.count : 0,
-          weekday: d.getDay()
+          count: counts.get(dateString) || 0,
+          weekday: d.getUTCDay()
         });
       }
       
@@ -320,12 +334,13 @@ window.GitHubCharts = (function() {
     }
 
     formatDate(dateString) {
-      const date = new Date(dateString);
+      const date = new Date(`${dateString}T00:00:00Z`);
       return date.toLocaleDateString('en-US', { 
         weekday: 'short', 
         year: 'numeric', 
         month: 'short', 
-        day: 'numeric' 
+        day: 'numeric',
+        timeZone: 'UTC'
       });
     }
 
@@ -333,10 +348,12 @@ window.GitHubCharts = (function() {
       const weeks = [];
       let currentWeek = [];
       
+      const counts = new Map(yearData.map(item => [item.date, item.count]));
+      
       // Start from the first Sunday of the year or the year start
-      const yearStart = new Date(this.selectedYear, 0, 1);
+      const yearStart = new Date(Date.UTC(this.selectedYear, 0, 1));
       const firstSunday = new Date(yearStart);
-      firstSunday.setDate(yearStart.getDate() - yearStart.getDay());
+      firstSunday.setUTCDate(yearStart.getUTCDate() - yearStart.getUTCDay());
       
       // Generate 53 weeks of data
       for (let week = 0; week < 53; week++) {
@@ -344,24 +361,23 @@ window.GitHubCharts = (function() {
         
         for (let day = 0; day < 7; day++) {
           const currentDate = new Date(firstSunday);
-          currentDate.setDate(firstSunday.getDate() + (week * 7) + day);
+          currentDate.setUTCDate(firstSunday.getUTCDate() + (week * 7) + day);
           
           const dateString = currentDate.toISOString().split('T')[0];
-          const existingData = yearData.find(item => item.date === dateString);
           
           // Only include days that are in the selected year
-          if (currentDate.getFullYear() === this.selectedYear) {
+          if (currentDate.getUTCFullYear() === this.selectedYear) {
             weekData.push({
               date: dateString,
-              count: existingData ? existingData.count : 0,
-              weekday: currentDate.getDay()
+              count: counts.get(dateString) || 0,
+              weekday: currentDate.getUTCDay()
             });
           } else {
             // Add empty placeholder for days outside the year
             weekData.push({
               date: dateString,
               count: 0,
-              weekday: currentDate.getDay(),
+              weekday: currentDate.getUTCDay(),
               isEmpty: true
             });
           }
@@ -432,15 +448,6 @@ window.GitHubCharts = (function() {
         });
       });
     }
-
-  }
-
-    hideTooltip() {
-      const tooltip = document.querySelector('.chart-tooltip');
-      if (tooltip) {
-        tooltip.remove();
-      }
-    }
   }
 
   // Public API
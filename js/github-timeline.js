@@ -0,0 +1,264 @@
+/**
+ * GitHub Timeline Component
+ *
+ * Lists recent public activity from `/api/github-events` — pushes, opened
+ * and merged pull requests, releases, new repositories and stars received —
+ * with relative timestamps and links.  It complements the aggregate numbers
+ * of `GitHubActivity` inside the `#github-activity` section.
+ */
+
+const FILTERS = [
+  { type: null, label: 'All' },
+  { type: 'push', label: 'Pushes' },
+  { type: 'pull_request', label: 'Pull requests' },
+  { type: 'release', label: 'Releases' },
+  { type: 'repository', label: 'Repositories' },
+  { type: 'star', label: 'Stars' }
+];
+
+const ICONS = {
+  push: '⬆️',
+  pull_request: '🔀',
+  release: '🏷️',
+  repository: '📁',
+  star: '⭐'
+};
+
+// Largest unit first; each entry is [unit, seconds]
+const UNITS = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60]
+];
+
+/**
+ * Escape text for use in HTML.  Event titles and descriptions are written
+ * by other people, so everything from the API goes through here.
+ *
+ * @param {any} value - Text to escape.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Describe how long ago a timestamp was, e.g. "3 hours ago".
+ *
+ * @param {string} timestamp - ISO 8601 timestamp.
+ * @param {number} [now=Date.now()] - Reference time in epoch ms.
+ * @returns {string}
+ */
+export function relativeTime(timestamp, now = Date.now()) {
+  const seconds = Math.round((new Date(timestamp).getTime() - now) / 1000);
+  const format = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+  for (const [unit, size] of UNITS) {
+    if (Math.abs(seconds) >= size) {
+      return format.format(Math.trunc(seconds / size), unit);
+    }
+  }
+  return 'just now';
+}
+
+class GitHubTimeline {
+  /**
+   * Create a new GitHubTimeline instance.
+   *
+   * @param {string} containerId - The id of the DOM element where the
+   *   timeline will be rendered.
+   * @param {Object} options - Optional settings.
+   * @param {string} [options.username='kevinnngoo'] - GitHub username.
+   * @param {string} [options.apiEndpoint='/api/github-events'] - API URL.
+   * @param {number} [options.perPage=10] - Events fetched per page.
+   */
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.username = options.username || 'kevinnngoo';
+    this.apiEndpoint = options.apiEndpoint || '/api/github-events';
+    this.perPage = options.perPage || 10;
+    // Active type filter (an entry of FILTERS) and the events loaded so far
+    this.type = null;
+    this.events = [];
+    this.hasNextPage = false;
+    this.loading = false;
+    this.error = null;
+    // The request in flight; a newer load() aborts it and ignores its result
+    this.request = null;
+    // Keeps relative timestamps current while the page stays open
+    this.clockTimer = null;
+
+    if (!this.container) {
+      console.error(`GitHubTimeline: container element with id "${containerId}" not found`);
+      return;
+    }
+
+    this.load();
+    this.clockTimer = setInterval(() => this.updateTimestamps(), 60 * 1000);
+  }
+
+  /**
+   * Fetch the next page of events for the active filter and render.  Pages
+   * continue from the oldest event shown (`before`) rather than by page
+   * number, since the feed can gain events between requests, and events
+   * already on screen are skipped by id.
+   *
+   * @param {boolean} [reset=false] - Start again from the first page,
+   *   cancelling a load that is still running.
+   */
+  async load(reset = false) {
+    if (this.loading && !reset) return;
+    if (this.request) this.request.controller.abort();
+    if (reset) {
+      this.events = [];
+      this.hasNextPage = false;
+    }
+    const request = { controller: new AbortController() };
+    this.request = request;
+    this.loading = true;
+    this.error = null;
+    this.render();
+
+    try {
+      const params = new URLSearchParams({
+        username: this.username,
+        per_page: String(this.perPage)
+      });
+      if (this.type) params.set('type', this.type);
+      const last = this.events[this.events.length - 1];
+      if (last) params.set('before', last.createdAt);
+
+      const response = await fetch(`${this.apiEndpoint}?${params}`, { signal: request.controller.signal });
+      const body = await response.json().catch(() => ({}));
+      if (this.request !== request) return;
+      if (!response.ok) {
+        const error = new Error(body.message || `HTTP ${response.status}`);
+        // Quoted in the error state so a report matches the server's log line
+        error.requestId = body.requestId || response.headers.get('X-Request-Id');
+        throw error;
+      }
+
+      const seen = new Set(this.events.map(event => event.id));
+      this.events.push(...body.events.filter(event => !seen.has(event.id)));
+      this.hasNextPage = body.hasNextPage;
+    } catch (error) {
+      // Superseded by a newer load(), which renders its own result
+      if (this.request !== request) return;
+      console.warn('GitHubTimeline: failed to load events', error);
+      this.error = error;
+    } finally {
+      if (this.request === request) {
+        this.request = null;
+        this.loading = false;
+        this.render();
+      }
+    }
+  }
+
+  /**
+   * Switch the type filter and reload from the first page, dropping any
+   * page of the old filter that is still loading.
+   *
+   * @param {string|null} type - Event type, or null for every type.
+   */
+  setFilter(type) {
+    if (type === this.type) return;
+    this.type = type;
+    this.load(true);
+  }
+
+  /**
+   * One line describing an event, with links to what happened.
+   *
+   * @param {Object} event - Normalized event from the API.
+   * @returns {string} HTML for the description.
+   */
+  describe(event) {
+    const link = (url, text) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(text)}</a>`;
+    const repo = link(event.repo.url, event.repo.name);
+
+    switch (event.type) {
+      case 'push':
+        return `Pushed ${link(event.url, `${event.commits} commit${event.commits === 1 ? '' : 's'}`)} to ${repo}${event.branch ? ` <span class="timeline__branch">${escapeHtml(event.branch)}</span>` : ''}`;
+      case 'pull_request':
+        return `${event.action === 'merged' ? 'Merged' : 'Opened'} ${link(event.url, `#${event.number}${event.title ? ` ${event.title}` : ''}`)} in ${repo}`;
+      case 'release':
+        return `Released ${link(event.url, event.name)} of ${repo}`;
+      case 'repository':
+        return `Created ${repo}${event.description ? ` <span class="timeline__note">${escapeHtml(event.description)}</span>` : ''}`;
+      case 'star':
+        return `${link(event.actor.url, event.actor.login)} starred ${repo}`;
+      default:
+        return repo;
+    }
+  }
+
+  /**
+   * Refresh the "3 hours ago" labels without rebuilding the list.
+   */
+  updateTimestamps() {
+    if (!this.container) return;
+    this.container.querySelectorAll('.timeline__time').forEach(time => {
+      time.textContent = relativeTime(time.getAttribute('datetime'));
+    });
+  }
+
+  /**
+   * Render the filter buttons, the event list and the load‑more control.
+   */
+  render() {
+    const items = this.events.map(event => `
+      <li class="timeline__item timeline__item--${event.type.replace('_', '-')}">
+        <span class="timeline__icon" aria-hidden="true">${ICONS[event.type] || '•'}</span>
+        <div class="timeline__body">
+          <p class="timeline__text">${this.describe(event)}</p>
+          <time class="timeline__time" datetime="${escapeHtml(event.createdAt)}" title="${escapeHtml(new Date(event.createdAt).toLocaleString())}">${relativeTime(event.createdAt)}</time>
+        </div>
+      </li>
+    `).join('');
+
+    let status = '';
+    if (this.error) {
+      const reference = this.error.requestId
+        ? ` <small class="activity__reference">Reference: <code>${escapeHtml(this.error.requestId)}</code></small>`
+        : '';
+      status = `<p class="activity__notice" role="alert">Couldn't load recent activity: ${escapeHtml(this.error.message)}${reference}</p>`;
+    } else if (this.loading) {
+      status = '<p class="timeline__status" role="status">Loading activity…</p>';
+    } else if (!this.events.length) {
+      status = '<p class="timeline__status">No recent public activity.</p>';
+    }
+
+    this.container.innerHTML = `
+      <div class="activity__timeline">
+        <h4>Recent Activity</h4>
+        <div class="timeline__filters" role="group" aria-label="Filter activity">
+          ${FILTERS.map(({ type, label }) => `
+            <button class="year__button${type === this.type ? ' active' : ''}" data-type="${type || ''}" aria-pressed="${type === this.type}">${label}</button>
+          `).join('')}
+        </div>
+        ${items ? `<ol class="timeline__list">${items}</ol>` : ''}
+        ${status}
+        ${this.hasNextPage && !this.loading && !this.error ? '<button class="timeline__more year__button">Load more</button>' : ''}
+        ${this.error ? '<button class="timeline__retry year__button">Try again</button>' : ''}
+      </div>
+    `;
+
+    this.container.querySelectorAll('.timeline__filters button').forEach(button => {
+      button.addEventListener('click', () => this.setFilter(button.dataset.type || null));
+    });
+    const more = this.container.querySelector('.timeline__more');
+    if (more) more.addEventListener('click', () => this.load());
+    const retry = this.container.querySelector('.timeline__retry');
+    if (retry) retry.addEventListener('click', () => this.load());
+  }
+}
+
+export default GitHubTimeline;
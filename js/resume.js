@@ -0,0 +1,189 @@
+/**
+ * Resume Sections
+ *
+ * Renders the expertise, experience, education and about sections from
+ * `data/resume.json`, the JSON Resume document that `/api/resume.json` and
+ * the printable resume are built from, so the page and the downloadable
+ * resume never drift apart.  `scripts/build-resume.js` writes the same
+ * markup into `index.html` for visitors without JavaScript; this module
+ * refreshes it when the data is newer than the last build.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Expertise card icons, keyed by the `icon` field of each skill
+const SKILL_ICONS = {
+  atom: `
+    <circle cx="12" cy="12" r="1.5" stroke="currentColor" stroke-width="2" />
+    <ellipse cx="12" cy="12" rx="9" ry="4.5" transform="rotate(60 12 12)" stroke="currentColor" stroke-width="2" />
+    <ellipse cx="12" cy="12" rx="9" ry="4.5" transform="rotate(-60 12 12)" stroke="currentColor" stroke-width="2" />
+    <ellipse cx="12" cy="12" rx="9" ry="4.5" stroke="currentColor" stroke-width="2" />`,
+  container: `
+    <rect x="3" y="8" width="18" height="8" rx="1" stroke="currentColor" stroke-width="2" />
+    <path d="M3 12h18" stroke="currentColor" stroke-width="2" />
+    <path d="M7 8v8" stroke="currentColor" stroke-width="2" />
+    <path d="M11 8v8" stroke="currentColor" stroke-width="2" />
+    <path d="M15 8v8" stroke="currentColor" stroke-width="2" />`,
+  python: `
+    <path d="M12 2c-2.21 0-4 1.79-4 4v2h8V6c0-2.21-1.79-4-4-4z" stroke="currentColor" stroke-width="2" fill="none" />
+    <path d="M16 8H8a4 4 0 00-4 4v4c0 2.21 1.79 4 4 4h2v-2a2 2 0 012-2h2a2 2 0 012 2v2h2c2.21 0 4-1.79 4-4v-4a4 4 0 00-4-4z" stroke="currentColor" stroke-width="2" fill="none" />
+    <circle cx="9" cy="9" r="0.5" fill="currentColor" />
+    <circle cx="15" cy="15" r="0.5" fill="currentColor" />`
+};
+
+const BRIEFCASE_ICON = `
+  <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+    <path d="M7 7V6a5 5 0 0110 0v1h1a2 2 0 012 2v11a2 2 0 01-2 2H6a2 2 0 01-2-2V9a2 2 0 012-2h1zm2-1v1h6V6a3 3 0 00-6 0z" />
+  </svg>`;
+
+const GRADUATION_ICON = `
+  <svg width="32" height="32" viewBox="0 0 24 24" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
+    <path d="M12 3L1 8l11 5 9-4.09V17h2V8L12 3z" />
+    <path d="M11 12.84L3.56 9.23v4.31L11 17.15l7.44-3.61v-4.31L11 12.84z" />
+  </svg>`;
+
+/**
+ * Escape text for use in HTML.
+ *
+ * @param {any} value - Text to escape.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Date range for a work or education entry, matching the printable resume.
+ *
+ * @param {string} [startDate] - JSON Resume date, e.g. "2025-04".
+ * @param {string} [endDate] - Omitted for ongoing entries.
+ * @returns {string} e.g. "Oct 2023 – Jun 2025" or "Apr 2025 – Present".
+ */
+export function formatDateRange(startDate, endDate) {
+  const format = (value) => {
+    const [year, month] = String(value).split('-');
+    return month ? `${MONTHS[parseInt(month, 10) - 1]} ${year}` : year;
+  };
+  if (!startDate) return endDate ? format(endDate) : '';
+  return `${format(startDate)} – ${endDate ? format(endDate) : 'Present'}`;
+}
+
+/**
+ * Expertise cards from `skills`.
+ *
+ * @param {Array} skills
+ * @returns {string} HTML
+ */
+export function renderExpertise(skills = []) {
+  return skills.map(skill => `
+    <div class="expertise-card">
+      <svg class="expertise-card__icon" width="40" height="40" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+        ${SKILL_ICONS[skill.icon] || SKILL_ICONS.atom}
+      </svg>
+      <h3>${escapeHtml(skill.name)}</h3>
+      <p>${escapeHtml(skill.summary)}</p>
+      <div class="tech-list">${(skill.keywords || []).map(keyword => `<span>${escapeHtml(keyword)}</span>`).join('')}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Experience timeline from `work`, alternating left and right.
+ *
+ * @param {Array} work
+ * @returns {string} HTML
+ */
+export function renderExperience(work = []) {
+  return work.map((job, index) => {
+    const card = `
+      <div class="timeline-card">
+        <h3>${escapeHtml(job.position)}</h3>
+        <h4>${escapeHtml(job.name)}</h4>
+        <p>${escapeHtml(job.summary)}</p>
+      </div>`;
+    const icon = `<div class="timeline-icon">${BRIEFCASE_ICON}</div>`;
+    const date = `
+      <div class="timeline-date">
+        ${escapeHtml(formatDateRange(job.startDate, job.endDate))}${job.location ? `<br />${escapeHtml(job.location)}` : ''}
+      </div>`;
+    // Right-hand items put the date first so the card ends up on the right
+    return index % 2 === 0
+      ? `<div class="timeline-item left">${card}${icon}${date}</div>`
+      : `<div class="timeline-item right">${date}${icon}${card}</div>`;
+  }).join('');
+}
+
+/**
+ * Education entries from `education`.
+ *
+ * @param {Array} education
+ * @returns {string} HTML
+ */
+export function renderEducation(education = []) {
+  return education.map(school => `
+    <div class="education__item">
+      <div class="education__icon">${GRADUATION_ICON}</div>
+      <div class="education__content">
+        <h3>${escapeHtml(school.institution)}</h3>
+        <h4>${escapeHtml([school.studyType, school.area].filter(Boolean).join(' in '))}</h4>
+        <p>${escapeHtml(school.summary)}</p>
+        <p class="education__meta">
+          ${escapeHtml(formatDateRange(school.startDate, school.endDate))}${school.location ? `<br />${escapeHtml(school.location)}` : ''}
+        </p>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * About paragraphs from `basics.summary`, split on blank lines.
+ *
+ * @param {Object} basics
+ * @returns {string} HTML
+ */
+export function renderAbout(basics = {}) {
+  return String(basics.summary || '')
+    .split(/\n\s*\n/)
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph)}</p>`)
+    .join('');
+}
+
+/**
+ * Fetch the resume and fill every `[data-resume]` container on the page.
+ *
+ * @param {Object} options - Optional settings.
+ * @param {string} [options.url='./data/resume.json'] - Resume document URL.
+ * @returns {Promise<Object|null>} The resume, or null when it could not be loaded.
+ */
+export default async function renderResumeSections({ url = './data/resume.json' } = {}) {
+  const renderers = {
+    expertise: resume => renderExpertise(resume.skills),
+    experience: resume => renderExperience(resume.work),
+    education: resume => renderEducation(resume.education),
+    about: resume => renderAbout(resume.basics)
+  };
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const resume = await response.json();
+
+    document.querySelectorAll('[data-resume]').forEach(container => {
+      const render = renderers[container.dataset.resume];
+      if (render) {
+        container.innerHTML = render(resume);
+      }
+    });
+    return resume;
+  } catch (error) {
+    // The markup generated into index.html stays in place
+    console.error('Failed to load resume data:', error);
+    return null;
+  }
+}
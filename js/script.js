@@ -1,8 +1,40 @@
 // Kevin Ngo Portfolio Script
 // Handles mobile navigation toggling, dynamic project loading from GitHub and
-// contact form submission via mailto link. All external calls are made from
+// contact form submission to /api/contact. All external calls are made from
 // client‑side JavaScript.
 
+/**
+ * Escape text for use in HTML.  Project names, descriptions and topics come
+ * from GitHub repositories, so everything from the API goes through here.
+ *
+ * @param {any} value - Text to escape.
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * An https URL from the API, or null for anything else (`javascript:`,
+ * plain http, relative paths, garbage).
+ *
+ * @param {string} value - URL to check.
+ * @returns {string|null} The normalized URL.
+ */
+function safeUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
 function getProjectIconSVG(repoName) {
   const name = (repoName || "").toLowerCase();
 
@@ -164,32 +196,41 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const iconSVG = getProjectIconSVG(proj.title || proj.name);
 
-        const language = proj.language ? ` • ${proj.language}` : '';
+        const language = proj.language ? ` • ${escapeHtml(proj.language)}` : '';
         const stars = typeof proj.stars === 'number' ? proj.stars : 0;
+        const forks = typeof proj.forks === 'number' && proj.forks ? ` • ${proj.forks} ${proj.forks === 1 ? 'fork' : 'forks'}` : '';
+        const image = safeUrl(proj.image);
+        const demo = safeUrl(proj.demo);
+        const url = safeUrl(proj.url);
+
+        // Social preview image replaces the icon when the repo has one
+        const header = image
+          ? `<div class="project-image-wrapper"><img class="project-image" src="${escapeHtml(image)}" alt="${escapeHtml(proj.title)} preview" loading="lazy"></div>`
+          : `<div class="project-card__icon project-card__icon--badge">
+            ${iconSVG}
+          </div>`;
 
         // Tech badges
         let techBadges = '';
         if (proj.tech && proj.tech.length) {
-          techBadges = `<div class="tech-list">${proj.tech.map(t => `<span>${t}</span>`).join('')}</div>`;
+          techBadges = `<div class="tech-list">${proj.tech.map(t => `<span>${escapeHtml(t)}</span>`).join('')}</div>`;
         }
 
         // Live demo button
         let demoBtn = '';
-        if (proj.demo && proj.demo.startsWith('http')) {
-          demoBtn = `<a href="${proj.demo}" class="project-link" target="_blank" rel="noopener" style="margin-right:1rem;">Live Demo</a>`;
+        if (demo) {
+          demoBtn = `<a href="${escapeHtml(demo)}" class="project-link" target="_blank" rel="noopener" style="margin-right:1rem;">Live Demo</a>`;
         }
 
         card.innerHTML = `
-          <div class="project-card__icon project-card__icon--badge">
-            ${iconSVG}
-          </div>
-          <h3>${proj.title}</h3>
-          <p>${proj.description}</p>
+          ${header}
+          <h3>${escapeHtml(proj.title)}</h3>
+          <p>${escapeHtml(proj.description)}</p>
           ${techBadges}
-          <div class="project-meta">${stars} ★${language}</div>
+          <div class="project-meta">${stars} ★${forks}${language}</div>
           <div style="display:flex;gap:0.5rem;">
             ${demoBtn}
-            <a href="${proj.url}" class="project-link" target="_blank" rel="noopener">View on GitHub</a>
+            ${url ? `<a href="${escapeHtml(url)}" class="project-link" target="_blank" rel="noopener">View on GitHub</a>` : ''}
           </div>
         `;
 
@@ -197,109 +238,37 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     }
 
-    // Attempt to fetch real repositories from GitHub. This will work when
-    // running on a domain (e.g. GitHub Pages) where cross‑origin requests to
-    // api.github.com are permitted. If the fetch fails, the fallback list is
-    // rendered.
-    fetch('https://api.github.com/users/kevinnngoo/repos?per_page=100')
-      .then((response) => response.json())
-      .then((repos) => {
-        if (Array.isArray(repos)) {
-          /*
-           * Build a list of repositories to display. Exclude forked
-           * repositories and automation helpers the user doesn’t want shown.
-           * Always include the microblog project (if it exists), then add
-           * the next three highest‑starred repositories. If there are
-           * fewer than four results after filtering, the remainder will be
-           * filled from the fallback list defined above.
-           */
-          const filtered = repos.filter((repo) => {
-            if (repo.fork) return false;
-            const name = repo.name.toLowerCase();
-            // Skip automation helper repos like back‑end automation
-            if (name.includes('back') && name.includes('automation')) return false;
-            return true;
-          });
-          // Find microblog if present
-          // Always include microblog and the stock market predictor if they exist
-          const microblogRepo = filtered.find((repo) => repo.name.toLowerCase() === 'microblog');
-          const stockRepo = filtered.find((repo) => repo.name.toLowerCase().includes('stock'));
-          // Sort the remaining repositories by star count, excluding microblog and stock
-          const sorted = filtered
-            .filter(
-              (repo) =>
-                repo.name.toLowerCase() !== 'microblog' &&
-                !repo.name.toLowerCase().includes('stock')
-            )
-            .sort((a, b) => (b.stargazers_count || 0) - (a.stargazers_count || 0));
-          // Select up to three top repos (so microblog + stock + 3 = 5 total)
-          const topRepos = sorted.slice(0, 3);
-          // Compose final list starting with microblog then stock
-          const finalList = [];
-          if (microblogRepo) finalList.push(microblogRepo);
-          if (stockRepo) finalList.push(stockRepo);
-          finalList.push(...topRepos);
-          // Map to card objects with image selection
-          const selected = finalList.map((repo) => {
-            let image = '';
-            const name = repo.name.toLowerCase();
-            if (name.includes('fake')) image = './images/projects/fake_news.png';
-            else if (name.includes('apartment')) image = './images/projects/apartment_bot.png';
-            else if (name.includes('conway')) image = './images/projects/game_of_life.png';
-            else if (name.includes('microblog')) image = './images/projects/microblog.png';
-            else if (name.includes('stock')) image = './images/projects/stock_market_predictor.png';
-            else image = './images/projects/expense_tracker.png';
-            // Always use custom description for Microblog and Conway's Game of Life
-            let description = repo.description || '';
-            if (name.includes('microblog')) {
-              description =
-                'Full‑featured Flask microblog platform featuring user authentication, profiles, following system, blogging, private messaging, search, translation, notifications, background jobs, REST API and internationalization. Built with Flask, SQLAlchemy, Bootstrap and more.';
-            }
-            if (name.includes('conway')) {
-              description =
-                "A terminal-based implementation of Conway’s Game of Life written in Python. This project simulates the evolution of cellular patterns using simple rules, random starting states, and an animated display in the terminal. Built as a beginner-friendly project to practice loops, conditionals, and 2D list manipulation for hands-on learning.";
-            }
-            if (!description && name.includes('stock')) {
-              description =
-                'Machine learning model that predicts stock market trends using historical price data and technical indicators.';
-            }
-            if (!description && name.includes('fake')) {
-              description =
-                'Machine learning project that classifies news articles as REAL or FAKE using natural language processing and a PassiveAggressiveClassifier.';
-            }
-            if (!description && name.includes('apartment')) {
-              description =
-                'Python bot that scrapes Boston apartment listings, filters by rent and number of bedrooms, and sends daily email alerts with matching results.';
-            }
-            // Format the repository name into title case for display
-            const formattedTitle = repo.name
-              .replace(/[-_]/g, ' ')
-              .replace(/\b\w/g, (c) => c.toUpperCase());
-            return {
-  title: formattedTitle,
-  description: description || 'No description provided.',
-  language: repo.language || '',
-  stars: repo.stargazers_count || 0,
-  url: repo.html_url
-};
-          });
-          // If there are fewer than five entries, fill from fallbackProjects
-          if (selected.length < 5) {
-            const namesInSelected = selected.map((p) => p.title.toLowerCase());
-            fallbackProjects.forEach((proj) => {
-              if (selected.length >= 5) return;
-              if (!namesInSelected.includes(proj.title.toLowerCase())) {
-                selected.push(proj);
-              }
-            });
-          }
-          renderProjects(selected);
-        } else {
+    // The showcase is whatever is pinned on the GitHub profile, served by
+    // /api/github-pinned.  If the request fails (e.g. when viewing the file
+    // locally) or nothing is pinned, the fallback list is rendered.
+    fetch('/api/github-pinned?username=kevinnngoo')
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(({ repositories }) => {
+        if (!Array.isArray(repositories) || !repositories.length) {
           renderProjects(fallbackProjects);
+          return;
         }
+        renderProjects(repositories.map((repo) => ({
+          // Format the repository name into title case for display
+          title: repo.name
+            .replace(/[-_]/g, ' ')
+            .replace(/\b\w/g, (c) => c.toUpperCase()),
+          description: repo.description || 'No description provided.',
+          language: repo.language ? repo.language.name : '',
+          stars: repo.stars,
+          forks: repo.forks,
+          url: repo.url,
+          tech: repo.topics,
+          demo: repo.homepageUrl || '',
+          // GitHub's generated previews just repeat the card text
+          image: repo.customImage ? repo.image : ''
+        })));
       })
       .catch(() => {
-        // If any error occurs (CORS, network, etc.), render fallback projects
+        // If any error occurs (network, API error, etc.), render fallback projects
         renderProjects(fallbackProjects);
       });
   }
@@ -310,6 +279,9 @@ document.addEventListener('DOMContentLoaded', () => {
   if (contactForm) {
     // Email validation regex
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const submitButton = contactForm.querySelector('.contact__submit');
+    // The server treats forms submitted within seconds of loading as spam
+    const startedAt = Date.now();
     
     // Helper function to show status messages
     function showStatus(message, isError = false) {
@@ -330,7 +302,7 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
     
-    contactForm.addEventListener('submit', (e) => {
+    contactForm.addEventListener('submit', async (e) => {
       e.preventDefault();
       clearStatus();
       
@@ -369,33 +341,42 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
       
-      // Build enhanced mailto link
-      const subject = encodeURIComponent(`Portfolio Contact: Message from ${name}`);
-      const body = encodeURIComponent(
-        `Hello Kevin,\n\nI'm reaching out through your portfolio contact form.\n\nName: ${name}\nEmail: ${email}\n\nMessage:\n${message}\n\nBest regards,\n${name}`
-      );
-      const mailtoLink = `mailto:kevinngo2002@gmail.com?subject=${subject}&body=${body}`;
-      
       // Show loading state
-      showStatus('Opening your email client...');
-      
-      // Open mail client
+      showStatus('Sending your message...');
+      if (submitButton) submitButton.disabled = true;
+
       try {
-        window.location.href = mailtoLink;
-        
-        // Show success message after a brief delay
-        setTimeout(() => {
-          showStatus('✓ Email client opened! If it didn\'t open automatically, please email me directly at kevinngo2002@gmail.com');
-        }, 1000);
-        
-        // Reset form after successful submission
-        setTimeout(() => {
+        const response = await fetch('/api/contact', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name,
+            email,
+            message,
+            website: document.getElementById('website')?.value || '',
+            startedAt
+          })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          showStatus('✓ Thanks! Your message has been sent.');
           contactForm.reset();
-          clearStatus();
-        }, 8000);
-        
+        } else if (response.status === 400) {
+          // The server names the field that failed its checks
+          showStatus(result.message || 'Please check the form and try again.', true);
+          const field = result.parameter && document.getElementById(result.parameter);
+          if (field) field.focus();
+        } else if (response.status === 429) {
+          showStatus('Too many messages sent. Please try again later or email me directly at kevinngo2002@gmail.com', true);
+        } else {
+          const reference = result.requestId ? ` (reference: ${result.requestId})` : '';
+          showStatus(`Your message could not be sent${reference}. Please email me directly at kevinngo2002@gmail.com`, true);
+        }
       } catch (error) {
-        showStatus('Unable to open email client. Please email me directly at kevinngo2002@gmail.com', true);
+        showStatus('Unable to reach the server. Please email me directly at kevinngo2002@gmail.com', true);
+      } finally {
+        if (submitButton) submitButton.disabled = false;
       }
     });
     
@@ -408,6 +389,11 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Expertise, experience, education and about come from data/resume.json
+  import('./resume.js').then(module => module.default()).catch(error => {
+    console.error('Failed to load resume sections:', error);
+  });
+
   // Set current year in footer
   const yearEl = document.getElementById('year');
   if (yearEl) {
@@ -446,5 +432,17 @@ document.addEventListener('DOMContentLoaded', () => {
         `;
       }
     });
+
+    // The timeline is independent of the dashboard; if it fails to load the
+    // section simply shows the aggregate numbers
+    import('./github-timeline.js').then(module => {
+      const GitHubTimeline = module.default;
+      window.githubTimeline = new GitHubTimeline('githubTimelineContainer', {
+        username: 'kevinnngoo',
+        apiEndpoint: '/api/github-events'
+      });
+    }).catch(error => {
+      console.error('Failed to load GitHub Timeline:', error);
+    });
   }, 100);
 });
@@ -0,0 +1,79 @@
+// Static resume build: writes data/resume.json into the expertise,
+// experience, education and about sections of index.html and into a
+// standalone resume.html, so the page works without JavaScript and the
+// "Resume" link works on hosts without the api/ functions (GitHub Pages).
+//
+//   node scripts/build-resume.js           # rewrite index.html and resume.html
+//   node scripts/build-resume.js --check   # exit 1 when either is out of date
+//
+// Sections are replaced between <!-- resume:NAME --> and <!-- /resume:NAME -->.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { loadResume, renderResumeHtml } from '../api/_lib/resume.js';
+import { renderAbout, renderEducation, renderExperience, renderExpertise } from '../js/resume.js';
+
+export const INDEX_FILE = new URL('../index.html', import.meta.url);
+export const RESUME_HTML_FILE = new URL('../resume.html', import.meta.url);
+
+const SECTIONS = {
+  expertise: resume => renderExpertise(resume.skills),
+  experience: resume => renderExperience(resume.work),
+  education: resume => renderEducation(resume.education),
+  about: resume => renderAbout(resume.basics)
+};
+
+/**
+ * Fill the marked resume sections of a page
+ * @param {string} html - Page containing the markers
+ * @param {Object} resume - JSON Resume document
+ * @returns {string} The page with every marked section rendered
+ */
+export function fillResumeSections(html, resume) {
+  return html.replace(/(<!-- resume:(\w+) -->)[\s\S]*?(<!-- \/resume:\2 -->)/g, (match, open, name, close) => {
+    const render = SECTIONS[name];
+    return render ? `${open}${render(resume)}${close}` : match;
+  });
+}
+
+/**
+ * Contents index.html and resume.html should have for the current resume
+ * @returns {Promise<{index: {current: string, expected: string}, resume: {current: string, expected: string}}>}
+ */
+export async function buildResumeFiles() {
+  const resume = await loadResume();
+  const index = await readFile(INDEX_FILE, 'utf8');
+  const printable = await readFile(RESUME_HTML_FILE, 'utf8').catch(() => '');
+  return {
+    index: { current: index, expected: fillResumeSections(index, resume) },
+    resume: { current: printable, expected: renderResumeHtml(resume) }
+  };
+}
+
+async function main() {
+  const files = await buildResumeFiles();
+  const targets = { 'index.html': [INDEX_FILE, files.index], 'resume.html': [RESUME_HTML_FILE, files.resume] };
+  const stale = Object.keys(targets).filter(name => targets[name][1].current !== targets[name][1].expected);
+
+  if (process.argv.includes('--check')) {
+    if (stale.length) {
+      console.error(`Out of date with data/resume.json: ${stale.join(', ')}. Run node scripts/build-resume.js`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  for (const name of stale) {
+    const [file, { expected }] = targets[name];
+    await writeFile(file, expected);
+    console.log(`Updated ${name}`);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
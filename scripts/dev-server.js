@@ -0,0 +1,145 @@
+// Local development server: serves the static site and the api/ handlers
+// together, like `vercel dev` but without the Vercel CLI or an account.
+//
+//   node scripts/dev-server.js               # uses GITHUB_TOKEN from the environment or .env.local
+//   node scripts/dev-server.js --fixtures    # offline, same as GITHUB_MOCK=fixtures
+//
+// Optional environment variable: PORT (defaults to 3000)
+
+import { createServer } from 'node:http';
+import { existsSync, readFileSync } from 'node:fs';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Load KEY=value lines from .env.local without overriding the environment
+ * @param {string} file
+ */
+function loadEnvFile(file) {
+  if (!existsSync(file)) return;
+  readFileSync(file, 'utf8').split('\n').forEach(line => {
+    const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/i);
+    if (!match || line.trim().startsWith('#')) return;
+    const value = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    if (process.env[match[1]] === undefined) process.env[match[1]] = value;
+  });
+}
+
+/**
+ * Add the Vercel helpers (query, status, json, send) the handlers rely on
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url - Parsed request URL
+ */
+function adapt(req, res, url) {
+  req.query = Object.fromEntries(url.searchParams);
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    res.end(body);
+    return res;
+  };
+}
+
+const handlers = new Map();
+
+/**
+ * Import the handler for /api/<name>, or null when there is none.  Names
+ * starting with `_` are helpers and fixtures, never routes.
+ * @param {string} name
+ * @returns {Promise<Function|null>}
+ */
+async function loadHandler(name) {
+  if (!/^[a-z0-9-]+$/i.test(name)) return null;
+  if (!handlers.has(name)) {
+    const file = join(ROOT, 'api', `${name}.js`);
+    handlers.set(name, existsSync(file) ? (await import(file)).default : null);
+  }
+  return handlers.get(name);
+}
+
+async function serveApi(req, res, url) {
+  // Like the vercel.json rewrites, /api/resume.json and /api/resume.html
+  // both reach api/resume.js
+  const name = url.pathname.slice('/api/'.length).replace(/\.(js|json|html)$/, '').replace(/\/$/, '');
+  const handler = await loadHandler(name);
+  if (!handler) {
+    res.writeHead(404, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ code: 'NOT_FOUND', message: `No handler for ${url.pathname}` }));
+    return;
+  }
+  adapt(req, res, url);
+  await handler(req, res);
+}
+
+async function serveStatic(req, res, url) {
+  let pathname = decodeURIComponent(url.pathname);
+  if (pathname.endsWith('/')) pathname += 'index.html';
+
+  const file = normalize(join(ROOT, pathname));
+  // Stay inside the repository and keep dotfiles (.env.local, .git) private
+  const hidden = !file.startsWith(ROOT) || file.split(sep).some(part => part.startsWith('.'));
+
+  try {
+    if (hidden || !(await stat(file)).isFile()) throw new Error('Not found');
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : await readFile(file));
+  } catch (error) {
+    res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+    res.end(await readFile(join(ROOT, '404.html')).catch(() => 'Not found'));
+  }
+}
+
+loadEnvFile(join(ROOT, '.env.local'));
+if (process.argv.includes('--fixtures')) {
+  process.env.GITHUB_MOCK = 'fixtures';
+}
+
+const port = parseInt(process.env.PORT, 10) || 3000;
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const started = Date.now();
+  try {
+    if (url.pathname.startsWith('/api/')) {
+      await serveApi(req, res, url);
+    } else {
+      await serveStatic(req, res, url);
+    }
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Internal server error');
+  }
+  console.log(`${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - started}ms`);
+}).listen(port, () => {
+  const mode = process.env.GITHUB_MOCK === 'fixtures' ? ' (GitHub fixtures)' : '';
+  console.log(`Dev server running at http://localhost:${port}${mode}`);
+});
@@ -0,0 +1,56 @@
+/**
+ * Admin Secret Tests
+ * Tests the shared-secret checks guarding /api/health diagnostics and /api/github-webhook
+ */
+
+import { createHmac } from 'node:crypto';
+import { hasAdminSecret, safeEqual, verifyWebhookSignature } from '../api/_lib/auth.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Admin Secret Tests');
+
+const request = (secret) => ({ headers: secret === undefined ? {} : { 'x-admin-secret': secret } });
+
+test('safeEqual should compare strings of any length', () => {
+  expect(safeEqual('secret', 'secret')).toBe(true);
+  expect(safeEqual('secret', 'secret2')).toBe(false);
+  expect(safeEqual('', 'secret')).toBe(false);
+});
+
+test('should accept the configured secret', () => {
+  process.env.ADMIN_SECRET = 'open-sesame';
+  expect(hasAdminSecret(request('open-sesame'))).toBe(true);
+});
+
+test('should reject a wrong or missing secret', () => {
+  process.env.ADMIN_SECRET = 'open-sesame';
+  expect(hasAdminSecret(request('open-sesame!'))).toBe(false);
+  expect(hasAdminSecret(request())).toBe(false);
+});
+
+test('should stay closed when ADMIN_SECRET is unset', () => {
+  delete process.env.ADMIN_SECRET;
+  expect(hasAdminSecret(request(''))).toBe(false);
+  expect(hasAdminSecret(request('undefined'))).toBe(false);
+});
+
+const payload = JSON.stringify({ sender: { login: 'kevinnngoo' } });
+const sign = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('should accept a correctly signed webhook payload', () => {
+  expect(verifyWebhookSignature(payload, sign(payload, 'hook-secret'), 'hook-secret')).toBe(true);
+  expect(verifyWebhookSignature(Buffer.from(payload), sign(payload, 'hook-secret'), 'hook-secret')).toBe(true);
+});
+
+test('should reject tampered payloads and wrong secrets', () => {
+  expect(verifyWebhookSignature(`${payload} `, sign(payload, 'hook-secret'), 'hook-secret')).toBe(false);
+  expect(verifyWebhookSignature(payload, sign(payload, 'other'), 'hook-secret')).toBe(false);
+});
+
+test('should reject missing or malformed signatures', () => {
+  expect(verifyWebhookSignature(payload, undefined, 'hook-secret')).toBe(false);
+  expect(verifyWebhookSignature(payload, sign(payload, 'hook-secret').replace('sha256=', 'sha1='), 'hook-secret')).toBe(false);
+  expect(verifyWebhookSignature(payload, sign(payload, ''), '')).toBe(false);
+});
+
+run();
@@ -0,0 +1,288 @@
+/**
+ * Client Cache Manager Tests
+ * Tests expiry, TTLs and policies, stale reads, background revalidation and
+ * the storage backends of js/cache-manager.js and js/cache-storage.js
+ */
+
+import { CacheManager } from '../js/cache-manager.js';
+import { createFallbackStorage, createLocalStorage, createMemoryStorage } from '../js/cache-storage.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Client Cache Manager Tests');
+
+const HOUR = 60 * 60 * 1000;
+
+const storage = createMemoryStorage();
+const cacheManager = new CacheManager({ storage });
+
+// Move an entry's expiry into the past
+async function age(key, ms) {
+  const fullKey = cacheManager.getCacheKey(key);
+  const entry = await storage.get(fullKey);
+  await storage.set(fullKey, { ...entry, expires: Date.now() - ms });
+}
+
+// Just enough of the Web Storage API for createLocalStorage()
+function webStorage() {
+  const items = new Map();
+  return {
+    items,
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('should return fresh entries from get() and getWithMeta()', async () => {
+  await cacheManager.set('fresh', { total: 1 });
+  expect(await cacheManager.get('fresh')).toEqual({ total: 1 });
+  expect(await cacheManager.has('fresh')).toBe(true);
+  const entry = await cacheManager.getWithMeta('fresh');
+  expect(entry.stale).toBe(false);
+  expect(entry.data).toEqual({ total: 1 });
+});
+
+test('should keep expired entries as stale until the stale window ends', async () => {
+  await cacheManager.set('expired', { total: 2 });
+  await age('expired', HOUR);
+  expect(await cacheManager.get('expired')).toBe(null);
+  expect(await cacheManager.has('expired')).toBe(false);
+  expect((await cacheManager.getWithMeta('expired')).stale).toBe(true);
+  expect((await cacheManager.getWithMeta('expired')).data).toEqual({ total: 2 });
+
+  await age('expired', cacheManager.STALE_DURATION + HOUR);
+  expect(await cacheManager.getWithMeta('expired')).toBe(null);
+  expect(await storage.get(cacheManager.getCacheKey('expired'))).toBe(null);
+});
+
+test('should revalidate stale entries once and notify subscribers', async () => {
+  await cacheManager.set('year', { total: 3 });
+  await age('year', HOUR);
+
+  const updates = [];
+  const unsubscribe = cacheManager.subscribe('year', data => updates.push(data));
+  let calls = 0;
+  const fetcher = async () => {
+    calls++;
+    return { total: 4 };
+  };
+
+  expect((await cacheManager.getWithMeta('year', { revalidate: fetcher })).data).toEqual({ total: 3 });
+  // A second read while the refresh is in flight doesn't fetch again
+  await cacheManager.getWithMeta('year', { revalidate: fetcher });
+  await cacheManager.pending.get('year');
+
+  expect(calls).toBe(1);
+  expect(updates).toEqual([{ total: 4 }]);
+  expect((await cacheManager.getWithMeta('year')).stale).toBe(false);
+
+  unsubscribe();
+  await cacheManager.revalidate('year', async () => ({ total: 5 }));
+  expect(updates).toHaveLength(1);
+});
+
+test('should keep the stale entry when revalidation fails', async () => {
+  await cacheManager.set('flaky', { total: 6 });
+  await age('flaky', HOUR);
+  const result = await quietly(() => cacheManager.revalidate('flaky', async () => {
+    throw new Error('offline');
+  }));
+  expect(result).toBe(null);
+  expect((await cacheManager.getWithMeta('flaky')).data).toEqual({ total: 6 });
+  expect((await cacheManager.getWithMeta('flaky')).stale).toBe(true);
+});
+
+test('should leave fresh entries alone when given a fetcher', async () => {
+  await cacheManager.set('current', { total: 7 });
+  let calls = 0;
+  await cacheManager.getWithMeta('current', { revalidate: async () => { calls++; return {}; } });
+  expect(calls).toBe(0);
+});
+
+test('should expire entries by their own ttl or policy', async () => {
+  const before = Date.now();
+  await cacheManager.set('short', 'a', { ttl: 1000 });
+  await cacheManager.set('past', 'b', { policy: 'past-year' });
+  await cacheManager.set('current', 'c', { policy: 'current-year' });
+
+  const short = await cacheManager.getWithMeta('short');
+  expect(short.expires - short.timestamp).toBe(1000);
+  expect(short.policy).toBe(null);
+  expect((await cacheManager.getWithMeta('past')).expires >= before + 30 * 24 * HOUR).toBe(true);
+  const current = await cacheManager.getWithMeta('current');
+  expect(current.expires - current.timestamp).toBe(HOUR);
+  expect(current.policy).toBe('current-year');
+});
+
+test('should fall back to the default policy for unknown names', async () => {
+  await quietly(() => cacheManager.set('unknown', 'd', { policy: 'next-decade' }));
+  const entry = await cacheManager.getWithMeta('unknown');
+  expect(entry.policy).toBe('default');
+  expect(entry.expires - entry.timestamp).toBe(cacheManager.CACHE_DURATION);
+  // Inherited object keys are not policies either
+  await quietly(() => cacheManager.set('inherited', 'd', { policy: 'toString' }));
+  const inherited = await cacheManager.getWithMeta('inherited');
+  expect(inherited.policy).toBe('default');
+  expect(inherited.expires - inherited.timestamp).toBe(cacheManager.CACHE_DURATION);
+});
+
+test('should keep an entry\'s policy when revalidating it', async () => {
+  cacheManager.definePolicy('weekly', 7 * 24 * HOUR);
+  await cacheManager.set('weekly', 'e', { policy: 'weekly' });
+  await age('weekly', HOUR);
+  await cacheManager.getWithMeta('weekly', { revalidate: async () => 'f' });
+  await cacheManager.pending.get('weekly');
+  expect((await cacheManager.getWithMeta('weekly')).policy).toBe('weekly');
+  expect((await cacheManager.getWithMeta('weekly')).data).toBe('f');
+});
+
+test('should report entry counts per policy and the backend in use', async () => {
+  await quietly(() => cacheManager.clearAll());
+  await cacheManager.set('a', 1, { policy: 'past-year' });
+  await cacheManager.set('b', 2, { policy: 'past-year' });
+  await cacheManager.set('c', 3, { policy: 'current-year' });
+  await cacheManager.set('d', 4, { ttl: 5000 });
+  await cacheManager.set('e', 5);
+  await age('c', HOUR);
+
+  const stats = await cacheManager.getStats();
+  const { policies } = stats;
+  expect(stats.storage).toBe('memory');
+  expect(stats.totalEntries).toBe(5);
+  expect(stats.expiredEntries).toBe(1);
+  expect(policies['past-year']).toEqual({ totalEntries: 2, expiredEntries: 0, validEntries: 2 });
+  expect(policies['current-year']).toEqual({ totalEntries: 1, expiredEntries: 1, validEntries: 0 });
+  expect(policies.custom.totalEntries).toBe(1);
+  expect(policies.default.totalEntries).toBe(1);
+  expect(policies.weekly.totalEntries).toBe(0);
+});
+
+test('should only clear its own entries past the stale window', async () => {
+  await quietly(() => cacheManager.clearAll());
+  await storage.set('other_app_key', { data: 1, expires: 0 });
+  await cacheManager.set('keep', 1);
+  await cacheManager.set('drop', 2);
+  await age('keep', HOUR);
+  await age('drop', cacheManager.STALE_DURATION + HOUR);
+
+  await quietly(() => cacheManager.clearExpired());
+  expect(await storage.keys()).toEqual(['other_app_key', cacheManager.getCacheKey('keep')]);
+});
+
+test('should store JSON entries in localStorage and drop corrupt ones', async () => {
+  const area = webStorage();
+  const manager = new CacheManager({ storage: createLocalStorage(area) });
+  await manager.set('year', { total: 8 });
+  expect(JSON.parse(area.items.get('github_activity_year')).data).toEqual({ total: 8 });
+  expect(await manager.get('year')).toEqual({ total: 8 });
+
+  area.setItem('github_activity_broken', '{not json');
+  expect(await manager.get('broken')).toBe(null);
+  expect(area.items.has('github_activity_broken')).toBe(false);
+});
+
+test('should fall back to the next backend only when one can\'t be opened', async () => {
+  const blocked = {
+    name: 'blocked',
+    open: async () => { throw new Error('SecurityError'); },
+    get: async () => { throw new Error('unreachable'); }
+  };
+  // Node has no global localStorage, so that backend can't be opened either
+  const chain = createFallbackStorage([blocked, createLocalStorage(), createMemoryStorage()]);
+  const manager = new CacheManager({ storage: chain });
+
+  expect(chain.name).toBe(null);
+  expect(await quietly(() => manager.set('year', { total: 9 }))).toBe(true);
+  expect(chain.name).toBe('memory');
+  expect(await manager.get('year')).toEqual({ total: 9 });
+});
+
+test('should keep the chosen backend when a single operation fails', async () => {
+  const memory = createMemoryStorage();
+  let failures = 1;
+  const flaky = {
+    ...memory,
+    name: 'flaky',
+    async get(key) {
+      if (failures-- > 0) throw new Error('transaction aborted');
+      return memory.get(key);
+    }
+  };
+  const chain = createFallbackStorage([flaky, createMemoryStorage()]);
+  const manager = new CacheManager({ storage: chain });
+
+  await manager.set('year', 1);
+  expect(await quietly(() => manager.get('year'))).toBe(null);
+  expect(chain.name).toBe('flaky');
+  expect(await manager.get('year')).toBe(1);
+});
+
+test('should treat a failing last backend as a cache miss', async () => {
+  const manager = new CacheManager({ storage: createFallbackStorage([createLocalStorage()]) });
+  expect(await quietly(() => manager.set('year', 1))).toBe(false);
+  expect(await quietly(() => manager.get('year'))).toBe(null);
+});
+
+test('should clear expired entries and retry once when storage is full', async () => {
+  const memory = createMemoryStorage();
+  let full = true;
+  const quota = {
+    ...memory,
+    async set(key, entry) {
+      if (full && key.endsWith('new')) {
+        const error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+      return memory.set(key, entry);
+    },
+    async delete(key) {
+      full = false;
+      return memory.delete(key);
+    }
+  };
+  const manager = new CacheManager({ storage: quota });
+  await manager.set('old', 1);
+  const entry = await memory.get(manager.getCacheKey('old'));
+  await memory.set(manager.getCacheKey('old'), { ...entry, expires: Date.now() - manager.STALE_DURATION - HOUR });
+
+  expect(await quietly(() => manager.set('new', 2))).toBe(true);
+  expect(await manager.get('new')).toBe(2);
+  expect(await memory.get(manager.getCacheKey('old'))).toBe(null);
+});
+
+test('should move localStorage entries into the current backend once', async () => {
+  const area = webStorage();
+  const legacy = createLocalStorage(area);
+  const now = Date.now();
+  area.setItem('github_activity_2024', JSON.stringify({ data: 'kept', timestamp: now, expires: now + HOUR, policy: 'past-year' }));
+  area.setItem('github_activity_2020', JSON.stringify({ data: 'dead', timestamp: 0, expires: 0, policy: 'default' }));
+  area.setItem('other_app', 'untouched');
+
+  const memory = createMemoryStorage();
+  const manager = new CacheManager({ storage: memory });
+  await quietly(() => manager.migrateLegacyEntries(legacy));
+
+  expect(await manager.get('2024')).toBe('kept');
+  expect(await memory.get(manager.getCacheKey('2020'))).toBe(null);
+  expect([...area.items.keys()]).toEqual(['other_app']);
+
+  // Nothing happens when localStorage is the backend in use
+  area.setItem('github_activity_2025', JSON.stringify({ data: 'own', timestamp: now, expires: now + HOUR }));
+  await new CacheManager({ storage: legacy }).migrateLegacyEntries(legacy);
+  expect(area.items.has('github_activity_2025')).toBe(true);
+});
+
+run();
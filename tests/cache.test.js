@@ -0,0 +1,134 @@
+/**
+ * Server Cache Tests
+ * Tests the cache adapters and ETag helpers behind /api/github-stats
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { computeETag, createFileCache, createKVCache, createMemoryCache, etagMatches, getCache, getStore } from '../api/_lib/cache.js';
+import { bumpStatsVersion, getStatsVersion } from '../api/_lib/versions.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Server Cache Tests');
+
+const mockEntry = { body: { contributions: { totalCommits: 150 } }, etag: '"abc"' };
+
+test('memory adapter should store and return entries', async () => {
+  const cache = createMemoryCache();
+  await cache.set('kevinnngoo:2024', mockEntry, 60);
+  const entry = await cache.get('kevinnngoo:2024');
+  expect(entry.body.contributions.totalCommits).toBe(150);
+});
+
+test('memory adapter should expire entries', async () => {
+  const cache = createMemoryCache();
+  await cache.set('kevinnngoo:2024', mockEntry, -1);
+  expect(await cache.get('kevinnngoo:2024')).toBe(null);
+});
+
+test('memory adapter should evict the oldest entry past maxEntries', async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.set('c', 3);
+  expect(await cache.get('a')).toBe(null);
+  expect(await cache.get('c')).toBe(3);
+});
+
+test('filesystem adapter should round-trip and delete entries', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'stats-cache-test-'));
+  try {
+    const cache = createFileCache({ dir });
+    await cache.set('kevinnngoo:2024', mockEntry, 60);
+    expect((await cache.get('kevinnngoo:2024')).etag).toBe('"abc"');
+    await cache.delete('kevinnngoo:2024');
+    expect(await cache.get('kevinnngoo:2024')).toBe(null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('should produce stable quoted ETags', () => {
+  const etag = computeETag(mockEntry.body);
+  expect(etag.startsWith('"')).toBe(true);
+  expect(computeETag({ contributions: { totalCommits: 150 } })).toBe(etag);
+});
+
+test('should match If-None-Match lists and wildcards', () => {
+  expect(etagMatches('"xyz", "abc"', '"abc"')).toBe(true);
+  expect(etagMatches('W/"abc"', '"abc"')).toBe(true);
+  expect(etagMatches('*', '"abc"')).toBe(true);
+  expect(etagMatches('"xyz"', '"abc"')).toBe(false);
+  expect(etagMatches(undefined, '"abc"')).toBe(false);
+});
+
+test('stats versions should start at 0 and increase on bump', async () => {
+  const cache = createMemoryCache();
+  expect(await getStatsVersion('kevinnngoo', cache)).toBe(0);
+  expect(await bumpStatsVersion('kevinnngoo', cache)).toBe(1);
+  expect(await bumpStatsVersion('KevinNNGoo', cache)).toBe(2);
+  expect(await getStatsVersion('kevinnngoo', cache)).toBe(2);
+  expect(await getStatsVersion('someone-else', cache)).toBe(0);
+});
+
+test('stats versions should count concurrent bumps', async () => {
+  const bumpTwice = async (cache) => {
+    const versions = await Promise.all([
+      bumpStatsVersion('kevinnngoo', cache),
+      bumpStatsVersion('kevinnngoo', cache)
+    ]);
+    expect(versions.sort()).toEqual([1, 2]);
+    expect(await getStatsVersion('kevinnngoo', cache)).toBe(2);
+  };
+
+  await bumpTwice(createMemoryCache());
+  const dir = await mkdtemp(join(tmpdir(), 'stats-cache-test-'));
+  try {
+    await bumpTwice(createFileCache({ dir }));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('stats versions should survive churn in the response cache', async () => {
+  const version = await bumpStatsVersion('churn-test');
+  for (let i = 0; i < 150; i++) {
+    await getCache().set(`stats:filler-${i}`, i);
+  }
+  expect(await getStatsVersion('churn-test')).toBe(version);
+  expect(getStore('versions')).toBe(getStore('versions'));
+  expect(getStore('versions') === getCache()).toBe(false);
+});
+
+test('KV adapter should send Redis commands over REST', async () => {
+  const data = new Map();
+  const calls = [];
+  const fetch = async (url, init) => {
+    const [command, key, value] = JSON.parse(init.body);
+    calls.push({ url, command, auth: init.headers.Authorization });
+    const result = command === 'GET' ? (data.get(key) ?? null)
+      : command === 'SET' ? (data.set(key, value), 'OK')
+      : command === 'DEL' ? Number(data.delete(key))
+      : command === 'INCR' ? (data.set(key, String(Number(data.get(key) ?? 0) + 1)), Number(data.get(key)))
+      : command === 'EXPIRE' ? 1
+      : 'PONG';
+    return { ok: true, json: async () => ({ result }) };
+  };
+  const cache = createKVCache({ url: 'https://kv.example', token: 'secret', prefix: 'versions:', fetch });
+
+  await cache.set('stats-version:kevinnngoo', 3, 60);
+  expect([...data.keys()]).toEqual(['versions:stats-version:kevinnngoo']);
+  expect(await cache.get('stats-version:kevinnngoo')).toBe(3);
+  await cache.delete('stats-version:kevinnngoo');
+  expect(await cache.get('stats-version:kevinnngoo')).toBe(null);
+  expect((await cache.stats()).writable).toBe(true);
+  expect(calls[0].auth).toBe('Bearer secret');
+
+  expect(await bumpStatsVersion('kevinnngoo', cache)).toBe(1);
+  expect(await bumpStatsVersion('kevinnngoo', cache)).toBe(2);
+  expect(await getStatsVersion('kevinnngoo', cache)).toBe(2);
+  expect(calls.some(call => call.command === 'INCR')).toBe(true);
+});
+
+run();
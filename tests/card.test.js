@@ -0,0 +1,95 @@
+/**
+ * Stats Card Rendering Tests
+ * Tests the SVG produced by /api/github-card
+ */
+
+import handler from '../api/github-card.js';
+import { escapeXml, renderCard } from '../api/_lib/card.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Stats Card Rendering Tests');
+
+process.env.GITHUB_MOCK = 'fixtures';
+
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    getHeader(name) { return this.headers[name]; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
+
+const request = (query) => ({ method: 'GET', headers: {}, query: { username: 'kevinnngoo', year: '2024', ...query } });
+
+const mockStats = {
+  username: 'kevinnngoo',
+  year: 2024,
+  contributions: {
+    totalCommits: 1500,
+    totalPRs: 25,
+    totalIssues: 12,
+    totalContributions: 1537,
+    calendar: [
+      { date: '2024-01-01', count: 5, weekday: 1 },
+      { date: '2024-01-02', count: 0, weekday: 2 },
+      { date: '2024-01-03', count: 12, weekday: 3 }
+    ]
+  },
+  topLanguages: [
+    { name: 'JavaScript', color: '#f1e05a', percentage: 70 },
+    { name: 'Python', color: '#3572A5', percentage: 30 }
+  ]
+};
+
+test('should render the headline and stat values', () => {
+  const svg = renderCard(mockStats);
+  expect(svg).toContain('1,537 contributions in 2024');
+  expect(svg).toContain('1,500');
+  expect(svg).toContain('Pull Requests');
+});
+
+test('should draw one heatmap cell per calendar day', () => {
+  const svg = renderCard(mockStats);
+  expect(svg.match(/<rect x="\d+" y="\d+" width="6"/g)).toHaveLength(3);
+});
+
+test('should leave out hidden sections', () => {
+  const svg = renderCard(mockStats, { hide: ['heatmap', 'languages'] });
+  expect(svg.includes('JavaScript')).toBe(false);
+  expect(svg.includes('width="6"')).toBe(false);
+});
+
+test('should scale the outer size but keep the viewBox', () => {
+  const svg = renderCard(mockStats, { size: 'large' });
+  expect(svg).toContain('width="619"');
+  expect(svg).toContain('viewBox="0 0 495');
+});
+
+test('should escape user-controlled text', () => {
+  expect(escapeXml('<script>"&\'')).toBe('&lt;script&gt;&quot;&amp;&#39;');
+  const svg = renderCard({ ...mockStats, username: '<b>' });
+  expect(svg.includes('<b>')).toBe(false);
+});
+
+test('should reject inherited property names as theme or size', async () => {
+  for (const query of [{ theme: 'constructor' }, { size: 'toString' }]) {
+    const res = response();
+    await handler(request(query), res);
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['X-Error-Code']).toBe('INVALID_PARAMETER');
+  }
+});
+
+test('should report the GraphQL quota it used', async () => {
+  const res = response();
+  await handler(request({ theme: 'light' }), res);
+  expect(res.statusCode).toBe(200);
+  expect(res.headers['X-RateLimit-Resource']).toBe('graphql');
+  expect(res.headers['X-RateLimit-Remaining'] !== undefined).toBe(true);
+});
+
+run();
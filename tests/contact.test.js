@@ -0,0 +1,222 @@
+/**
+ * Contact Form Tests
+ * Tests validation, spam checks, rate limiting, body parsing and the mail transports
+ */
+
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+
+import handler from '../api/contact.js';
+import { readBody } from '../api/_lib/body.js';
+import { createMemoryCache, getCache } from '../api/_lib/cache.js';
+import { MIN_FILL_MS, createContactMail, validateContact } from '../api/_lib/contact.js';
+import { buildMessage, createOutboxTransport, createSmtpTransport } from '../api/_lib/mail.js';
+import { consumeRateLimit } from '../api/_lib/rate-limit.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Contact Form Tests');
+
+const valid = (extra = {}) => ({
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  message: 'Hello there, I liked your projects.',
+  startedAt: Date.now() - 10000,
+  ...extra
+});
+
+function codeOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.details?.parameter || error.code;
+  }
+  return null;
+}
+
+async function errorOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+function request(body, headers = {}) {
+  const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+  req.method = 'POST';
+  req.headers = { 'content-type': 'application/json', 'x-forwarded-for': '203.0.113.7', ...headers };
+  req.query = {};
+  return req;
+}
+
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
+
+test('should accept a complete submission', () => {
+  const contact = validateContact(valid());
+  expect(contact.name).toBe('Ada Lovelace');
+  expect(contact.spam).toBe(null);
+});
+
+test('should name the field that failed validation', () => {
+  expect(codeOf(() => validateContact(valid({ name: '  ' })))).toBe('name');
+  expect(codeOf(() => validateContact(valid({ name: 'Ada\r\nBcc: x@example.com' })))).toBe('name');
+  expect(codeOf(() => validateContact(valid({ email: 'not-an-email' })))).toBe('email');
+  expect(codeOf(() => validateContact(valid({ message: 'Too short' })))).toBe('message');
+  expect(codeOf(() => validateContact(valid({ message: 'x'.repeat(5001) })))).toBe('message');
+});
+
+test('should reject bodies that are not objects', () => {
+  expect(codeOf(() => validateContact(null))).toBe('body');
+  expect(codeOf(() => validateContact([valid()]))).toBe('body');
+  expect(codeOf(() => validateContact('name=Ada'))).toBe('body');
+});
+
+test('should flag the honeypot and submissions that were filled too fast', () => {
+  expect(validateContact(valid({ website: 'http://spam.example' })).spam).toBe('honeypot');
+  expect(validateContact(valid({ startedAt: Date.now() - MIN_FILL_MS / 2 })).spam).toBe('fill-time');
+  expect(validateContact(valid({ startedAt: undefined })).spam).toBe('fill-time');
+});
+
+test('should build a mail that replies to the visitor', () => {
+  const mail = createContactMail(validateContact(valid()), { to: 'me@example.com', from: 'site@example.com', requestId: 'req-1' });
+  const message = buildMessage(mail);
+  expect(message.includes('Reply-To: Ada Lovelace <ada@example.com>')).toBe(true);
+  expect(message.includes('Subject: Portfolio Contact: Message from Ada Lovelace')).toBe(true);
+  expect(Buffer.from(message.split('\r\n\r\n')[1].replace(/\r\n/g, ''), 'base64').toString().includes('req-1')).toBe(true);
+});
+
+test('should encode non-ASCII headers', () => {
+  const message = buildMessage({ from: 'a@example.com', to: 'b@example.com', subject: 'Grüße', text: 'Hi' });
+  expect(message.includes('Subject: =?UTF-8?B?')).toBe(true);
+});
+
+test('should limit requests per client within a window', async () => {
+  const cache = createMemoryCache();
+  const options = { limit: 2, window: 60, cache };
+  expect((await consumeRateLimit('test', '198.51.100.1', options)).remaining).toBe(1);
+  await consumeRateLimit('test', '198.51.100.1', options);
+  const error = await errorOf(consumeRateLimit('test', '198.51.100.1', options));
+  expect(error.code).toBe('RATE_LIMITED');
+  expect(error.details.retryAfter).toBeGreaterThan(0);
+  expect((await consumeRateLimit('test', '198.51.100.2', options)).remaining).toBe(1);
+});
+
+test('should keep rate limit counts when the response cache fills up', async () => {
+  const options = { limit: 1, window: 60 };
+  await consumeRateLimit('churn', '198.51.100.3', options);
+  for (let i = 0; i < 150; i++) {
+    await getCache().set(`stats:filler-${i}`, i);
+  }
+  expect((await errorOf(consumeRateLimit('churn', '198.51.100.3', options))).code).toBe('RATE_LIMITED');
+});
+
+test('should read bodies from req.body or the request stream', async () => {
+  expect((await readBody({ headers: {}, body: { name: 'parsed' } })).name).toBe('parsed');
+  const stream = Readable.from([Buffer.from('name=Ada&email=a%40example.com')]);
+  stream.headers = { 'content-type': 'application/x-www-form-urlencoded' };
+  expect((await readBody(stream)).email).toBe('a@example.com');
+  const broken = Readable.from([Buffer.from('{nope')]);
+  broken.headers = { 'content-type': 'application/json' };
+  expect((await errorOf(readBody(broken))).code).toBe('INVALID_PARAMETER');
+});
+
+test('should write messages to the outbox', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'outbox-test-'));
+  try {
+    const { id } = await createOutboxTransport({ dir }).send({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Hello' });
+    const files = readdirSync(dir);
+    expect(files).toHaveLength(1);
+    expect(readFileSync(join(dir, files[0]), 'utf8').includes(`Message-ID: <${id}@example.com>`)).toBe(true);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('should deliver through an SMTP server', async () => {
+  const commands = [];
+  const server = createServer(socket => {
+    let data = false;
+    let buffer = '';
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data) {
+          if (line === '.') {
+            data = false;
+            socket.write('250 queued\r\n');
+          }
+          continue;
+        }
+        commands.push(line.split(' ')[0]);
+        if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') { data = true; socket.write('354 go ahead\r\n'); }
+        else if (line === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const transport = createSmtpTransport({ host: '127.0.0.1', port: server.address().port, user: 'u', pass: 'p', timeout: 2000 });
+    const { id } = await transport.send({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Hello' });
+    expect(typeof id).toBe('string');
+    expect(commands).toEqual(['EHLO', 'AUTH', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+  } finally {
+    server.close();
+  }
+});
+
+test('should accept, drop spam and rate limit through the handler', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'outbox-handler-'));
+  process.env.CONTACT_TRANSPORT = 'outbox';
+  process.env.CONTACT_OUTBOX_DIR = dir;
+  process.env.CONTACT_RATE_LIMIT = '2';
+  try {
+    const sent = response();
+    await handler(request(valid()), sent);
+    expect(sent.statusCode).toBe(200);
+    expect(sent.body.status).toBe('sent');
+
+    const spam = response();
+    await handler(request(valid({ website: 'x' })), spam);
+    expect(spam.statusCode).toBe(200);
+    expect(readdirSync(dir)).toHaveLength(1);
+
+    const limited = response();
+    await handler(request(valid()), limited);
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['Retry-After'] !== undefined).toBe(true);
+
+    const invalid = response();
+    await handler(request(valid({ email: 'nope' }), { 'x-forwarded-for': '203.0.113.8' }), invalid);
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.parameter).toBe('email');
+
+    const empty = response();
+    await handler(request(null, { 'x-forwarded-for': '203.0.113.9' }), empty);
+    expect(empty.statusCode).toBe(400);
+    expect(empty.body.code).toBe('INVALID_PARAMETER');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+run();
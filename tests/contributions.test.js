@@ -0,0 +1,73 @@
+/**
+ * Contribution Normalization Tests
+ * Tests how contributionsCollection results become the /api/github-stats schema
+ */
+
+import { buildContributionsQuery, normalizeContributions, normalizeRepositoryContributions } from '../api/_lib/contributions.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Contribution Normalization Tests');
+
+const repo = (nameWithOwner, totalCount, isPrivate = false) => ({
+  repository: { nameWithOwner, url: `https://github.com/${nameWithOwner}`, isPrivate },
+  contributions: { totalCount }
+});
+
+const mockCollection = {
+  totalCommitContributions: 42,
+  totalPullRequestContributions: 5,
+  totalIssueContributions: 2,
+  totalPullRequestReviewContributions: 7,
+  restrictedContributionsCount: 3,
+  totalRepositoriesWithContributedCommits: 3,
+  commitContributionsByRepository: [repo('kevinnngoo/site', 12), repo('kevinnngoo/api', 30), repo('kevinnngoo/secret', 4, true)],
+  pullRequestContributionsByRepository: [repo('octo/lib', 5)],
+  contributionCalendar: {
+    totalContributions: 59,
+    weeks: [{ contributionDays: [{ date: '2024-01-01', contributionCount: 3, weekday: 1 }] }]
+  }
+};
+
+test('should rank repositories by contribution count', () => {
+  const repos = normalizeRepositoryContributions(mockCollection.commitContributionsByRepository);
+  expect(repos.map(r => r.count)).toEqual([30, 12, 4]);
+  expect(repos[0]).toEqual({ name: 'kevinnngoo/api', url: 'https://github.com/kevinnngoo/api', isPrivate: false, count: 30 });
+});
+
+test('should hide the names of private repositories', () => {
+  const [, , secret] = normalizeRepositoryContributions(mockCollection.commitContributionsByRepository);
+  expect(secret.isPrivate).toBe(true);
+  expect(secret.url).toBe(null);
+  expect(secret.name).toBe('Private repository');
+});
+
+test('should include per-repository breakdowns in normalized contributions', () => {
+  const contributions = normalizeContributions(mockCollection);
+  expect(contributions.totalCommits).toBe(42);
+  expect(contributions.commitContributionsByRepository).toHaveLength(3);
+  expect(contributions.pullRequestContributionsByRepository[0].name).toBe('octo/lib');
+});
+
+test('should include reviews and restricted contributions in the breakdown', () => {
+  const contributions = normalizeContributions(mockCollection);
+  expect(contributions.totalReviews).toBe(7);
+  expect(contributions.restrictedContributions).toBe(3);
+  expect(contributions.totalRepositoriesWithCommits).toBe(3);
+  const { totalCommits, totalPRs, totalIssues, totalReviews, restrictedContributions } = contributions;
+  expect(totalCommits + totalPRs + totalIssues + totalReviews + restrictedContributions).toBe(contributions.totalContributions);
+});
+
+test('should tolerate missing repository lists', () => {
+  expect(normalizeRepositoryContributions(undefined)).toEqual([]);
+});
+
+test('should request repository breakdowns for every aliased range', () => {
+  const { query } = buildContributionsQuery([
+    { alias: 'y2023', from: new Date('2023-01-01'), to: new Date('2023-12-31') },
+    { alias: 'y2024', from: new Date('2024-01-01'), to: new Date('2024-12-31') }
+  ]);
+  expect(query.split('commitContributionsByRepository').length - 1).toBe(2);
+  expect(query.split('pullRequestContributionsByRepository').length - 1).toBe(2);
+});
+
+run();
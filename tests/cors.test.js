@@ -0,0 +1,92 @@
+/**
+ * CORS Tests
+ * Tests the origin allowlist and preflight handling shared by api/ handlers
+ */
+
+import { applyCors, getAllowedOrigins, isOriginAllowed } from '../api/_lib/cors.js';
+import statsHandler from '../api/github-stats.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('CORS Tests');
+
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    ended: false,
+    getHeader(name) { return this.headers[name]; },
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.ended = true; return this; },
+    end() { this.ended = true; return this; }
+  };
+}
+
+const request = (method, headers = {}) => ({ method, headers: { host: 'kevinngo.dev', ...headers }, query: {} });
+
+async function withOrigins(value, fn) {
+  const previous = process.env.CORS_ALLOWED_ORIGINS;
+  process.env.CORS_ALLOWED_ORIGINS = value;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) delete process.env.CORS_ALLOWED_ORIGINS;
+    else process.env.CORS_ALLOWED_ORIGINS = previous;
+  }
+}
+
+test('should parse the allowlist', () => withOrigins(' https://a.example/ , https://*.vercel.app,,', () => {
+  expect(getAllowedOrigins()).toEqual(['https://a.example', 'https://*.vercel.app']);
+}));
+
+test('should match exact origins, subdomain wildcards and the site itself', () => withOrigins('https://a.example,https://*.vercel.app', () => {
+  const req = request('GET');
+  expect(isOriginAllowed('https://a.example', req)).toBe(true);
+  expect(isOriginAllowed('https://preview-1.vercel.app', req)).toBe(true);
+  expect(isOriginAllowed('https://vercel.app', req)).toBe(false);
+  expect(isOriginAllowed('http://preview-1.vercel.app', req)).toBe(false);
+  expect(isOriginAllowed('https://evil.example', req)).toBe(false);
+  expect(isOriginAllowed('https://kevinngo.dev', req)).toBe(true);
+  expect(isOriginAllowed('null', req)).toBe(false);
+}));
+
+test('should reflect allowed origins and always vary on Origin', () => withOrigins('https://a.example', () => {
+  const res = response();
+  res.setHeader('Vary', 'Accept-Encoding');
+  expect(applyCors(request('GET', { origin: 'https://a.example' }), res, { methods: ['GET'], exposeHeaders: ['ETag'] })).toBe(false);
+  expect(res.headers['Access-Control-Allow-Origin']).toBe('https://a.example');
+  expect(res.headers['Access-Control-Expose-Headers']).toBe('ETag, X-Request-Id');
+  expect(res.headers.Vary).toBe('Accept-Encoding, Origin');
+
+  const plain = response();
+  expect(applyCors(request('GET'), plain, { methods: ['GET'] })).toBe(false);
+  expect(plain.headers['Access-Control-Allow-Origin']).toBe(undefined);
+  expect(plain.headers.Vary).toBe('Origin');
+}));
+
+test('should answer preflight requests with the route methods only', () => withOrigins('https://a.example', () => {
+  const res = response();
+  const handled = applyCors(request('OPTIONS', { origin: 'https://a.example', 'access-control-request-method': 'POST' }), res, {
+    methods: ['POST'],
+    headers: ['Content-Type']
+  });
+  expect(handled).toBe(true);
+  expect(res.statusCode).toBe(204);
+  expect(res.headers['Access-Control-Allow-Methods']).toBe('POST, OPTIONS');
+  expect(res.headers['Access-Control-Allow-Headers']).toBe('Content-Type');
+}));
+
+test('should reject other origins before the handler does any work', () => withOrigins('https://a.example', async () => {
+  const res = response();
+  await statsHandler(request('GET', { origin: 'https://evil.example' }), res);
+  expect(res.statusCode).toBe(403);
+  expect(res.body.code).toBe('ORIGIN_NOT_ALLOWED');
+  expect(res.headers['Access-Control-Allow-Origin']).toBe(undefined);
+
+  const preflight = response();
+  await statsHandler(request('OPTIONS', { origin: 'https://evil.example' }), preflight);
+  expect(preflight.statusCode).toBe(403);
+  expect(preflight.headers['Access-Control-Allow-Methods']).toBe(undefined);
+}));
+
+run();
@@ -0,0 +1,127 @@
+/**
+ * Recent Events Tests
+ * Tests event normalization, filtering and pagination for /api/github-events
+ */
+
+import { createRateLimitTracker } from '../api/_lib/github.js';
+import { fetchRecentEvents, normalizeEvent, normalizeStars, paginateEvents } from '../api/_lib/events.js';
+import { parseEventTypes, parseInteger, parseTimestamp } from '../api/_lib/validate.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Recent Events Tests');
+
+process.env.GITHUB_MOCK = 'fixtures';
+
+const event = (type, payload, repo = 'octo/app') => ({
+  id: 1,
+  type,
+  repo: { name: repo },
+  created_at: '2026-10-01T12:00:00Z',
+  payload
+});
+
+function codeOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+test('should normalize pushes with commit counts and a compare link', () => {
+  const push = normalizeEvent(event('PushEvent', { ref: 'refs/heads/main', size: 3, before: 'a'.repeat(40), head: 'b'.repeat(40) }));
+  expect(push.type).toBe('push');
+  expect(push.commits).toBe(3);
+  expect(push.branch).toBe('main');
+  expect(push.url).toBe(`https://github.com/octo/app/compare/${'a'.repeat(12)}...${'b'.repeat(12)}`);
+});
+
+test('should keep opened and merged pull requests only', () => {
+  const pr = (action, merged) => normalizeEvent(event('PullRequestEvent', {
+    action,
+    number: 7,
+    pull_request: { title: 'Fix it', merged, html_url: 'https://github.com/octo/app/pull/7' }
+  }));
+  expect(pr('opened', false).action).toBe('opened');
+  expect(pr('closed', true).action).toBe('merged');
+  expect(pr('closed', false)).toBe(null);
+  expect(pr('reopened', false)).toBe(null);
+});
+
+test('should normalize releases and new repositories and skip other events', () => {
+  const release = normalizeEvent(event('ReleaseEvent', { action: 'published', release: { tag_name: 'v1.0.0', name: '', html_url: 'https://github.com/octo/app/releases/tag/v1.0.0' } }));
+  expect(release.name).toBe('v1.0.0');
+  expect(normalizeEvent(event('CreateEvent', { ref_type: 'repository', description: 'New' })).type).toBe('repository');
+  expect(normalizeEvent(event('CreateEvent', { ref_type: 'branch' }))).toBe(null);
+  expect(normalizeEvent(event('WatchEvent', { action: 'started' }))).toBe(null);
+});
+
+test('should turn stargazers into star events', () => {
+  const stars = normalizeStars([{
+    nameWithOwner: 'octo/app',
+    url: 'https://github.com/octo/app',
+    stargazers: { edges: [{ starredAt: '2026-09-01T00:00:00Z', node: { login: 'fan', url: 'https://github.com/fan' } }] }
+  }]);
+  expect(stars).toHaveLength(1);
+  expect(stars[0].type).toBe('star');
+  expect(stars[0].actor.login).toBe('fan');
+});
+
+test('should filter by type and paginate', () => {
+  const events = ['push', 'star', 'push', 'release', 'push'].map((type, i) => ({ id: String(i), type }));
+  const first = paginateEvents(events, { types: ['push'], page: 1, perPage: 2 });
+  expect(first.total).toBe(3);
+  expect(first.events).toHaveLength(2);
+  expect(first.hasNextPage).toBe(true);
+  const second = paginateEvents(events, { types: ['push'], page: 2, perPage: 2 });
+  expect(second.events[0].id).toBe('4');
+  expect(second.hasNextPage).toBe(false);
+});
+
+test('should page from a timestamp so new events do not shift older pages', () => {
+  const at = (hour) => `2026-10-1${hour}T12:00:00Z`;
+  const events = [['5', 5], ['4', 4], ['3', 3], ['2', 3], ['1', 1]].map(([id, hour]) => ({ id, type: 'push', createdAt: at(hour) }));
+  const first = paginateEvents(events, { perPage: 3 });
+  expect(first.events.map(e => e.id)).toEqual(['5', '4', '3']);
+
+  // A new event arrives before the next request
+  const newer = [{ id: '6', type: 'push', createdAt: at(6) }, ...events];
+  const next = paginateEvents(newer, { before: first.events[2].createdAt, perPage: 3 });
+  // Events sharing the cursor's timestamp are repeated for the client to drop by id
+  expect(next.events.map(e => e.id)).toEqual(['3', '2', '1']);
+  expect(next.hasNextPage).toBe(false);
+});
+
+test('should validate the type filter and paging parameters', () => {
+  expect(parseEventTypes(undefined)).toBe(null);
+  expect(parseEventTypes('push, star,push')).toEqual(['push', 'star']);
+  expect(codeOf(() => parseEventTypes('push,fork'))).toBe('INVALID_PARAMETER');
+  expect(parseInteger('3', 'page', { min: 1, max: 10 })).toBe(3);
+  expect(codeOf(() => parseInteger('0', 'page', { min: 1, max: 10 }))).toBe('INVALID_PARAMETER');
+  expect(codeOf(() => parseInteger('2.5', 'page', { min: 1, max: 10 }))).toBe('INVALID_PARAMETER');
+  expect(parseTimestamp('2026-10-17T15:55:00+02:00', 'before')).toBe('2026-10-17T13:55:00.000Z');
+  expect(codeOf(() => parseTimestamp('yesterday', 'before'))).toBe('INVALID_PARAMETER');
+  expect(codeOf(() => parseTimestamp('2026-13-01T00:00:00Z', 'before'))).toBe('INVALID_PARAMETER');
+});
+
+test('should merge recorded events and stars newest first', async () => {
+  const events = await fetchRecentEvents('kevinnngoo');
+  expect(events.length).toBeGreaterThan(20);
+  expect(events.some(e => e.type === 'star')).toBe(true);
+  const sorted = events.every((e, i) => i === 0 || events[i - 1].createdAt >= e.createdAt);
+  expect(sorted).toBe(true);
+});
+
+test('should track the REST and GraphQL quotas separately', async () => {
+  const rateLimits = createRateLimitTracker('core');
+  await fetchRecentEvents('kevinnngoo', { github: { onRateLimit: rateLimits.record } });
+  const core = rateLimits.summary();
+  const graphql = rateLimits.summary('graphql');
+  expect(core.resource).toBe('core');
+  expect(core.cost).toBe(1);
+  expect(graphql.resource).toBe('graphql');
+  expect(graphql.cost).toBe(1);
+});
+
+run();
@@ -0,0 +1,91 @@
+/**
+ * GitHub Fixture Mode Tests
+ * Tests the recorded GraphQL transport used with GITHUB_MOCK=fixtures
+ */
+
+import { githubGraphQL } from '../api/_lib/github.js';
+import { collectionForRange } from '../api/_lib/github-fixtures.js';
+import { buildContributionsQuery, normalizeContributions, yearRange } from '../api/_lib/contributions.js';
+import { fetchPinnedRepositories } from '../api/_lib/pinned.js';
+import { fetchTopLanguages } from '../api/_lib/languages.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('GitHub Fixture Mode Tests');
+
+process.env.GITHUB_MOCK = 'fixtures';
+
+async function contributions(username, years) {
+  const ranges = years.map(y => ({ alias: `y${y}`, ...yearRange(y) }));
+  const { query, variables } = buildContributionsQuery(ranges);
+  const data = await githubGraphQL(query, { username, ...variables });
+  return ranges.map(({ alias }) => normalizeContributions(data.user[alias]));
+}
+
+async function errorOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+test('should answer multi-year queries from the recordings', async () => {
+  const [y2024, y2025] = await contributions('kevinnngoo', [2024, 2025]);
+  expect(y2024.calendar).toHaveLength(366);
+  expect(y2025.calendar).toHaveLength(365);
+  expect(y2024.totalContributions).toBeGreaterThan(0);
+  expect(y2024.commitContributionsByRepository.length).toBeGreaterThan(0);
+});
+
+test('should serve several users, with empty years outside the recordings', async () => {
+  const [octocat2024, octocat2025] = await contributions('octocat', [2024, 2025]);
+  expect(octocat2024.totalContributions).toBe(0);
+  expect(octocat2024.calendar).toHaveLength(366);
+  expect(octocat2025.totalContributions).toBeGreaterThan(0);
+});
+
+test('should assemble ranges that span recorded years', async () => {
+  const { readFileSync } = await import('node:fs');
+  const { contributionsCollection } = JSON.parse(readFileSync(new URL('../api/_fixtures/github/kevinnngoo.json', import.meta.url), 'utf8'));
+  const collection = collectionForRange(contributionsCollection, '2024-07-01', '2025-06-30');
+  const days = collection.contributionCalendar.weeks.flatMap(week => week.contributionDays);
+  expect(days).toHaveLength(365);
+  expect(days[0].date).toBe('2024-07-01');
+  expect(collection.contributionCalendar.totalContributions).toBe(days.reduce((sum, d) => sum + d.contributionCount, 0));
+});
+
+test('should serve languages and pinned repositories', async () => {
+  const languages = await fetchTopLanguages('kevinnngoo');
+  expect(languages[0].name).toBe('Python');
+  const pinned = await fetchPinnedRepositories('kevinnngoo');
+  expect(pinned[0].name).toBe('microblog');
+});
+
+test('should report unknown users as USER_NOT_FOUND', async () => {
+  const error = await errorOf(contributions('nobody-recorded', [2025]));
+  expect(error.code).toBe('USER_NOT_FOUND');
+});
+
+test('should simulate an exhausted rate limit', async () => {
+  const error = await errorOf(contributions('fixture-rate-limited', [2025]));
+  expect(error.code).toBe('RATE_LIMITED');
+  expect(error.retryAfter).toBeGreaterThan(0);
+});
+
+test('should simulate upstream errors', async () => {
+  // A short deadline leaves no room for retries
+  const ranges = [{ alias: 'y2025', ...yearRange(2025) }];
+  const { query, variables } = buildContributionsQuery(ranges);
+  const error = await errorOf(githubGraphQL(query, { username: 'fixture-server-error', ...variables }, { deadline: Date.now() + 100 }));
+  expect(error.code).toBe('UPSTREAM_ERROR');
+});
+
+test('should simulate timeouts', async () => {
+  const ranges = [{ alias: 'y2025', ...yearRange(2025) }];
+  const { query, variables } = buildContributionsQuery(ranges);
+  const error = await errorOf(githubGraphQL(query, { username: 'fixture-timeout', ...variables }, { deadline: Date.now() + 100 }));
+  expect(error.code).toBe('UPSTREAM_TIMEOUT');
+});
+
+run();
@@ -0,0 +1,87 @@
+/**
+ * Contribution Insights Tests
+ * Tests the streak and activity statistics returned as `insights` by /api/github-stats
+ */
+
+import { computeInsights } from '../api/_lib/insights.js';
+import { dateInZone } from '../api/_lib/timezone.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Contribution Insights Tests');
+
+// Two calendar weeks starting Sunday 2024-01-07
+const mockCalendar = [
+  { date: '2024-01-07', count: 0, weekday: 0 },
+  { date: '2024-01-08', count: 2, weekday: 1 },
+  { date: '2024-01-09', count: 4, weekday: 2 },
+  { date: '2024-01-10', count: 1, weekday: 3 },
+  { date: '2024-01-11', count: 0, weekday: 4 },
+  { date: '2024-01-12', count: 3, weekday: 5 },
+  { date: '2024-01-13', count: 0, weekday: 6 },
+  { date: '2024-01-14', count: 5, weekday: 0 },
+  { date: '2024-01-15', count: 9, weekday: 1 },
+  { date: '2024-01-16', count: 0, weekday: 2 }
+];
+
+test('should find the longest streak with start and end dates', () => {
+  const { longestStreak } = computeInsights(mockCalendar, { today: '2024-01-16' });
+  expect(longestStreak.length).toBe(3);
+  expect(longestStreak.start).toBe('2024-01-08');
+  expect(longestStreak.end).toBe('2024-01-10');
+});
+
+test('should keep the current streak alive through a quiet today', () => {
+  const { currentStreak } = computeInsights(mockCalendar, { today: '2024-01-16' });
+  expect(currentStreak).toBe(2);
+});
+
+test('should break the current streak after a quiet day that has ended', () => {
+  const { currentStreak } = computeInsights(
+    [...mockCalendar, { date: '2024-01-17', count: 0, weekday: 3 }],
+    { today: '2024-01-17' }
+  );
+  expect(currentStreak).toBe(0);
+});
+
+test('should ignore days after today', () => {
+  const { currentStreak, busiestDay } = computeInsights(mockCalendar, { today: '2024-01-14' });
+  expect(currentStreak).toBe(1);
+  expect(busiestDay.count).toBe(5);
+});
+
+test('should find the busiest day and week', () => {
+  const { busiestDay, busiestWeek } = computeInsights(mockCalendar, { today: '2024-01-16' });
+  expect(busiestDay.date).toBe('2024-01-15');
+  expect(busiestWeek.start).toBe('2024-01-14');
+  expect(busiestWeek.end).toBe('2024-01-16');
+  expect(busiestWeek.count).toBe(14);
+});
+
+test('should compute averages and active day percentage', () => {
+  const insights = computeInsights(mockCalendar, { today: '2024-01-16' });
+  expect(insights.averagePerActiveDay).toBeCloseTo(4, 2);
+  expect(insights.activeDaysPercentage).toBeCloseTo(60, 1);
+  expect(insights.weekdayAverages).toHaveLength(7);
+  expect(insights.weekdayAverages[1]).toBeCloseTo(5.5, 2);
+});
+
+test('should not report a current streak for a calendar without today', () => {
+  const insights = computeInsights(mockCalendar, { today: '2025-03-01' });
+  expect(insights.currentStreak).toBe(null);
+  expect(insights.longestStreak.length).toBe(3);
+});
+
+test('should take today from the requested time zone', () => {
+  const timeZone = 'Pacific/Kiritimati';
+  const today = dateInZone(new Date(), timeZone);
+  const { currentStreak } = computeInsights([{ date: today, count: 1, weekday: 0 }], { timeZone });
+  expect(currentStreak).toBe(1);
+});
+
+test('should handle an empty calendar', () => {
+  const insights = computeInsights([]);
+  expect(insights.currentStreak).toBe(null);
+  expect(insights.busiestDay).toBe(null);
+});
+
+run();
@@ -0,0 +1,63 @@
+/**
+ * Top Languages Aggregation Tests
+ * Tests the byte-count aggregation behind `topLanguages` in /api/github-stats
+ */
+
+import { aggregateLanguages, normalizeLanguages } from '../api/_lib/languages.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Top Languages Aggregation Tests');
+
+// Mock repository nodes as returned by the GraphQL `repositories` connection
+const mockRepositories = [
+  {
+    languages: {
+      edges: [
+        { size: 6000, node: { name: 'JavaScript', color: '#f1e05a' } },
+        { size: 2000, node: { name: 'CSS', color: '#563d7c' } }
+      ]
+    }
+  },
+  {
+    languages: {
+      edges: [
+        { size: 1500, node: { name: 'Python', color: '#3572A5' } },
+        { size: 500, node: { name: 'JavaScript', color: '#f1e05a' } }
+      ]
+    }
+  },
+  { languages: { edges: [] } }
+];
+
+test('should sum byte counts per language across repositories', () => {
+  const totals = aggregateLanguages(mockRepositories);
+  expect(totals.get('JavaScript').size).toBe(6500);
+  expect(totals.get('CSS').size).toBe(2000);
+  expect(totals.size).toBe(3);
+});
+
+test('should keep the GitHub language color', () => {
+  const totals = aggregateLanguages(mockRepositories);
+  expect(totals.get('Python').color).toBe('#3572A5');
+});
+
+test('should sort by size and compute percentages', () => {
+  const langs = normalizeLanguages(aggregateLanguages(mockRepositories));
+  expect(langs[0].name).toBe('JavaScript');
+  expect(langs[0].percentage).toBeCloseTo(65, 1);
+  expect(langs[2].name).toBe('Python');
+  expect(langs[2].percentage).toBeCloseTo(15, 1);
+});
+
+test('should group languages beyond the limit as Other', () => {
+  const langs = normalizeLanguages(aggregateLanguages(mockRepositories), 1);
+  expect(langs).toHaveLength(2);
+  expect(langs[1].name).toBe('Other');
+  expect(langs[1].size).toBe(3500);
+});
+
+test('should return an empty array when there is no language data', () => {
+  expect(normalizeLanguages(aggregateLanguages([]))).toHaveLength(0);
+});
+
+run();
@@ -0,0 +1,108 @@
+/**
+ * Logger Tests
+ * Tests JSON log lines, request IDs and the per-request summary line
+ */
+
+import { EventEmitter } from 'node:events';
+
+import { ApiError, sendError } from '../api/_lib/errors.js';
+import { createRateLimitTracker } from '../api/_lib/github.js';
+import { createRequestLogger, writeLog } from '../api/_lib/logger.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Logger Tests');
+
+/**
+ * Collect the JSON lines written while fn runs
+ */
+async function capture(fn) {
+  const lines = [];
+  const originals = { log: console.log, warn: console.warn, error: console.error };
+  const collect = line => lines.push(JSON.parse(line));
+  console.log = console.warn = console.error = collect;
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, originals);
+  }
+  return lines;
+}
+
+function response() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.emit('finish'); return res; };
+  return res;
+}
+
+const request = (headers = {}) => ({ method: 'GET', headers, query: {} });
+
+test('should write one JSON object per line', async () => {
+  const lines = await capture(() => writeLog('warn', 'Something odd', { count: 2, skipped: undefined, error: new Error('boom') }));
+  expect(lines).toHaveLength(1);
+  expect(lines[0].level).toBe('warn');
+  expect(lines[0].msg).toBe('Something odd');
+  expect(lines[0].count).toBe(2);
+  expect('skipped' in lines[0]).toBe(false);
+  expect(lines[0].error.message).toBe('boom');
+});
+
+test('should respect LOG_LEVEL', async () => {
+  process.env.LOG_LEVEL = 'warn';
+  try {
+    const lines = await capture(() => {
+      writeLog('info', 'hidden');
+      writeLog('error', 'shown');
+    });
+    expect(lines.map(line => line.msg)).toEqual(['shown']);
+  } finally {
+    delete process.env.LOG_LEVEL;
+  }
+});
+
+test('should echo the request ID and summarize the request once', async () => {
+  const res = response();
+  const lines = await capture(async () => {
+    const log = createRequestLogger(request({ 'x-vercel-id': 'iad1::abc' }), res, 'github-stats');
+    const rateLimits = log.track(createRateLimitTracker());
+    log.set({ username: 'octocat', cache: 'miss' });
+    await log.upstream(async () => {
+      rateLimits.record({ limit: 5000, remaining: 4990, resetAt: null, cost: 3 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+    });
+    res.json({});
+    res.emit('close');
+  });
+
+  expect(res.headers['X-Request-Id']).toBe('iad1::abc');
+  expect(lines).toHaveLength(1);
+  const [line] = lines;
+  expect(line.msg).toBe('request');
+  expect(line.requestId).toBe('iad1::abc');
+  expect(line.route).toBe('github-stats');
+  expect(line.username).toBe('octocat');
+  expect(line.cache).toBe('miss');
+  expect(line.status).toBe(200);
+  expect(line.githubCost).toBe(3);
+  expect(line.upstreamMs >= 5).toBe(true);
+});
+
+test('should put the request ID in error bodies and the error code in the log', async () => {
+  const res = response();
+  const lines = await capture(() => {
+    const log = createRequestLogger(request(), res, 'github-stats');
+    sendError(res, new ApiError('UPSTREAM_ERROR', 'GitHub is down'), log);
+  });
+
+  expect(res.body.requestId).toBe(res.headers['X-Request-Id']);
+  const [error, summary] = lines;
+  expect(error.level).toBe('error');
+  expect(error.requestId).toBe(res.body.requestId);
+  expect(summary.status).toBe(502);
+  expect(summary.errorCode).toBe('UPSTREAM_ERROR');
+});
+
+run();
@@ -0,0 +1,83 @@
+/**
+ * Pinned Repositories Tests
+ * Tests the normalization behind /api/github-pinned
+ */
+
+import { normalizePinnedItems } from '../api/_lib/pinned.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Pinned Repositories Tests');
+
+const mockNodes = [
+  {
+    name: 'microblog',
+    nameWithOwner: 'kevinnngoo/microblog',
+    description: 'Flask microblog platform',
+    url: 'https://github.com/kevinnngoo/microblog',
+    homepageUrl: 'https://microblog-demo.netlify.app',
+    stargazerCount: 12,
+    forkCount: 3,
+    openGraphImageUrl: 'https://repository-images.githubusercontent.com/1/abc',
+    usesCustomOpenGraphImage: true,
+    primaryLanguage: { name: 'Python', color: '#3572A5' },
+    repositoryTopics: { nodes: [{ topic: { name: 'flask' } }, { topic: { name: 'sqlalchemy' } }] }
+  },
+  {
+    name: 'stock-market-predictor',
+    nameWithOwner: 'kevinnngoo/stock-market-predictor',
+    description: null,
+    url: 'https://github.com/kevinnngoo/stock-market-predictor',
+    homepageUrl: '',
+    stargazerCount: 0,
+    forkCount: 0,
+    openGraphImageUrl: 'https://opengraph.githubassets.com/1/kevinnngoo/stock-market-predictor',
+    usesCustomOpenGraphImage: false,
+    primaryLanguage: null,
+    repositoryTopics: { nodes: [] }
+  },
+  // Pinned gist: empty object because the fragment only selects Repository
+  {}
+];
+
+test('should keep pin order and skip non-repositories', () => {
+  const repos = normalizePinnedItems(mockNodes);
+  expect(repos).toHaveLength(2);
+  expect(repos.map(r => r.name)).toEqual(['microblog', 'stock-market-predictor']);
+});
+
+test('should map stars, forks, language and topics', () => {
+  const [microblog] = normalizePinnedItems(mockNodes);
+  expect(microblog.stars).toBe(12);
+  expect(microblog.forks).toBe(3);
+  expect(microblog.language).toEqual({ name: 'Python', color: '#3572A5' });
+  expect(microblog.topics).toEqual(['flask', 'sqlalchemy']);
+  expect(microblog.homepageUrl).toBe('https://microblog-demo.netlify.app');
+  expect(microblog.customImage).toBe(true);
+});
+
+test('should normalize missing optional fields', () => {
+  const [, stock] = normalizePinnedItems(mockNodes);
+  expect(stock.description).toBe('');
+  expect(stock.homepageUrl).toBe(null);
+  expect(stock.language).toBe(null);
+  expect(stock.topics).toEqual([]);
+  expect(stock.customImage).toBe(false);
+});
+
+test('should drop homepage and image URLs that are not https', () => {
+  const node = mockNodes[0];
+  const [repo] = normalizePinnedItems([
+    { ...node, homepageUrl: 'javascript:alert(1)', openGraphImageUrl: 'http://example.com/preview.png' }
+  ]);
+  expect(repo.homepageUrl).toBe(null);
+  expect(repo.image).toBe(null);
+  expect(normalizePinnedItems([{ ...node, homepageUrl: 'not a url' }])[0].homepageUrl).toBe(null);
+  expect(normalizePinnedItems([node])[0].image).toBe('https://repository-images.githubusercontent.com/1/abc');
+});
+
+test('should handle a profile with nothing pinned', () => {
+  expect(normalizePinnedItems([])).toEqual([]);
+  expect(normalizePinnedItems(undefined)).toEqual([]);
+});
+
+run();
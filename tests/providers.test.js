@@ -0,0 +1,116 @@
+/**
+ * Provider Adapter Tests
+ * Runs the GitLab and Gitea adapters against the recorded fixtures in
+ * api/_fixtures/providers/ and checks they produce the shared schema
+ */
+
+import { yearRange } from '../api/_lib/contributions.js';
+import { createFixtureFetch, loadRecordings } from '../api/_lib/providers/fixtures.js';
+import { createGitLabProvider } from '../api/_lib/providers/gitlab.js';
+import { createGiteaProvider } from '../api/_lib/providers/gitea.js';
+import { getProvider } from '../api/_lib/providers/index.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Provider Adapter Tests');
+
+const ranges = [2023, 2024].map(y => ({ alias: `y${y}`, ...yearRange(y) }));
+
+const gitlab = createGitLabProvider({ fetch: createFixtureFetch(loadRecordings('gitlab')) });
+const gitea = createGiteaProvider({
+  baseUrl: 'https://gitea.example.com',
+  fetch: createFixtureFetch(loadRecordings('gitea'))
+});
+
+test('gitlab: should map events onto the contributions schema', async () => {
+  const [, y2024] = await gitlab.fetchContributions('kevinnngoo', ranges);
+  expect(y2024.totalCommits).toBe(4);
+  expect(y2024.totalPRs).toBe(1);
+  expect(y2024.totalIssues).toBe(1);
+  expect(y2024.totalContributions).toBe(4);
+});
+
+test('gitlab: should bucket events into the right year', async () => {
+  const [y2023] = await gitlab.fetchContributions('kevinnngoo', ranges);
+  expect(y2023.totalContributions).toBe(1);
+  expect(y2023.totalCommits).toBe(0);
+});
+
+test('gitlab: should return a full zero-filled calendar with insights', async () => {
+  const [, y2024] = await gitlab.fetchContributions('kevinnngoo', ranges);
+  expect(y2024.calendar).toHaveLength(366);
+  const day = y2024.calendar.find(d => d.date === '2024-03-13');
+  expect(day.count).toBe(2);
+  expect(day.weekday).toBe(3);
+  expect(y2024.insights.longestStreak.length).toBe(3);
+});
+
+test('gitlab: should reject unknown users', async () => {
+  let code = '';
+  try {
+    await gitlab.fetchContributions('nobody', ranges);
+  } catch (error) {
+    code = error.code;
+  }
+  expect(code).toBe('USER_NOT_FOUND');
+});
+
+test('gitea: should combine the heatmap and activity feed', async () => {
+  const [, y2024] = await gitea.fetchContributions('kevinnngoo', ranges);
+  expect(y2024.totalContributions).toBe(6);
+  expect(y2024.totalCommits).toBe(4);
+  expect(y2024.totalPRs).toBe(1);
+  expect(y2024.totalIssues).toBe(1);
+});
+
+test('gitea: should count earlier activity in its own year', async () => {
+  const [y2023] = await gitea.fetchContributions('kevinnngoo', ranges);
+  expect(y2023.totalContributions).toBe(2);
+  expect(y2023.totalCommits).toBe(2);
+  expect(y2023.calendar).toHaveLength(365);
+});
+
+async function codeOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+test('gitlab: should stop paging at the deadline', async () => {
+  let pages = 0;
+  // Every page is slow and claims there is another one
+  const slowFetch = async (url) => {
+    await new Promise(resolve => setTimeout(resolve, 30));
+    if (url.includes('/users?')) return Response.json([{ id: 1 }]);
+    pages++;
+    return Response.json([], { headers: { 'x-next-page': String(pages + 1) } });
+  };
+  const provider = createGitLabProvider({ fetch: slowFetch });
+  const started = Date.now();
+  expect(await codeOf(provider.fetchContributions('kevinnngoo', ranges, { deadline: Date.now() + 100 }))).toBe('UPSTREAM_TIMEOUT');
+  expect(pages < 5).toBe(true);
+  expect(Date.now() - started < 1000).toBe(true);
+});
+
+test('gitea: should abort a request that runs past the deadline', async () => {
+  const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+    // AbortSignal.timeout() doesn't keep Node alive on its own
+    const pending = setTimeout(() => resolve(Response.json([])), 5000);
+    signal.addEventListener('abort', () => {
+      clearTimeout(pending);
+      reject(signal.reason);
+    });
+  });
+  const provider = createGiteaProvider({ baseUrl: 'https://gitea.example.com', fetch: hangingFetch });
+  expect(await codeOf(provider.fetchContributions('kevinnngoo', ranges, { deadline: Date.now() + 50 }))).toBe('UPSTREAM_TIMEOUT');
+});
+
+test('should resolve providers by name', () => {
+  expect(getProvider('github').name).toBe('github');
+  expect(getProvider('gitlab').name).toBe('gitlab');
+  expect(getProvider('bitbucket')).toBe(null);
+});
+
+run();
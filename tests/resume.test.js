@@ -0,0 +1,111 @@
+/**
+ * Resume Tests
+ * Tests data/resume.json, the printable resume and the page section renderers
+ */
+
+import handler from '../api/resume.js';
+import { formatDateRange, loadResume, renderResumeHtml } from '../api/_lib/resume.js';
+import { formatDateRange as formatPageDateRange, renderAbout, renderExperience } from '../js/resume.js';
+import { buildResumeFiles, fillResumeSections } from '../scripts/build-resume.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Resume Tests');
+
+const DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
+
+const request = (url, query = {}, headers = {}) => ({ method: 'GET', url, query, headers });
+
+test('should keep data/resume.json within the JSON Resume schema', async () => {
+  const resume = await loadResume();
+  expect(typeof resume.basics.name).toBe('string');
+  expect(resume.work.length).toBeGreaterThan(0);
+  for (const entry of [...resume.work, ...resume.education]) {
+    expect(DATE.test(entry.startDate)).toBe(true);
+    expect(entry.endDate === undefined || DATE.test(entry.endDate)).toBe(true);
+  }
+  for (const skill of resume.skills) {
+    expect(Array.isArray(skill.keywords)).toBe(true);
+  }
+});
+
+test('should format date ranges the same on the page and in print', () => {
+  expect(formatDateRange('2023-10', '2025-06')).toBe('Oct 2023 – Jun 2025');
+  expect(formatDateRange('2025-04')).toBe('Apr 2025 – Present');
+  expect(formatDateRange('2021', '2024-05-15')).toBe('2021 – May 2024');
+  expect(formatPageDateRange('2023-10', '2025-06')).toBe(formatDateRange('2023-10', '2025-06'));
+  expect(formatPageDateRange('2025-04')).toBe(formatDateRange('2025-04'));
+});
+
+test('should render every entry into the printable resume', async () => {
+  const resume = await loadResume();
+  const html = renderResumeHtml(resume);
+  expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+  resume.work.forEach(job => expect(html.includes(job.name.replace(/&/g, '&amp;'))).toBe(true));
+  expect(html.includes('@media print')).toBe(true);
+});
+
+test('should escape resume text', () => {
+  const html = renderResumeHtml({ basics: { name: '<script>x</script>' }, work: [{ name: 'A & B', position: 'Dev', startDate: '2024-01' }] });
+  expect(html.includes('<script>x')).toBe(false);
+  expect(html.includes('A &amp; B')).toBe(true);
+  expect(renderExperience([{ name: '<b>', position: 'Dev' }]).includes('&lt;b&gt;')).toBe(true);
+});
+
+test('should alternate timeline sides and split the summary into paragraphs', () => {
+  const html = renderExperience([{ name: 'A', startDate: '2024-01' }, { name: 'B', startDate: '2023-01' }]);
+  expect(html.indexOf('timeline-item left') < html.indexOf('timeline-item right')).toBe(true);
+  expect(renderAbout({ summary: 'One.\n\nTwo.' })).toBe('<p>One.</p><p>Two.</p>');
+});
+
+test('should fill only the marked sections of a page', () => {
+  const html = '<div><!-- resume:about -->old<!-- /resume:about --></div><!-- resume:other -->keep<!-- /resume:other -->';
+  expect(fillResumeSections(html, { basics: { summary: 'New.' } })).toBe(
+    '<div><!-- resume:about --><p>New.</p><!-- /resume:about --></div><!-- resume:other -->keep<!-- /resume:other -->'
+  );
+});
+
+test('should keep index.html and resume.html in sync with data/resume.json', async () => {
+  // Run `node scripts/build-resume.js` after editing data/resume.json
+  const { index, resume } = await buildResumeFiles();
+  expect(index.current === index.expected).toBe(true);
+  expect(resume.current === resume.expected).toBe(true);
+  expect(index.current.includes('<!-- /resume:about -->')).toBe(true);
+});
+
+test('should serve JSON, HTML and ETags', async () => {
+  const json = response();
+  await handler(request('/api/resume.json'), json);
+  expect(json.statusCode).toBe(200);
+  expect(json.body.basics.name).toBe('Kevin Ngo');
+
+  const html = response();
+  await handler(request('/api/resume.html'), html);
+  expect(html.headers['Content-Type']).toBe('text/html; charset=utf-8');
+  expect(html.body.includes('<h1>Kevin Ngo</h1>')).toBe(true);
+
+  const cached = response();
+  await handler(request('/api/resume.json', {}, { 'if-none-match': json.headers.ETag }), cached);
+  expect(cached.statusCode).toBe(304);
+  expect(html.headers.ETag !== json.headers.ETag).toBe(true);
+});
+
+test('should reject unknown formats', async () => {
+  const res = response();
+  await handler(request('/api/resume', { format: 'pdf' }), res);
+  expect(res.statusCode).toBe(400);
+  expect(res.body.parameter).toBe('format');
+});
+
+run();
@@ -0,0 +1,175 @@
+/**
+ * Team Dashboard Tests
+ * Tests `usernames` validation, merged team stats and the team response of /api/github-stats
+ */
+
+import handler from '../api/github-stats.js';
+import { createContributions } from '../api/_lib/contributions.js';
+import { ApiError } from '../api/_lib/errors.js';
+import { TEAM_CONCURRENCY, TEAM_LANGUAGE_PAGES, fetchTeamStats, mergeContributions, mergeLanguages } from '../api/_lib/team.js';
+import { MAX_TEAM_SIZE, validateStatsQuery } from '../api/_lib/validate.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Team Dashboard Tests');
+
+process.env.GITHUB_MOCK = 'fixtures';
+
+function codeOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) { this.headers[name] = value; },
+    getHeader(name) { return this.headers[name]; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
+
+const day = (date, count) => ({ date, count, weekday: new Date(`${date}T00:00:00Z`).getUTCDay() });
+const repo = (name, count) => ({ name, url: `https://github.com/${name}`, isPrivate: false, count });
+
+const alice = createContributions({
+  totalCommits: 5,
+  totalPRs: 2,
+  totalIssues: 1,
+  totalReviews: 1,
+  calendar: [day('2024-03-01', 4), day('2024-03-02', 0), day('2024-03-03', 5)],
+  totalContributions: 9,
+  commitContributionsByRepository: [repo('team/app', 4), repo('alice/dotfiles', 1)]
+});
+const bob = createContributions({
+  totalCommits: 3,
+  totalPRs: 1,
+  totalIssues: 0,
+  calendar: [day('2024-03-01', 1), day('2024-03-02', 3), day('2024-03-03', 0)],
+  totalContributions: 4,
+  commitContributionsByRepository: [repo('team/app', 3)]
+});
+
+test('should parse, dedupe and bound the usernames list', () => {
+  const query = validateStatsQuery({ usernames: 'alice, bob,Alice,carol' });
+  expect(query.usernames).toEqual(['alice', 'bob', 'carol']);
+  expect(query.username).toBe(undefined);
+  expect(validateStatsQuery({}).usernames).toBe(null);
+
+  const team = Array.from({ length: MAX_TEAM_SIZE + 1 }, (_, i) => `user${i}`).join(',');
+  expect(codeOf(() => validateStatsQuery({ usernames: team }))).toBe('INVALID_PARAMETER');
+  expect(codeOf(() => validateStatsQuery({ usernames: 'alice,alice' }))).toBe('INVALID_PARAMETER');
+  expect(codeOf(() => validateStatsQuery({ usernames: 'alice,-bob' }))).toBe('INVALID_USERNAME');
+  expect(codeOf(() => validateStatsQuery({ username: 'alice', usernames: 'alice,bob' }))).toBe('INVALID_PARAMETER');
+});
+
+test('should merge calendars day by day and sum the totals', () => {
+  const merged = mergeContributions([alice, bob]);
+  expect(merged.calendar.map(d => d.count)).toEqual([5, 3, 5]);
+  expect(merged.totalCommits).toBe(8);
+  expect(merged.totalReviews).toBe(1);
+  expect(merged.totalContributions).toBe(13);
+  // Insights describe the merged calendar: every day had someone active
+  expect(merged.insights.longestStreak.length).toBe(3);
+});
+
+test('should combine repositories several members contributed to', () => {
+  const merged = mergeContributions([alice, bob]);
+  expect(merged.commitContributionsByRepository.map(r => [r.name, r.count])).toEqual([
+    ['team/app', 7],
+    ['alice/dotfiles', 1]
+  ]);
+});
+
+test('should merge top languages by byte count', () => {
+  const languages = mergeLanguages([
+    [{ name: 'Go', color: '#00ADD8', size: 300, percentage: 75 }, { name: 'Other', color: '#8b949e', size: 100, percentage: 25 }],
+    [{ name: 'Rust', color: '#dea584', size: 100, percentage: 100 }],
+    undefined
+  ]);
+  // A member's "Other" bytes still count towards the team's total
+  expect(languages.map(l => [l.name, l.percentage])).toEqual([['Go', 60], ['Rust', 20], ['Other', 20]]);
+  const merged = mergeLanguages([
+    [{ name: 'Go', size: 50 }, { name: 'C', size: 30 }, { name: 'Zig', size: 20 }],
+    [{ name: 'C', size: 40 }, { name: 'Zig', size: 10 }, { name: 'Go', size: 50 }]
+  ], 2);
+  expect(merged.map(l => [l.name, l.size])).toEqual([['Go', 100], ['C', 70], ['Other', 30]]);
+  expect(mergeLanguages([undefined, undefined])).toBe(undefined);
+});
+
+test('should fetch every member and name the one that is missing', async () => {
+  const provider = {
+    async fetchContributions(username, ranges) {
+      if (username === 'ghost') {
+        throw new ApiError('USER_NOT_FOUND', `User "${username}" not found`);
+      }
+      return ranges.map(() => (username === 'alice' ? alice : bob));
+    }
+  };
+
+  const body = await fetchTeamStats(provider, ['alice', 'bob'], { years: [2024] });
+  expect(body.usernames).toEqual(['alice', 'bob']);
+  expect(body.years[2024].totalContributions).toBe(13);
+  expect(body.members.bob.years[2024].totalCommits).toBe(3);
+
+  let error;
+  try {
+    await fetchTeamStats(provider, ['alice', 'ghost'], { years: [2024] });
+  } catch (err) {
+    error = err;
+  }
+  expect(error.code).toBe('USER_NOT_FOUND');
+  expect(error.details).toEqual({ parameter: 'usernames', username: 'ghost' });
+});
+
+test('should fetch a few members at a time with a narrow language walk', async () => {
+  let active = 0;
+  let peak = 0;
+  const languageOptions = [];
+  const provider = {
+    async fetchContributions() {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return [alice];
+    },
+    async fetchTopLanguages(username, request, options) {
+      languageOptions.push(options);
+      return [{ name: 'Go', color: '#00ADD8', size: 10 }, { name: 'C', color: '#555555', size: 5 }];
+    }
+  };
+
+  const team = Array.from({ length: 8 }, (_, i) => `user${i}`);
+  const body = await fetchTeamStats(provider, team, {});
+  expect(peak).toBe(TEAM_CONCURRENCY);
+  expect(languageOptions[0]).toEqual({ limit: Infinity, maxPages: TEAM_LANGUAGE_PAGES });
+  expect(body.topLanguages[0].size).toBe(80);
+  expect(body.members.user0.topLanguages.map(l => l.percentage)).toEqual([66.7, 33.3]);
+});
+
+test('should answer team requests with merged and per-member stats', async () => {
+  const res = response();
+  await handler({ method: 'GET', query: { usernames: 'kevinnngoo,octocat', years: '2024,2025' }, headers: {} }, res);
+  expect(res.statusCode).toBe(200);
+  const { years, members, versions } = res.body;
+  expect(Object.keys(members)).toEqual(['kevinnngoo', 'octocat']);
+  expect(versions).toEqual({ kevinnngoo: 0, octocat: 0 });
+  expect(years[2025].totalContributions).toBe(
+    members.kevinnngoo.years[2025].totalContributions + members.octocat.years[2025].totalContributions
+  );
+  expect(years[2025].calendar).toHaveLength(365);
+
+  // A repeat request is served from the server cache
+  const again = response();
+  await handler({ method: 'GET', query: { usernames: 'kevinnngoo,octocat', years: '2024,2025' }, headers: {} }, again);
+  expect(again.headers['X-Cache']).toBe('HIT');
+});
+
+run();
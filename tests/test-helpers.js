@@ -0,0 +1,79 @@
+/**
+ * Minimal test runner shared by the Node test files
+ * Mirrors the inline runner in github-activity.test.js, with async support
+ */
+
+export function createRunner(title) {
+  const tests = [];
+
+  function test(description, testFn) {
+    tests.push({ description, testFn });
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected ${expected}, but got ${actual}`);
+        }
+      },
+      toEqual: (expected) => {
+        const a = JSON.stringify(actual);
+        const e = JSON.stringify(expected);
+        if (a !== e) {
+          throw new Error(`Expected ${e}, but got ${a}`);
+        }
+      },
+      toBeCloseTo: (expected, precision = 2) => {
+        const diff = Math.abs(actual - expected);
+        const tolerance = Math.pow(10, -precision) / 2;
+        if (diff > tolerance) {
+          throw new Error(`Expected ${actual} to be close to ${expected} (within ${tolerance})`);
+        }
+      },
+      toHaveLength: (expected) => {
+        if (actual.length !== expected) {
+          throw new Error(`Expected length ${expected}, but got ${actual.length}`);
+        }
+      },
+      toBeGreaterThan: (expected) => {
+        if (actual <= expected) {
+          throw new Error(`Expected ${actual} to be greater than ${expected}`);
+        }
+      },
+      toContain: (expected) => {
+        if (!actual.includes(expected)) {
+          throw new Error(`Expected ${JSON.stringify(actual)} to contain ${JSON.stringify(expected)}`);
+        }
+      }
+    };
+  }
+
+  async function run() {
+    console.log(`🧪 Running ${title}...\n`);
+    let passed = 0;
+    let failed = 0;
+
+    for (const { description, testFn } of tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${description}`);
+        passed++;
+      } catch (error) {
+        console.log(`❌ ${description}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+    if (failed === 0) {
+      console.log('🎉 All tests passed!');
+    } else {
+      console.log('❌ Some tests failed!');
+      process.exit(1);
+    }
+  }
+
+  return { test, expect, run };
+}
@@ -0,0 +1,70 @@
+/**
+ * Time Zone Tests
+ * Tests the `tz` helpers and timezone-aware contribution ranges
+ */
+
+import { dateInZone, isValidTimeZone, startOfDay, toZonedISOString } from '../api/_lib/timezone.js';
+import { buildContributionsQuery, fillCalendar, yearRange } from '../api/_lib/contributions.js';
+import { summarizeGitLabEvents } from '../api/_lib/providers/gitlab.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Time Zone Tests');
+
+test('should recognise IANA zone names', () => {
+  expect(isValidTimeZone('UTC')).toBe(true);
+  expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+  expect(isValidTimeZone('Not/AZone')).toBe(false);
+});
+
+test('should place instants on the day they fall on in a zone', () => {
+  const instant = new Date('2024-03-10T05:30:00Z');
+  expect(dateInZone(instant)).toBe('2024-03-10');
+  expect(dateInZone(instant, 'America/Los_Angeles')).toBe('2024-03-09');
+  expect(dateInZone(new Date('2024-03-09T20:00:00Z'), 'Asia/Tokyo')).toBe('2024-03-10');
+});
+
+test('should find the start of a day across DST changes', () => {
+  expect(startOfDay('2024-01-01', 'America/Los_Angeles').toISOString()).toBe('2024-01-01T08:00:00.000Z');
+  expect(startOfDay('2024-07-01', 'America/Los_Angeles').toISOString()).toBe('2024-07-01T07:00:00.000Z');
+  expect(startOfDay('2024-01-01', 'Asia/Kolkata').toISOString()).toBe('2023-12-31T18:30:00.000Z');
+});
+
+test('should write timestamps with the zone offset', () => {
+  const { from, to } = yearRange(2024, 'America/Los_Angeles');
+  expect(toZonedISOString(from, 'America/Los_Angeles')).toBe('2024-01-01T00:00:00-08:00');
+  expect(toZonedISOString(to, 'America/Los_Angeles')).toBe('2024-12-31T23:59:59-08:00');
+  expect(toZonedISOString(new Date('2024-01-01T00:00:00Z'))).toBe('2024-01-01T00:00:00.000Z');
+});
+
+test('should keep UTC year ranges unchanged by default', () => {
+  const { from, to } = yearRange(2024);
+  expect(from.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+  expect(to.toISOString()).toBe('2024-12-31T23:59:59.000Z');
+});
+
+test('should send zoned bounds in the contributions query', () => {
+  const { variables } = buildContributionsQuery([{ alias: 'y2024', ...yearRange(2024, 'Asia/Kolkata') }]);
+  expect(variables.y2024From).toBe('2024-01-01T00:00:00+05:30');
+  expect(variables.y2024To).toBe('2024-12-31T23:59:59+05:30');
+});
+
+test('should list the days of a zoned year in the calendar', () => {
+  const { from, to, timeZone } = yearRange(2024, 'America/New_York');
+  const calendar = fillCalendar(from, to, { '2024-11-03': 2 }, timeZone);
+  expect(calendar).toHaveLength(366);
+  expect(calendar[0].date).toBe('2024-01-01');
+  expect(calendar[365].date).toBe('2024-12-31');
+  expect(calendar.find(day => day.date === '2024-11-03').count).toBe(2);
+});
+
+test('should bucket provider events by local day', () => {
+  // 03:00 UTC on Jan 1 is still New Year's Eve in Los Angeles
+  const events = [{ created_at: '2025-01-01T03:00:00Z', action_name: 'pushed to', push_data: { commit_count: 1 } }];
+  const utc = summarizeGitLabEvents(events, yearRange(2024));
+  const pacific = summarizeGitLabEvents(events, yearRange(2024, 'America/Los_Angeles'));
+  expect(utc.totalContributions).toBe(0);
+  expect(pacific.totalContributions).toBe(1);
+  expect(pacific.calendar[pacific.calendar.length - 1].count).toBe(1);
+});
+
+run();
@@ -0,0 +1,86 @@
+/**
+ * Query Validation Tests
+ * Tests parameter validation and error codes shared by the API handlers
+ */
+
+import { ApiError, errorBody } from '../api/_lib/errors.js';
+import { MAX_YEARS, parseYear, parseYears, validateStatsQuery } from '../api/_lib/validate.js';
+import { createRunner } from './test-helpers.js';
+
+const { test, expect, run } = createRunner('Query Validation Tests');
+
+const currentYear = new Date().getUTCFullYear();
+
+function codeOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+}
+
+test('should default to the github provider and site owner', () => {
+  const query = validateStatsQuery({});
+  expect(query.provider).toBe('github');
+  expect(query.username).toBe('kevinnngoo');
+  expect(query.year).toBe(undefined);
+  expect(query.years).toBe(null);
+});
+
+test('should accept valid GitHub usernames', () => {
+  expect(validateStatsQuery({ username: 'octo-cat' }).username).toBe('octo-cat');
+  expect(validateStatsQuery({ username: 'a'.repeat(39) }).username).toHaveLength(39);
+});
+
+test('should reject invalid GitHub usernames', () => {
+  expect(codeOf(() => validateStatsQuery({ username: '-octocat' }))).toBe('INVALID_USERNAME');
+  expect(codeOf(() => validateStatsQuery({ username: 'octo--cat' }))).toBe('INVALID_USERNAME');
+  expect(codeOf(() => validateStatsQuery({ username: 'a'.repeat(40) }))).toBe('INVALID_USERNAME');
+  expect(codeOf(() => validateStatsQuery({ username: '<script>' }))).toBe('INVALID_USERNAME');
+});
+
+test('should validate usernames per provider', () => {
+  expect(validateStatsQuery({ provider: 'gitlab', username: 'first.last' }).username).toBe('first.last');
+  expect(codeOf(() => validateStatsQuery({ username: 'first.last' }))).toBe('INVALID_USERNAME');
+  expect(codeOf(() => validateStatsQuery({ provider: 'bitbucket' }))).toBe('INVALID_PROVIDER');
+});
+
+test('should reject malformed and out-of-range years', () => {
+  expect(parseYear('2024')).toBe(2024);
+  expect(codeOf(() => parseYear('24'))).toBe('INVALID_YEAR');
+  expect(codeOf(() => parseYear('2024abc'))).toBe('INVALID_YEAR');
+  expect(codeOf(() => parseYear('2007'))).toBe('INVALID_YEAR');
+  expect(codeOf(() => parseYear(String(currentYear + 1)))).toBe('INVALID_YEAR');
+});
+
+test('should parse years lists and from/to ranges', () => {
+  expect(parseYears({ years: '2024, 2022,2024' })).toEqual([2022, 2024]);
+  expect(parseYears({ from: '2020', to: '2022' })).toEqual([2020, 2021, 2022]);
+  expect(parseYears({})).toBe(null);
+});
+
+test('should reject invalid ranges', () => {
+  expect(codeOf(() => parseYears({ from: '2022' }))).toBe('INVALID_RANGE');
+  expect(codeOf(() => parseYears({ from: '2023', to: '2021' }))).toBe('INVALID_RANGE');
+  expect(codeOf(() => parseYears({ from: '2008', to: String(2008 + MAX_YEARS) }))).toBe('INVALID_RANGE');
+});
+
+test('should reject year combined with years', () => {
+  expect(codeOf(() => validateStatsQuery({ year: '2024', years: '2023' }))).toBe('INVALID_PARAMETER');
+});
+
+test('should default to UTC and validate the tz parameter', () => {
+  expect(validateStatsQuery({}).timeZone).toBe('UTC');
+  expect(validateStatsQuery({ tz: 'America/Los_Angeles' }).timeZone).toBe('America/Los_Angeles');
+  expect(codeOf(() => validateStatsQuery({ tz: 'Mars/Olympus_Mons' }))).toBe('INVALID_TIMEZONE');
+  expect(codeOf(() => validateStatsQuery({ tz: '' }))).toBe('INVALID_TIMEZONE');
+});
+
+test('should build error bodies with code, message and details', () => {
+  const error = new ApiError('RATE_LIMITED', 'Slow down', { retryAfter: 30 });
+  expect(error.status).toBe(429);
+  expect(errorBody(error, 'req-1')).toEqual({ code: 'RATE_LIMITED', message: 'Slow down', requestId: 'req-1', retryAfter: 30 });
+});
+
+run();